@@ -0,0 +1,31 @@
+'use client';
+
+import React from 'react';
+
+/**
+ * Name recorded with every item added, the size of the log, which the
+ * download carries as JSON, and whether certificate-of-completion pages
+ * are added too.
+ */
+export default function AuditTrailBar({ name, defaultName, entryCount, certificatePage, onNameChange, onCertificatePageChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      <label className="flex items-center gap-1" title="Recorded in the audit log with every item you add">
+        Your name
+        <input
+          value={name}
+          onChange={(e) => onNameChange(e.target.value)}
+          placeholder={defaultName || 'Unknown'}
+          className="w-40 px-2 py-1 rounded-lg border border-gray-300"
+        />
+      </label>
+      <span className="text-gray-500" title="Attached to the download as audit-log.json">
+        {entryCount} item(s) logged, attached to the download
+      </span>
+      <label className="flex items-center gap-1" title="Pages listing the log and the document hashes, after the last page">
+        <input type="checkbox" checked={certificatePage} onChange={(e) => onCertificatePageChange(e.target.checked)} />
+        Add certificate of completion
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+'use client';
+
+import React from 'react';
+
+const buttonClass =
+  'px-2.5 py-1 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * The certificate the downloaded PDF is digitally signed with, the reason
+ * written into the signature and a button to stop signing. While the
+ * download is also password protected, which a signed PDF cannot be, it
+ * offers to drop the protection.
+ */
+export default function CertificateBar({ signer, reason, hasAppearance, isProtected, onReasonChange, onRemove, onRemoveProtection }) {
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      <span title={`Issued by ${signer.issuer}${signer.selfSigned ? ' (self-signed)' : ''}`}>
+        🔏 Signing as <strong>{signer.name}</strong>, valid until {signer.validTo.toLocaleDateString()}
+      </span>
+      <label className="flex items-center gap-1">
+        Reason
+        <input
+          value={reason}
+          onChange={(e) => onReasonChange(e.target.value)}
+          placeholder="optional"
+          className="w-40 px-2 py-1 rounded-lg border border-gray-300"
+        />
+      </label>
+      <span className="text-gray-500">
+        {hasAppearance
+          ? 'The first signature image on the pages shows the signature.'
+          : 'No signature image placed, the signature will be invisible.'}
+      </span>
+      <button onClick={onRemove} title="Download without a digital signature" className={buttonClass}>
+        ✕ Remove
+      </button>
+      {isProtected && (
+        <>
+          <span className="text-red-600">⚠️ A signed PDF cannot also be password protected.</span>
+          <button onClick={onRemoveProtection} title="Download signed and without passwords or restrictions" className={buttonClass}>
+            🔓 Remove protection
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
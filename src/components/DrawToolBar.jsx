@@ -0,0 +1,91 @@
+'use client';
+
+import React from 'react';
+import { ERASER_SIZE_RANGE, STROKE_TOOLS, STROKE_WIDTH_RANGE } from '@/lib/strokeStyle';
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+/**
+ * Pen / highlighter / eraser switch with the settings of the active tool.
+ * Without a `tool` (a stroke is selected) only its style is shown.
+ */
+export default function DrawToolBar({ tool, style, eraser, onToolChange, onStyleChange, onEraserChange }) {
+  const [minWidth, maxWidth] = STROKE_WIDTH_RANGE[style.tool];
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      {tool && (
+        <>
+          {Object.entries(STROKE_TOOLS).map(([key, { label, icon }]) => (
+            <button key={key} onClick={() => onToolChange(key)} className={toggleClass(tool === key)}>
+              {icon} {label}
+            </button>
+          ))}
+          <button onClick={() => onToolChange('eraser')} className={toggleClass(tool === 'eraser')}>
+            🧽 Eraser
+          </button>
+        </>
+      )}
+
+      {tool === 'eraser' ? (
+        <>
+          <select
+            value={eraser.partial ? 'partial' : 'stroke'}
+            onChange={(e) => onEraserChange({ partial: e.target.value === 'partial' })}
+            className="px-2 py-1 text-xs rounded-lg border border-gray-300 bg-white"
+          >
+            <option value="partial">Erase parts of strokes</option>
+            <option value="stroke">Erase whole strokes</option>
+          </select>
+          <label className="flex items-center gap-1" title="Eraser size (px)">
+            Size
+            <input
+              type="range"
+              min={ERASER_SIZE_RANGE[0]}
+              max={ERASER_SIZE_RANGE[1]}
+              value={eraser.size}
+              onChange={(e) => onEraserChange({ size: Number(e.target.value) })}
+            />
+          </label>
+        </>
+      ) : (
+        <>
+          <input
+            type="color"
+            value={style.color}
+            onChange={(e) => onStyleChange({ color: e.target.value })}
+            title="Stroke color"
+            className="w-8 h-7 p-0.5 rounded-lg border border-gray-300 bg-white cursor-pointer"
+          />
+          <label className="flex items-center gap-1" title="Thickness (pt)">
+            Width
+            <input
+              type="range"
+              min={minWidth}
+              max={maxWidth}
+              step={0.5}
+              value={style.width}
+              onChange={(e) => onStyleChange({ width: Number(e.target.value) })}
+            />
+            <span className="w-8">{style.width}pt</span>
+          </label>
+          <label className="flex items-center gap-1" title="Opacity">
+            Opacity
+            <input
+              type="range"
+              min={0.1}
+              max={1}
+              step={0.05}
+              value={style.opacity}
+              onChange={(e) => onStyleChange({ opacity: Number(e.target.value) })}
+            />
+            <span className="w-8">{Math.round(style.opacity * 100)}%</span>
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+'use client';
+
+import React from 'react';
+import { getMarkupStyle, markupLines, quadFrame } from '@/lib/textMarkup';
+
+/**
+ * Highlight, underline, strikeout or squiggly marks over the selected lines
+ * of text. Markups stay on their words: they can be selected, restyled and
+ * removed, not moved or resized.
+ */
+export default function MarkupItem({ item, pageSize, selected, interactive, onSelect, onRemove }) {
+  const style = getMarkupStyle(item);
+  const select = (e) => {
+    if (!interactive) return;
+    e.stopPropagation();
+    onSelect(item.id);
+  };
+
+  return (
+    <>
+      <svg
+        className="absolute top-0 left-0 w-full h-full pointer-events-none"
+        style={{ mixBlendMode: item.markup === 'highlight' ? 'multiply' : undefined, opacity: style.opacity }}
+      >
+        {item.quads.map((quad, i) => {
+          const { length, thickness, at } = quadFrame(quad, item.rotation, pageSize);
+          const markup = markupLines(item.markup, length, thickness);
+          const toPoints = (points) => points.map((p) => at(p.x, p.y)).map((p) => `${p.x},${p.y}`).join(' ');
+          const corners = [{ x: 0, y: 0 }, { x: length, y: 0 }, { x: length, y: thickness }, { x: 0, y: thickness }];
+          return (
+            <g key={i}>
+              <polygon
+                points={toPoints(corners)}
+                fill={item.markup === 'highlight' ? style.color : 'transparent'}
+                style={{ pointerEvents: interactive ? 'fill' : 'none', cursor: 'pointer' }}
+                onPointerDown={select}
+                onClick={(e) => e.stopPropagation()}
+              />
+              {markup.lines.map((line, j) => (
+                <polyline
+                  key={j}
+                  points={toPoints(line)}
+                  fill="none"
+                  stroke={style.color}
+                  strokeWidth={markup.thickness}
+                  strokeLinejoin="round"
+                />
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      {selected && (
+        <div
+          className="absolute border border-dashed border-blue-500 pointer-events-none"
+          style={{
+            left: item.x * pageSize.width - 2,
+            top: item.y * pageSize.height - 2,
+            width: item.width * pageSize.width + 4,
+            height: item.height * pageSize.height + 4,
+          }}
+        >
+          <button
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              onRemove(item.id);
+            }}
+            className="absolute -top-2.5 -right-6 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-[9px] pointer-events-auto hover:bg-red-600"
+          >
+            ×
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,41 @@
+'use client';
+
+import React from 'react';
+import { MARKUP_TYPES } from '@/lib/textMarkup';
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+/** Kind and color of the next markup made, or of the selected one. */
+export default function MarkupToolBar({ markup, style, onMarkupChange, onStyleChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      {Object.entries(MARKUP_TYPES).map(([key, { label, icon }]) => (
+        <button key={key} onClick={() => onMarkupChange(key)} className={toggleClass(markup === key)}>
+          {icon} {label}
+        </button>
+      ))}
+      <input
+        type="color"
+        value={style.color}
+        onChange={(e) => onStyleChange({ color: e.target.value })}
+        title="Markup color"
+        className="w-8 h-7 p-0.5 rounded-lg border border-gray-300 bg-white cursor-pointer"
+      />
+      <label className="flex items-center gap-1" title="Opacity">
+        Opacity
+        <input
+          type="range"
+          min={0.1}
+          max={1}
+          step={0.05}
+          value={style.opacity}
+          onChange={(e) => onStyleChange({ opacity: Number(e.target.value) })}
+        />
+        <span className="w-8">{Math.round(style.opacity * 100)}%</span>
+      </label>
+    </div>
+  );
+}
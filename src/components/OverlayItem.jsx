@@ -0,0 +1,216 @@
+'use client';
+
+import React from 'react';
+import { getItemBox } from '@/lib/itemGeometry';
+import { textCss } from '@/lib/textStyle';
+import { getStrokeStyle } from '@/lib/strokeStyle';
+import { hasPressure, splinePoints, strokeOutline } from '@/lib/strokePath';
+import SelectionHandles from './SelectionHandles';
+import ShapeItem from './ShapeItem';
+import MarkupItem from './MarkupItem';
+
+const fitHeight = (textarea) => {
+  textarea.style.height = 'auto';
+  textarea.style.height = `${textarea.scrollHeight}px`;
+};
+
+// Enter adds a line, Ctrl+Enter or clicking elsewhere finishes, Escape
+// puts the text back as it was.
+function TextEditor({ item, boxStyle, scale, onCommitText }) {
+  return (
+    <div
+      style={{ left: boxStyle.left, top: boxStyle.top, width: boxStyle.width, height: boxStyle.height, transform: boxStyle.transform }}
+      className="absolute"
+    >
+      <textarea
+        autoFocus
+        defaultValue={item.content}
+        ref={(el) => el && fitHeight(el)}
+        onInput={(e) => fitHeight(e.target)}
+        onBlur={(e) => {
+          const text = e.target.value.replace(/\s+$/, '');
+          onCommitText(item, text.trim() ? text : '');
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            e.target.value = item.content;
+            e.target.blur();
+          } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.target.blur();
+          }
+        }}
+        onClick={(e) => e.stopPropagation()}
+        onPointerDown={(e) => e.stopPropagation()}
+        title="Enter for a new line, Ctrl+Enter to finish, Esc to cancel"
+        rows={1}
+        className="absolute top-0 left-0 border border-blue-400 rounded bg-white resize-none overflow-hidden outline-none pointer-events-auto"
+        style={{ ...textCss(item, scale), width: item.content || item.type === 'shape' ? '100%' : undefined, minWidth: 160 }}
+      />
+    </div>
+  );
+}
+
+/**
+ * One placed item on top of a page: the signature image, text box, drawing,
+ * shape, text markup or redaction mark, plus move / resize / rotate handles
+ * while it is selected.
+ */
+export default function OverlayItem({
+  item,
+  pageSize,
+  scale,
+  selected,
+  interactive,
+  onSelect,
+  onStartTransform,
+  onRemove,
+  onEditText,
+  onCommitText,
+}) {
+  const box = getItemBox(item);
+  const boxStyle = {
+    left: box.x * pageSize.width,
+    top: box.y * pageSize.height,
+    width: box.width * pageSize.width,
+    height: box.height * pageSize.height,
+    transform: box.rotation ? `rotate(${box.rotation}deg)` : undefined,
+  };
+  const startMove = (e) => {
+    if (!interactive) return;
+    onSelect(item.id);
+    onStartTransform(e, item, 'move');
+  };
+
+  if (item.type === 'drawing') {
+    const line = splinePoints(
+      item.content.map((p) => ({ ...p, x: p.x * pageSize.width, y: p.y * pageSize.height }))
+    );
+    const points = line.map((p) => `${p.x},${p.y}`).join(' ');
+    const stroke = getStrokeStyle(item);
+    return (
+      <>
+        <svg
+          className="absolute top-0 left-0 w-full h-full pointer-events-none"
+          style={{ mixBlendMode: stroke.tool === 'highlighter' ? 'multiply' : undefined }}
+        >
+          {hasPressure(line) ? (
+            <polygon
+              points={strokeOutline(line, stroke.width * scale).map((p) => `${p.x},${p.y}`).join(' ')}
+              fill={stroke.color}
+              fillOpacity={stroke.opacity}
+            />
+          ) : (
+            <polyline
+              points={points}
+              fill="none"
+              stroke={stroke.color}
+              strokeOpacity={stroke.opacity}
+              strokeWidth={stroke.width * scale}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          )}
+          {interactive && (
+            <polyline
+              points={points}
+              fill="none"
+              stroke="transparent"
+              strokeWidth={Math.max(12, stroke.width * scale)}
+              style={{ pointerEvents: 'stroke', cursor: 'move', touchAction: 'none' }}
+              onPointerDown={startMove}
+              onClick={(e) => e.stopPropagation()}
+            />
+          )}
+        </svg>
+        {selected && (
+          <div className="absolute" style={boxStyle}>
+            <div className="absolute inset-0 pointer-events-auto cursor-move touch-none" onPointerDown={startMove} />
+            <SelectionHandles item={item} onStartTransform={onStartTransform} onRemove={onRemove} />
+          </div>
+        )}
+      </>
+    );
+  }
+
+  if (item.type === 'markup') {
+    return (
+      <MarkupItem
+        item={item}
+        pageSize={pageSize}
+        selected={selected}
+        interactive={interactive}
+        onSelect={onSelect}
+        onRemove={onRemove}
+      />
+    );
+  }
+
+  if (item.type === 'shape') {
+    return (
+      <>
+        <ShapeItem
+          item={item}
+          pageSize={pageSize}
+          scale={scale}
+          selected={selected && !item.editing}
+          interactive={interactive && !item.editing}
+          editing={item.editing}
+          onSelect={onSelect}
+          onStartTransform={onStartTransform}
+          onRemove={onRemove}
+          onEditText={onEditText}
+        />
+        {item.editing && <TextEditor item={item} boxStyle={boxStyle} scale={scale} onCommitText={onCommitText} />}
+      </>
+    );
+  }
+
+  if (item.type === 'text' && item.editing) {
+    return <TextEditor item={item} boxStyle={boxStyle} scale={scale} onCommitText={onCommitText} />;
+  }
+
+  return (
+    <div
+      className={`absolute group ${interactive ? 'pointer-events-auto cursor-move touch-none' : ''}`}
+      style={boxStyle}
+      onPointerDown={startMove}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={() => interactive && item.type === 'text' && onEditText(item)}
+    >
+      {item.type === 'signature' && (
+        <img src={item.content} alt="signature" draggable={false} className="w-full h-full select-none" />
+      )}
+      {item.type === 'redaction' && (
+        // see-through until applied, so what it covers can be reviewed
+        <div
+          className="w-full h-full flex items-center justify-center bg-black/45 border-2 border-dashed border-red-600 text-white font-bold overflow-hidden whitespace-nowrap select-none"
+          style={{ fontSize: Math.min(boxStyle.height * 0.6, 12 * scale) }}
+        >
+          {item.content}
+        </div>
+      )}
+      {item.type === 'text' && (
+        <div
+          className="w-full h-full bg-yellow-100/80 border border-yellow-400 rounded overflow-hidden select-none"
+          style={textCss(item, scale)}
+        >
+          {item.content}
+        </div>
+      )}
+      {selected ? (
+        <SelectionHandles item={item} onStartTransform={onStartTransform} onRemove={onRemove} />
+      ) : (
+        <button
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(item.id);
+          }}
+          className="absolute -top-1.5 -right-1.5 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-[9px] opacity-0 group-hover:opacity-100 pointer-events-auto hover:bg-red-600 transition-opacity"
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
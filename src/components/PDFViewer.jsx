@@ -4,55 +4,30 @@ import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/Page/AnnotationLayer.css';
 import 'react-pdf/dist/Page/TextLayer.css';
+import useHistory from '@/hooks/useHistory';
 
 pdfjs.GlobalWorkerOptions.workerSrc = '/pdf/pdf.worker.min.mjs';
 
 export default function PDFViewer() {
   const [pdfFile, setPdfFile] = useState(null);
   const [numPages, setNumPages] = useState(null);
-  const [signatures, setSignatures] = useState([]);
+  const history = useHistory([]);
+  const { items: signatures, commit: saveState } = history;
   const [signatureImg, setSignatureImg] = useState(null);
   const [addingType, setAddingType] = useState(null);
   const [isDrawing, setIsDrawing] = useState(false);
   const [currentDrawing, setCurrentDrawing] = useState([]);
   const [pageDimensions, setPageDimensions] = useState({});
   const [editingTextId, setEditingTextId] = useState(null);
-  const [undoStack, setUndoStack] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
   const canvasRefs = useRef({});
 
-  // === Undo/Redo Helpers ===
-  const saveState = useCallback((newState) => {
-    setUndoStack(prev => [...prev, signatures]);
-    setRedoStack([]);
-    setSignatures(newState);
-  }, [signatures]);
-
-  const handleUndo = () => {
-    if (undoStack.length === 0) return;
-    const last = undoStack[undoStack.length - 1];
-    setUndoStack(prev => prev.slice(0, -1));
-    setRedoStack(prev => [...prev, signatures]);
-    setSignatures(last);
-  };
-
-  const handleRedo = () => {
-    if (redoStack.length === 0) return;
-    const next = redoStack[redoStack.length - 1];
-    setRedoStack(prev => prev.slice(0, -1));
-    setUndoStack(prev => [...prev, signatures]);
-    setSignatures(next);
-  };
-
   // === Handlers ===
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file?.type === 'application/pdf') {
       setPdfFile(file);
-      setSignatures([]);
+      history.reset([]);
       setPageDimensions({});
-      setUndoStack([]);
-      setRedoStack([]);
     }
   };
 
@@ -292,15 +267,15 @@ export default function PDFViewer() {
               </button>
 
               <button
-                onClick={handleUndo}
-                disabled={undoStack.length === 0}
+                onClick={history.undo}
+                disabled={!history.canUndo}
                 className="px-4 py-2 rounded font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
               >
                 ↶ Undo
               </button>
               <button
-                onClick={handleRedo}
-                disabled={redoStack.length === 0}
+                onClick={history.redo}
+                disabled={!history.canRedo}
                 className="px-4 py-2 rounded font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
               >
                 ↷ Redo
@@ -1,65 +1,988 @@
 'use client';
 
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useLayoutEffect, useMemo } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/Page/AnnotationLayer.css';
 import 'react-pdf/dist/Page/TextLayer.css';
+import '@fontsource/noto-sans/400.css';
+import '@fontsource/noto-sans/700.css';
+import '@fontsource/noto-sans/400-italic.css';
+import '@fontsource/noto-sans/700-italic.css';
+import '@fontsource/noto-serif/400.css';
+import '@fontsource/noto-serif/700.css';
+import '@fontsource/noto-serif/400-italic.css';
+import '@fontsource/noto-serif/700-italic.css';
+import '@fontsource/noto-sans-mono/400.css';
+import '@fontsource/noto-sans-mono/700.css';
+import '@fontsource/caveat/400.css';
+import '@fontsource/caveat/700.css';
+import '@fontsource/noto-sans-devanagari/400.css';
+import '@fontsource/noto-sans-devanagari/700.css';
+import '@fontsource/noto-serif-devanagari/400.css';
+import '@fontsource/noto-serif-devanagari/700.css';
+import '@fontsource/noto-sans-sc/400.css';
+import '@fontsource/noto-sans-sc/700.css';
+import '@fontsource/noto-serif-sc/400.css';
+import '@fontsource/noto-serif-sc/700.css';
+import { exportAnnotatedPdf } from '@/lib/pdf/exportPdf';
+import { MERGEABLE_TYPES, isMergeable, mergeFiles } from '@/lib/pdf/mergeFiles';
+import { splitToZip } from '@/lib/pdf/splitPdf';
+import { applyRedactions, countLostAnnotations, redactPage } from '@/lib/pdf/redaction';
+import { decryptPdf, encryptPdf } from '@/lib/pdf/encryption';
+import { readPkcs12 } from '@/lib/pdf/cms';
+import { signPdf, verifyPdfSignatures } from '@/lib/pdf/digitalSignature';
+import { appendAuditTrail, createAuditEntry, createMergeEntry, sha256Hex } from '@/lib/pdf/auditTrail';
+import { hasFormFields, readFormValues } from '@/lib/pdf/formFields';
+import { downloadBlob } from '@/lib/download';
+import {
+  SIGNATURE_WIDTH,
+  TEXT_PADDING,
+  angleAround,
+  eraseStrokes,
+  getItemCenter,
+  moveAnchor,
+  moveEndpoint,
+  moveItem,
+  resizeItem,
+  rotateItem,
+  turnRectWithPage,
+} from '@/lib/itemGeometry';
+import { DEFAULT_TEXT_STYLE, getTextStyle, measureTextBox } from '@/lib/textStyle';
+import { DEFAULT_STROKE_STYLES, getStrokeStyle } from '@/lib/strokeStyle';
+import { fitStroke } from '@/lib/strokePath';
+import { canvasToBlob } from '@/lib/signatureImage';
+import {
+  DEFAULT_STAMP_COLOR,
+  MARKS,
+  MARK_SIZE,
+  RUBBER_STAMPS,
+  STAMP_HEIGHT,
+  formatDate,
+  initialsOf,
+  renderMark,
+  renderRubberStamp,
+} from '@/lib/stamps';
+import { getShapeStyle, shapeFromDrag } from '@/lib/shapeStyle';
+import { DEFAULT_MARKUP_STYLES, getMarkupStyle, quadsBox, selectionQuads } from '@/lib/textMarkup';
+import {
+  BLANK_PAGE_SIZE,
+  deletePage,
+  duplicatePage,
+  initialLayout,
+  insertBlankPage,
+  movePage,
+  rotatePage,
+} from '@/lib/pageOrganizer';
+import { clampZoom, stepZoom, zoomScale } from '@/lib/zoom';
+import { besideRect, buildTextIndex, findInPage, searchPattern, unionRect } from '@/lib/textSearch';
+import useHistory from '@/hooks/useHistory';
+import useVisibleRange from '@/hooks/useVisibleRange';
+import OverlayItem from './OverlayItem';
+import TextFormatBar from './TextFormatBar';
+import DrawToolBar from './DrawToolBar';
+import ShapeToolBar from './ShapeToolBar';
+import MarkupToolBar from './MarkupToolBar';
+import StampToolBar from './StampToolBar';
+import PageOrganizer from './PageOrganizer';
+import SplitExportBar from './SplitExportBar';
+import ProtectExportBar from './ProtectExportBar';
+import CertificateBar from './CertificateBar';
+import SignatureCheckPanel from './SignatureCheckPanel';
+import AuditTrailBar from './AuditTrailBar';
+import RedactToolBar from './RedactToolBar';
+import ZoomControls from './ZoomControls';
+import PageNavigator from './PageNavigator';
+import SearchBar from './SearchBar';
+import SignatureDialog from './SignatureDialog';
+import SignatureLibraryMenu from './SignatureLibraryMenu';
+import { listEntries, saveEntry } from '@/lib/storage/signatureLibrary';
+import {
+  createDocument,
+  deleteDocument,
+  fromStoredItems,
+  getActiveDocumentId,
+  listRecentDocuments,
+  openDocument,
+  saveDocumentItems,
+  setActiveDocument,
+  toStoredItems,
+} from '@/lib/storage/sessions';
+import { exportProject, importProject } from '@/lib/project/projectFile';
+import { exportXfdf, importXfdf, readPageFrames } from '@/lib/project/xfdf';
 
 pdfjs.GlobalWorkerOptions.workerSrc = '/pdf/pdf.worker.min.mjs';
 
+const AUTOSAVE_DELAY = 800;
+const PALM_REJECT_DELAY = 1500; // ms after the last stylus event during which touches are ignored
+const PALM_SIZE = 30; // px, bigger touch contacts are taken for a palm
+const PAGE_BORDER = 2; // px, left + right border of a page
+const FIT_MARGIN = 96; // px of the window height left for the zoom bar and page label in fit-page
+const WHEEL_ZOOM_SPEED = 0.002; // per px of wheel delta
+const WHEEL_ZOOM_DELAY = 150; // ms after the last wheel event before the pages render again
+const PAGE_INFO_BATCH = 20; // pages read before their sizes are shown
+const SEARCH_DELAY = 250; // ms after the last keystroke before searching
+const HIT_GAP = 6; // pt between a search hit and what is placed next to it
+const NO_PROTECTION = { userPassword: '', ownerPassword: '', noPrint: false, noCopy: false, noEdit: false };
+
+// Page boxes are always in the layout (empty when off screen), so any page can be scrolled to
+const scrollToPage = (index) =>
+  document.querySelector(`[data-page-number="${index + 1}"]`)?.scrollIntoView({ block: 'start' });
+
+// The download encrypted with `protection` when it asks for anything
+const protectExport = (bytes, protection) =>
+  Object.values(protection).some(Boolean) ? encryptPdf(bytes, protection) : bytes;
+
+// Search hits (by page of the file) on the pages as organized, in page order
+const layoutHits = (layout, results) =>
+  layout.flatMap((entry, i) =>
+    (results[entry.source] || []).map((hit) => {
+      const rects = hit.rects.map((rect) => turnRectWithPage(rect, entry.rotation / 90));
+      return { page: i + 1, rects, box: unionRect(rects) };
+    })
+  );
+
 export default function PDFViewerClient() {
   const [pdfFile, setPdfFile] = useState(null);
   const [numPages, setNumPages] = useState(null);
-  const [signatures, setSignatures] = useState([]);
+  // ✅ UNDO / REDO HISTORY: setSignatures shows a state, updateSignatures records it
+  const history = useHistory([]);
+  const { items: signatures, preview: setSignatures, commit: updateSignatures } = history;
   const [signatureImg, setSignatureImg] = useState(null);
+  const [signatureSize, setSignatureSize] = useState(null);
+  const [signatureEntryId, setSignatureEntryId] = useState(null);
+  const [libraryEntries, setLibraryEntries] = useState([]);
+  const [showLibrary, setShowLibrary] = useState(false);
   const [addingType, setAddingType] = useState(null);
-  const [isDrawing, setIsDrawing] = useState(false);
-  const [currentDrawing, setCurrentDrawing] = useState([]);
-  const [pageDimensions, setPageDimensions] = useState({});
-  const [renderScale] = useState(1.5);
-  const canvasRefs = useRef({});
-
-  // ✅ UNDO HISTORY
-  const [signatureHistory, setSignatureHistory] = useState([[]]);
-  const [historyIndex, setHistoryIndex] = useState(0);
-
-  // ✅ Helper to manage history + update signatures
-  const updateSignatures = useCallback((newSignatures) => {
-    const newHistory = signatureHistory.slice(0, historyIndex + 1);
-    newHistory.push(newSignatures);
-    setSignatureHistory(newHistory);
-    setHistoryIndex(newHistory.length - 1);
-    setSignatures(newSignatures);
-  }, [signatureHistory, historyIndex]);
-
-  // ✅ Cleanup blob URL on unmount or new signature
+  const [currentDrawing, setCurrentDrawing] = useState(null);
+  const [drawSettings, setDrawSettings] = useState({
+    tool: 'pen',
+    ...DEFAULT_STROKE_STYLES,
+    eraser: { partial: true, size: 16 },
+  });
+  const [shapeSettings, setShapeSettings] = useState({ shape: 'rect', style: {} });
+  const [shapeDraft, setShapeDraft] = useState(null);
+  const [markupSettings, setMarkupSettings] = useState({ markup: 'highlight', ...DEFAULT_MARKUP_STYLES });
+  const [stampSettings, setStampSettings] = useState({
+    stamp: 'date',
+    dateFormat: 'locale',
+    initials: '',
+    color: DEFAULT_STAMP_COLOR,
+    everyPage: false,
+  });
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState({});
+  const [searching, setSearching] = useState(false);
+  const [currentHit, setCurrentHit] = useState(null);
+  const [redactLabel, setRedactLabel] = useState('REDACTED');
+  const [isRedacting, setIsRedacting] = useState(false);
+  const [sourcePages, setSourcePages] = useState({});
+  const [showOrganizer, setShowOrganizer] = useState(false);
+  const [showSplit, setShowSplit] = useState(false);
+  const [showProtect, setShowProtect] = useState(false);
+  const [protection, setProtection] = useState(NO_PROTECTION);
+  const [signer, setSigner] = useState(null);
+  const [signReason, setSignReason] = useState('');
+  const [signatureChecks, setSignatureChecks] = useState(undefined);
+  const [auditLog, setAuditLog] = useState({ originalHash: null, entries: [] });
+  const [auditName, setAuditName] = useState('');
+  const [certificatePage, setCertificatePage] = useState(false);
+  const [showAudit, setShowAudit] = useState(false);
+  const [zoom, setZoom] = useState({ mode: 'width', scale: 1.5 });
+  const [viewerSize, setViewerSize] = useState(null);
+  // the page scroller and the page list in it, set once the document has loaded
+  const [viewer, setViewer] = useState(null);
+  const [pageList, setPageList] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportMode, setExportMode] = useState('flatten');
+  const [hasForm, setHasForm] = useState(false);
+  const [flattenForm, setFlattenForm] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [keepAspect, setKeepAspect] = useState(true);
+  const [textStyle, setTextStyle] = useState(DEFAULT_TEXT_STYLE);
+  const [showSignatureDialog, setShowSignatureDialog] = useState(false);
+  const [documentId, setDocumentId] = useState(null);
+  const [recentDocuments, setRecentDocuments] = useState([]);
+  const [restoreOffer, setRestoreOffer] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const lastItemId = useRef(0);
+  const drawPointer = useRef(null);
+  const lastPenTime = useRef(0);
+  const placedShape = useRef(false);
+  const overlayInputRef = useRef(null);
+  const addFilesInputRef = useRef(null);
+  const zoomAnchor = useRef(null);
+  const textIndexes = useRef(new Map());
+  const searchRun = useRef(0);
+  const searchTimer = useRef(null);
+  const searchInputRef = useRef(null);
+  const pdfRef = useRef(null);
+  const documentPassword = useRef('');
+  const lockedFile = useRef(null);
+  const sourceProtection = useRef(null);
+  const certificateInputRef = useRef(null);
+  const transformRef = useRef(null);
+  const objectUrls = useRef(new Map());
+  const libraryUrls = useRef(new Map());
+  const auditRun = useRef(0);
+  const stampImages = useRef(new Map());
+
+  // ✅ AUDIT TRAIL: the items the user places are logged with who placed
+  // them, when, where and the hash of the original file. Other changes (edits,
+  // eraser splits, imports, undo and redo) are not placements and are not logged.
+  const logPlaced = (items) => {
+    const name = auditName.trim() || signer?.name;
+    setAuditLog((log) => ({
+      ...log,
+      entries: [...log.entries, ...items.map((item) => createAuditEntry(item, name, log.originalHash))],
+    }));
+  };
+
+  // Files merged into the open document do not start a new log: the items
+  // logged are still on it and the original file is still the one the
+  // session started from. The merge is logged with the hash of the result.
+  const logMerge = (files, pageCount, hash) => {
+    const name = auditName.trim() || signer?.name;
+    const entry = createMergeEntry(files.map((file) => file.name), pageCount, name, hash);
+    setAuditLog((log) => ({ ...log, entries: [...log.entries, entry] }));
+  };
+
+  const placeItems = (items) => {
+    updateSignatures([...signatures, ...items]);
+    logPlaced(items);
+  };
+
+  // A new log for a newly opened file, or the stored one of a session. Items
+  // placed while the file is still being hashed get the hash once it is known.
+  const startAuditLog = (file, stored = null) => {
+    const run = ++auditRun.current;
+    setAuditLog(stored ?? { originalHash: null, entries: [] });
+    if (stored?.originalHash || !file) return;
+    sha256Hex(file)
+      .then((hash) => {
+        if (run !== auditRun.current) return;
+        setAuditLog((log) => ({
+          originalHash: hash,
+          entries: log.entries.map((entry) => (entry.documentHash ? entry : { ...entry, documentHash: hash })),
+        }));
+      })
+      .catch((err) => console.error('Could not hash the document', err));
+  };
+
+  // ✅ Blob URLs stay alive while placed items may point at them, cleanup on unmount only
   useEffect(() => {
+    const urls = objectUrls.current;
     return () => {
-      if (signatureImg) URL.revokeObjectURL(signatureImg);
+      urls.forEach((_, url) => URL.revokeObjectURL(url));
+      urls.clear();
     };
-  }, [signatureImg]);
+  }, []);
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file?.type === 'application/pdf') {
-      setPdfFile(file);
-      setSignatures([]);
-      setPageDimensions({});
-      setSignatureHistory([[]]);
-      setHistoryIndex(0);
+  const createObjectUrl = useCallback((blob) => {
+    const url = URL.createObjectURL(blob);
+    objectUrls.current.set(url, blob);
+    return url;
+  }, []);
+
+  const libraryEntryUrl = useCallback((entry) => {
+    if (!libraryUrls.current.has(entry.id)) libraryUrls.current.set(entry.id, createObjectUrl(entry.blob));
+    return libraryUrls.current.get(entry.id);
+  }, [createObjectUrl]);
+
+  // ✅ SIGNATURE LIBRARY (IndexedDB)
+  const refreshLibrary = useCallback(async () => {
+    const entries = await listEntries();
+    setLibraryEntries(entries.map((entry) => ({ ...entry, url: libraryEntryUrl(entry) })));
+    return entries;
+  }, [libraryEntryUrl]);
+
+  const pickLibraryEntry = (entry, place = true) => {
+    setSignatureImg(libraryEntryUrl(entry));
+    setSignatureSize({ width: entry.width, height: entry.height });
+    setSignatureEntryId(entry.id);
+    setShowLibrary(false);
+    if (place && pdfFile) setAddingType('signature');
+  };
+
+  useEffect(() => {
+    refreshLibrary()
+      .then((entries) => {
+        const fallback = entries.find((entry) => entry.kind === 'signature' && entry.isDefault);
+        if (!fallback) return;
+        setSignatureImg((current) => current ?? libraryEntryUrl(fallback));
+        setSignatureSize((current) => current ?? { width: fallback.width, height: fallback.height });
+        setSignatureEntryId((current) => current ?? fallback.id);
+      })
+      .catch((err) => console.error('Could not load the signature library', err));
+  }, [refreshLibrary, libraryEntryUrl]);
+
+  // ✅ AUTOSAVE + RECENT DOCUMENTS (IndexedDB)
+  const refreshRecent = useCallback(async () => {
+    setRecentDocuments(await listRecentDocuments());
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      await refreshRecent();
+      const activeId = await getActiveDocumentId();
+      if (!activeId) return;
+      const recent = await listRecentDocuments();
+      const record = recent.find((r) => r.id === activeId);
+      if (record) setRestoreOffer(record);
+    })().catch((err) => console.error('Could not read saved sessions', err));
+  }, [refreshRecent]);
+
+  useEffect(() => {
+    if (!documentId) return;
+    setSaveStatus('saving');
+    const timer = setTimeout(() => {
+      const items = toStoredItems(signatures, (url) => objectUrls.current.get(url));
+      saveDocumentItems(documentId, items, history.pages, auditLog)
+        .then(() => setSaveStatus('saved'))
+        .catch((err) => {
+          console.error('Autosave failed', err);
+          setSaveStatus('error');
+        });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [documentId, signatures, history.pages, auditLog]);
+
+  const showDocument = (file, items, pages = null) => {
+    pdfRef.current = null;
+    documentPassword.current = '';
+    lockedFile.current = null;
+    setSignatureChecks(undefined);
+    textIndexes.current = new Map();
+    searchRun.current += 1;
+    setSearchQuery('');
+    setSearchResults({});
+    setSearching(false);
+    setCurrentHit(null);
+    setPdfFile(file);
+    history.reset(items, pages);
+    setSourcePages({});
+    setHasForm(false);
+    setSelectedId(null);
+    setAddingType(null);
+  };
+
+  // A new session in this browser for the document shown, autosave follows its
+  // id. Earlier work on the same file is kept and offered for restore.
+  const storeDocument = (file) => {
+    setDocumentId(null);
+    setRestoreOffer(null);
+    setSaveStatus(null);
+    createDocument(file)
+      .then(({ record, previous }) => {
+        setDocumentId(record.id);
+        if (previous.length) setRestoreOffer({ ...previous[0], replaces: record.id });
+        return refreshRecent();
+      })
+      .catch((err) => console.error('Could not store the document for autosave', err));
+  };
+
+  // Several PDFs or scans are merged into one working document, the organizer reorders them
+  const handleFileChange = async (e) => {
+    const files = Array.from(e.target.files).filter(isMergeable);
+    e.target.value = '';
+    if (!files.length) return;
+    try {
+      const single = files.length === 1 && files[0].type === 'application/pdf';
+      const name = `${files[0].name.replace(/\.[^.]*$/, '')}${files.length > 1 ? '-merged' : ''}.pdf`;
+      const file = single ? files[0] : (await mergeFiles(files, name)).file;
+      showDocument(file, []);
+      setNumPages(null);
+      storeDocument(file);
+      startAuditLog(file);
+      forgetSourceProtection();
+    } catch (err) {
+      console.error(err);
+      alert(`Could not open the files: ${err.message}`);
+    }
+  };
+
+  // ✅ ADD PAGES: files appended to the open document, the items stay where they are.
+  // It is still the same document: its audit log goes on (see `logMerge`) and
+  // the protection of an encrypted original still applies to the download.
+  const addFiles = async (e) => {
+    const files = Array.from(e.target.files).filter(isMergeable);
+    e.target.value = '';
+    if (!files.length || !pdfFile || !numPages) return;
+    try {
+      const { file, pageCount } = await mergeFiles([pdfFile, ...files], pdfFile.name);
+      logMerge(files, pageCount - numPages, await sha256Hex(file));
+      const added = Array.from({ length: pageCount - numPages }, (_, i) => ({
+        id: newItemId(),
+        source: numPages + i + 1,
+        rotation: 0,
+      }));
+      // the file changes under the items, so the undo history starts over
+      showDocument(file, signatures, history.pages && [...history.pages, ...added]);
+      storeDocument(file);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not add the files: ${err.message}`);
+    }
+  };
+
+  const openRecentDocument = async (id) => {
+    setRestoreOffer(null);
+    try {
+      const { record, file } = await openDocument(id);
+      const urls = new Map();
+      const items = fromStoredItems(record.items, (blob) => {
+        if (!urls.has(blob)) urls.set(blob, createObjectUrl(blob));
+        return urls.get(blob);
+      });
+      showDocument(file, items, record.pages);
+      setDocumentId(record.id);
+      startAuditLog(file, record.audit);
+      forgetSourceProtection();
+      await refreshRecent();
+      return true;
+    } catch (err) {
+      console.error(err);
+      alert(`Could not open the document: ${err.message}`);
+      await refreshRecent();
+      return false;
     }
   };
 
+  // The offered session replaces the new one made for the same file, if any
+  const restoreSession = async (offer) => {
+    if (!(await openRecentDocument(offer.id)) || !offer.replaces) return;
+    await deleteDocument(offer.replaces).catch((err) => console.error(err));
+    await refreshRecent();
+  };
+
+  // Declining earlier work on the file just opened deletes it, a session
+  // left open on the last visit stays in the recent list
+  const discardRestore = () => {
+    setRestoreOffer(null);
+    (restoreOffer.replaces ? deleteDocument(restoreOffer.id) : setActiveDocument(null))
+      .then(refreshRecent)
+      .catch((err) => console.error(err));
+  };
+
+  const closeDocument = () => {
+    showDocument(null, []);
+    startAuditLog(null);
+    forgetSourceProtection();
+    setNumPages(null);
+    setDocumentId(null);
+    setSaveStatus(null);
+    setActiveDocument(null)
+      .then(refreshRecent)
+      .catch((err) => console.error(err));
+  };
+
+  const removeRecentDocument = async (id) => {
+    await deleteDocument(id).catch((err) => console.error(err));
+    await refreshRecent();
+  };
+
+  const applySignatureImage = (blob) => {
+    const url = createObjectUrl(blob);
+    const img = new Image();
+    img.onload = () => setSignatureSize({ width: img.naturalWidth, height: img.naturalHeight });
+    img.src = url;
+    setSignatureImg(url);
+    setSignatureEntryId(null);
+  };
+
   const handleSignatureUpload = (e) => {
     const file = e.target.files[0];
-    if (file) {
-      if (signatureImg) URL.revokeObjectURL(signatureImg);
-      setSignatureImg(URL.createObjectURL(file));
+    if (file) applySignatureImage(file);
+  };
+
+  const handleSignatureCreated = async (blob, libraryOptions) => {
+    setShowSignatureDialog(false);
+    if (!libraryOptions) {
+      applySignatureImage(blob);
+      if (pdfFile) setAddingType('signature');
+      return;
+    }
+    try {
+      const entry = await saveEntry({ ...libraryOptions, blob });
+      await refreshLibrary();
+      pickLibraryEntry(entry);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not save to the library: ${err.message}`);
+      applySignatureImage(blob);
+    }
+  };
+
+  // ✅ DOCUMENT / PAGE LOAD: page size, form fields, empty signature fields
+  // Size, /Rotate and empty signature fields of a page of the file
+  const readPageInfo = async (page) => {
+    // originalWidth/Height ignore /Rotate and the CropBox origin, the viewport does not
+    const viewport = page.getViewport({ scale: 1 });
+    let annotations = [];
+    try {
+      annotations = await page.getAnnotations();
+    } catch (err) {
+      console.error('Could not read the page annotations', err);
+    }
+    const fields = annotations
+      .filter((a) => a.fieldType === 'Sig')
+      .map((a) => {
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(a.rect);
+        return {
+          name: a.fieldName,
+          x: Math.min(x1, x2) / viewport.width,
+          y: Math.min(y1, y2) / viewport.height,
+          width: Math.abs(x2 - x1) / viewport.width,
+          height: Math.abs(y2 - y1) / viewport.height,
+        };
+      });
+    return { width: viewport.width, height: viewport.height, rotate: page.rotate, fields };
+  };
+
+  // Every page is read up front, without rendering it: the pages off screen
+  // are empty boxes of their size. Stops when another document is opened.
+  const loadPageInfo = async (pdf) => {
+    let batch = {};
+    for (let source = 1; source <= pdf.numPages; source++) {
+      const info = await readPageInfo(await pdf.getPage(source));
+      if (pdfRef.current !== pdf) return;
+      batch[source] = info;
+      if (source % PAGE_INFO_BATCH === 0 || source === pdf.numPages) {
+        const loaded = batch;
+        batch = {};
+        setSourcePages((prev) => ({ ...prev, ...loaded }));
+      }
+    }
+  };
+
+  // ✅ PASSWORD: pdf.js asks for it on opening, the same password decrypts
+  // the copy pdf-lib edits and exports
+  const askPassword = (callback, reason) => {
+    const password = window.prompt(
+      reason === pdfjs.PasswordResponses.INCORRECT_PASSWORD
+        ? 'Wrong password, try again:'
+        : 'This PDF is password protected. Enter its password:'
+    );
+    if (password === null) {
+      closeDocument();
+      return;
+    }
+    documentPassword.current = password;
+    callback(password);
+  };
+
+  // pdf-lib cannot read encrypted files, so the document shown is swapped
+  // for a decrypted copy; the stored session keeps the file as it was. The
+  // downloads are protected like the file unless the user changes it.
+  const unlockDocument = async (pdf) => {
+    const { info } = await pdf.getMetadata();
+    if (!info.EncryptFilterName) return;
+    const { bytes, protection: source } = await decryptPdf(
+      new Uint8Array(await pdfFile.arrayBuffer()),
+      documentPassword.current
+    );
+    if (pdfRef.current !== pdf) return;
+    pdfRef.current = null;
+    lockedFile.current = pdfFile;
+    sourceProtection.current = source;
+    setProtection({ ...source, userPassword: source.userPassword ?? '', ownerPassword: source.ownerPassword ?? '' });
+    setShowProtect(true);
+    setPdfFile(new File([bytes], pdfFile.name, { type: 'application/pdf' }));
+  };
+
+  // What was read from an encrypted file does not carry over to the next one
+  const forgetSourceProtection = () => {
+    if (!sourceProtection.current) return;
+    sourceProtection.current = null;
+    setProtection(NO_PROTECTION);
+  };
+
+  const handleDocumentLoad = (pdf) => {
+    pdfRef.current = pdf;
+    setNumPages(pdf.numPages);
+    unlockDocument(pdf).catch((err) => {
+      console.error(err);
+      alert(`Could not decrypt the PDF for editing: ${err.message}`);
+    });
+    hasFormFields(pdf)
+      .then(setHasForm)
+      .catch((err) => console.error('Could not read the form fields', err));
+    loadPageInfo(pdf).catch((err) => console.error('Could not read the pages', err));
+  };
+
+  // ✅ PAGE LAYOUT: the pages as organized, sizes and fields by position (1-based)
+  const layout = useMemo(() => history.pages ?? initialLayout(numPages), [history.pages, numPages]);
+  // only the pages near the screen are rendered
+  const visiblePages = useVisibleRange(pageList, layout.length);
+
+  const pageRotation = (entry) =>
+    entry.rotation ? ((sourcePages[entry.source]?.rotate || 0) + entry.rotation) % 360 : undefined;
+
+  const { pageDimensions, signatureFields } = useMemo(() => {
+    const dimensions = {};
+    const fields = {};
+    layout.forEach((entry, i) => {
+      const size = entry.source ? sourcePages[entry.source] : entry;
+      if (!size) return;
+      const sideways = entry.rotation % 180 !== 0;
+      dimensions[i + 1] = sideways ? { width: size.height, height: size.width } : { width: size.width, height: size.height };
+      fields[i + 1] = (size.fields || []).map((field) => turnRectWithPage(field, entry.rotation / 90));
+    });
+    return { pageDimensions: dimensions, signatureFields: fields };
+  }, [layout, sourcePages]);
+
+  // ✅ ZOOM: pages render at renderScale px per pt, every overlay is laid out from it
+  const renderScale = useMemo(
+    () => zoomScale(zoom, viewerSize, Object.values(pageDimensions)),
+    [zoom, viewerSize, pageDimensions]
+  );
+
+  // Zooms keeping the content under (clientX, clientY) in place
+  const zoomTo = (next, clientX, clientY) => {
+    const factor = zoomScale(next, viewerSize, Object.values(pageDimensions)) / renderScale;
+    if (pageList && Math.abs(factor - 1) > 0.001) {
+      const rect = pageList.getBoundingClientRect();
+      zoomAnchor.current = { x: clientX - rect.left, y: clientY - rect.top, clientX, clientY, factor };
+    }
+    setZoom(next);
+  };
+
+  const zoomAtCenter = (next) => {
+    if (!viewer) {
+      setZoom(next);
+      return;
+    }
+    const rect = viewer.getBoundingClientRect();
+    const top = Math.max(rect.top, 0);
+    const bottom = Math.min(rect.bottom, window.innerHeight);
+    zoomTo(next, rect.left + rect.width / 2, (top + bottom) / 2);
+  };
+
+  useLayoutEffect(() => {
+    const anchor = zoomAnchor.current;
+    zoomAnchor.current = null;
+    if (!anchor || !viewer || !pageList) return;
+    pageList.style.transform = '';
+    const rect = pageList.getBoundingClientRect();
+    viewer.scrollLeft += rect.left + anchor.x * anchor.factor - anchor.clientX;
+    window.scrollBy(0, rect.top + anchor.y * anchor.factor - anchor.clientY);
+  }, [renderScale, viewer, pageList]);
+
+  // The space the fit modes fit the pages into
+  useEffect(() => {
+    if (!viewer) return;
+    const measure = () =>
+      setViewerSize({ width: viewer.clientWidth - PAGE_BORDER, height: window.innerHeight - FIT_MARGIN });
+    const observer = new ResizeObserver(measure);
+    observer.observe(viewer);
+    window.addEventListener('resize', measure);
+    return () => {
+      observer.disconnect();
+      window.removeEventListener('resize', measure);
+    };
+  }, [viewer]);
+
+  // Ctrl+wheel (a touchpad pinch too) and two-finger pinch. While the gesture
+  // runs the pages are only scaled with CSS, they render again at its end.
+  useEffect(() => {
+    if (!viewer || !pageList) return;
+    const pages = pageList;
+    let gesture = null;
+    let pinchDistance = null;
+    let timer = null;
+
+    const begin = (clientX, clientY) => {
+      if (gesture) return;
+      const rect = pages.getBoundingClientRect();
+      gesture = { x: clientX - rect.left, y: clientY - rect.top, clientX, clientY, factor: 1 };
+      pages.style.transformOrigin = `${gesture.x}px ${gesture.y}px`;
+    };
+    const preview = (factor) => {
+      gesture.factor = clampZoom(renderScale * factor) / renderScale;
+      pages.style.transform = `scale(${gesture.factor})`;
+    };
+    const end = () => {
+      if (!gesture) return;
+      if (Math.abs(gesture.factor - 1) < 0.01) {
+        pages.style.transform = '';
+      } else {
+        zoomAnchor.current = gesture;
+        setZoom({ mode: 'custom', scale: renderScale * gesture.factor });
+      }
+      gesture = null;
+    };
+
+    const onWheel = (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      begin(e.clientX, e.clientY);
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // lines on some mice
+      preview(gesture.factor * Math.exp(-delta * WHEEL_ZOOM_SPEED));
+      clearTimeout(timer);
+      timer = setTimeout(end, WHEEL_ZOOM_DELAY);
+    };
+
+    const distance = ([a, b]) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+    const onTouchStart = (e) => {
+      if (e.touches.length !== 2) return;
+      // the second finger turns a stroke or shape being drawn into a pinch
+      drawPointer.current = null;
+      setCurrentDrawing(null);
+      setShapeDraft(null);
+      const [a, b] = e.touches;
+      begin((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+      pinchDistance = distance(e.touches);
+    };
+    const onTouchMove = (e) => {
+      if (!pinchDistance || e.touches.length !== 2) return;
+      e.preventDefault();
+      preview(distance(e.touches) / pinchDistance);
+    };
+    const onTouchEnd = (e) => {
+      if (!pinchDistance || e.touches.length >= 2) return;
+      pinchDistance = null;
+      end();
+    };
+
+    viewer.addEventListener('wheel', onWheel, { passive: false });
+    viewer.addEventListener('touchstart', onTouchStart, { passive: true });
+    viewer.addEventListener('touchmove', onTouchMove, { passive: false });
+    viewer.addEventListener('touchend', onTouchEnd);
+    viewer.addEventListener('touchcancel', onTouchEnd);
+    return () => {
+      clearTimeout(timer);
+      if (gesture) pages.style.transform = '';
+      viewer.removeEventListener('wheel', onWheel);
+      viewer.removeEventListener('touchstart', onTouchStart);
+      viewer.removeEventListener('touchmove', onTouchMove);
+      viewer.removeEventListener('touchend', onTouchEnd);
+      viewer.removeEventListener('touchcancel', onTouchEnd);
+    };
+  }, [viewer, pageList, renderScale]);
+
+  // ✅ PAGE ORGANIZER: each change carries the items along and is one undo step
+  const organizePages = (change) => {
+    const { pages, items } = change({ pages: layout, items: signatures });
+    updateSignatures(items, { pages });
+    setSelectedId(null);
+  };
+
+  const pageOrganizerActions = {
+    onOpen: scrollToPage,
+    onMove: (from, to) => organizePages((state) => movePage(state, from, to)),
+    onDelete: (index) => organizePages((state) => deletePage(state, index)),
+    onDuplicate: (index) => organizePages((state) => duplicatePage(state, index, newItemId)),
+    onRotate: (index) => {
+      if (pageDimensions[index + 1]) organizePages((state) => rotatePage(state, index, pageDimensions[index + 1]));
+    },
+    // a blank page takes the size of the page before it
+    onInsertBlank: (index) =>
+      organizePages((state) => insertBlankPage(state, index, pageDimensions[index] || BLANK_PAGE_SIZE, newItemId)),
+  };
+
+  // ✅ TEXT SEARCH: the text of each page is read once, on the first search
+  const searchHits = useMemo(() => layoutHits(layout, searchResults), [layout, searchResults]);
+
+  const scrollToHit = (hit) => {
+    const box = document.querySelector(`[data-page-number="${hit.page}"]`);
+    if (!box) return;
+    const rect = box.getBoundingClientRect();
+    window.scrollBy(0, rect.top + hit.box.y * rect.height - window.innerHeight / 3);
+    if (viewer) {
+      const view = viewer.getBoundingClientRect();
+      viewer.scrollLeft += rect.left + (hit.box.x + hit.box.width / 2) * rect.width - (view.left + view.width / 2);
+    }
+  };
+
+  const runSearch = async (query) => {
+    const run = ++searchRun.current;
+    const pattern = searchPattern(query);
+    const pdf = pdfRef.current;
+    setCurrentHit(null);
+    if (!pattern || !pdf) {
+      setSearchResults({});
+      setSearching(false);
+      return;
+    }
+    setSearching(true);
+    const results = {};
+    try {
+      for (let source = 1; source <= pdf.numPages; source++) {
+        let index = textIndexes.current.get(source);
+        if (!index) {
+          const page = await pdf.getPage(source);
+          index = buildTextIndex((await page.getTextContent()).items, page.getViewport({ scale: 1 }));
+          textIndexes.current.set(source, index);
+        }
+        if (run !== searchRun.current) return;
+        const hits = findInPage(index, pattern);
+        if (hits.length) results[source] = hits;
+      }
+    } catch (err) {
+      console.error('Search failed', err);
+    }
+    if (run !== searchRun.current) return;
+    setSearchResults(results);
+    setSearching(false);
+    // the first hit from the page being read on
+    const hits = layoutHits(layout, results);
+    const first = Math.max(0, hits.findIndex((hit) => hit.page > visiblePages.current));
+    if (hits.length) {
+      setCurrentHit(first);
+      scrollToHit(hits[first]);
+    }
+  };
+
+  const changeSearchQuery = (query) => {
+    setSearchQuery(query);
+    clearTimeout(searchTimer.current);
+    searchTimer.current = setTimeout(() => runSearch(query), SEARCH_DELAY);
+  };
+
+  const stepHit = (direction) => {
+    if (!searchHits.length) return;
+    const next = currentHit === null ? 0 : (currentHit + direction + searchHits.length) % searchHits.length;
+    setCurrentHit(next);
+    scrollToHit(searchHits[next]);
+  };
+
+  // A signature or today's date right after the current hit, e.g. after "Signature:"
+  const placeAtHit = (kind) => {
+    const hit = searchHits[currentHit];
+    const pageDim = hit && pageDimensions[hit.page];
+    if (!pageDim) return;
+    if (kind === 'signature' && !signatureImg) {
+      setShowSignatureDialog(true);
+      return;
+    }
+    let item;
+    if (kind === 'signature') {
+      const aspect = signatureSize ? signatureSize.height / signatureSize.width : 0.5;
+      item = {
+        width: SIGNATURE_WIDTH,
+        height: (SIGNATURE_WIDTH * pageDim.width * aspect) / pageDim.height,
+        type: 'signature',
+        content: signatureImg,
+      };
+    } else {
+      const content = formatDate(new Date(), stampSettings.dateFormat);
+      const box = measureTextBox(content, textStyle);
+      item = { width: box.width / pageDim.width, height: box.height / pageDim.height, ...textStyle, type: 'text', content };
+    }
+    const at = besideRect(hit.box, item, { x: HIT_GAP / pageDim.width, y: HIT_GAP / pageDim.height });
+    const id = newItemId();
+    placeItems([{ id, page: hit.page, ...at, rotation: 0, ...item }]);
+    setSelectedId(id);
+    setAddingType(null);
+  };
+
+  // ✅ SIGNATURE FIELDS: the current signature is fitted into the field box
+  const signField = (pageNum, field) => {
+    if (!signatureImg) {
+      setShowSignatureDialog(true);
+      return;
+    }
+    const pageDim = pageDimensions[pageNum];
+    const aspect = signatureSize ? signatureSize.height / signatureSize.width : 0.5;
+    const boxWidth = field.width * pageDim.width;
+    const boxHeight = field.height * pageDim.height;
+    const width = Math.min(boxWidth, boxHeight / aspect);
+    const height = width * aspect;
+    const id = newItemId();
+    placeItems([
+      {
+        id,
+        page: pageNum,
+        x: field.x + (boxWidth - width) / 2 / pageDim.width,
+        y: field.y + (boxHeight - height) / 2 / pageDim.height,
+        width: width / pageDim.width,
+        height: height / pageDim.height,
+        rotation: 0,
+        type: 'signature',
+        content: signatureImg,
+        field: field.name,
+      },
+    ]);
+    setSelectedId(id);
+  };
+
+  // ✅ STAMPS: dates and initials are placed as text, marks and rubber stamps
+  // as images drawn once per look; custom stamps live in the library
+  const defaultInitials = initialsOf(auditName.trim() || signer?.name);
+  const libraryStamps = libraryEntries.filter((entry) => entry.kind === 'stamp');
+
+  const stampImage = async (stamp, color) => {
+    if (stamp.startsWith('library:')) {
+      const entry = libraryStamps.find((e) => `library:${e.id}` === stamp);
+      return entry && { url: entry.url, width: entry.width, height: entry.height, name: entry.name };
+    }
+    const key = MARKS[stamp] ? `${stamp}:${color}` : stamp;
+    if (!stampImages.current.has(key)) {
+      const canvas = MARKS[stamp] ? renderMark(stamp, color) : await renderRubberStamp(RUBBER_STAMPS[stamp].label, RUBBER_STAMPS[stamp].color);
+      const url = createObjectUrl(await canvasToBlob(canvas));
+      const name = (MARKS[stamp] ?? RUBBER_STAMPS[stamp]).label;
+      stampImages.current.set(key, { url, width: canvas.width, height: canvas.height, name });
+    }
+    return stampImages.current.get(key);
+  };
+
+  // Size in pt and item fields of the stamp picked in the palette; image
+  // stamps keep their name in `stamp`, which tells them from signatures
+  const stampTemplate = async () => {
+    const { stamp, dateFormat, color } = stampSettings;
+    if (stamp === 'date' || stamp === 'initials') {
+      const content = stamp === 'date' ? formatDate(new Date(), dateFormat) : stampSettings.initials.trim() || defaultInitials;
+      if (!content) throw new Error('type your initials or your name in the audit trail first');
+      return { ...measureTextBox(content, textStyle), item: { ...textStyle, type: 'text', content } };
+    }
+    const image = await stampImage(stamp, color);
+    if (!image) throw new Error('the stamp is no longer in your library');
+    const height = MARKS[stamp] ? MARK_SIZE : STAMP_HEIGHT;
+    return { width: (height * image.width) / image.height, height, item: { type: 'signature', stamp: image.name, content: image.url } };
+  };
+
+  const placeStamp = async (pageNum, x, y) => {
+    let template;
+    try {
+      template = await stampTemplate();
+    } catch (err) {
+      alert(`Could not place the stamp: ${err.message}`);
+      return;
+    }
+    const pages = stampSettings.everyPage ? layout.map((_, i) => i + 1) : [pageNum];
+    const placed = pages
+      .filter((page) => pageDimensions[page])
+      .map((page) => ({
+        id: newItemId(),
+        page,
+        x,
+        y,
+        width: template.width / pageDimensions[page].width,
+        height: template.height / pageDimensions[page].height,
+        rotation: 0,
+        ...template.item,
+      }));
+    placeItems(placed);
+    setSelectedId(placed.find((item) => item.page === pageNum)?.id ?? null);
+  };
+
+  const createStamp = async ({ text, file }) => {
+    try {
+      const blob = file ?? (await canvasToBlob(await renderRubberStamp(text, stampSettings.color)));
+      const name = file ? file.name.replace(/\.[^.]+$/, '') : text.trim().toUpperCase();
+      const entry = await saveEntry({ name, kind: 'stamp', blob });
+      await refreshLibrary();
+      setStampSettings({ ...stampSettings, stamp: `library:${entry.id}` });
+    } catch (err) {
+      console.error(err);
+      alert(`Could not save the stamp: ${err.message}`);
     }
   };
 
   const handlePageClick = (pageNum, e) => {
-    if (!addingType || addingType === 'draw') return;
+    // the click ending the drag that placed a shape must not unselect it
+    if (placedShape.current) return;
+    if (!addingType) setSelectedId(null);
+    if (!addingType || ['draw', 'shape', 'markup'].includes(addingType)) return;
 
     const rect = e.currentTarget.getBoundingClientRect();
     const x = e.clientX - rect.left;
@@ -72,206 +995,685 @@ export default function PDFViewerClient() {
     const normalizedY = y / (pageDim.height * renderScale);
 
     if (addingType === 'signature' && signatureImg) {
-      updateSignatures([
-        ...signatures,
+      const aspect = signatureSize ? signatureSize.height / signatureSize.width : 0.5;
+      const id = newItemId();
+      placeItems([
         { 
-          id: Date.now(), 
+          id, 
           page: pageNum, 
           x: normalizedX, 
           y: normalizedY, 
+          width: SIGNATURE_WIDTH,
+          height: (SIGNATURE_WIDTH * pageDim.width * aspect) / pageDim.height,
+          rotation: 0,
           type: 'signature', 
           content: signatureImg 
         },
       ]);
+      setSelectedId(id);
       setAddingType(null);
+    } else if (addingType === 'stamp') {
+      placeStamp(pageNum, normalizedX, normalizedY);
     } else if (addingType === 'text') {
-      updateSignatures([
+      // not recorded yet, the history step is made once the text is committed
+      const id = newItemId();
+      const box = measureTextBox('', textStyle);
+      setSignatures([
         ...signatures,
         { 
-          id: Date.now(), 
+          id, 
           page: pageNum, 
           x: normalizedX, 
           y: normalizedY, 
+          width: box.width / pageDim.width,
+          height: box.height / pageDim.height,
+          rotation: 0,
+          ...textStyle,
           type: 'text', 
           content: '', 
           editing: true 
         },
       ]);
+      setSelectedId(id);
       setAddingType(null);
     }
   };
 
-  const startDrawing = (pageNum, e) => {
-    if (addingType !== 'draw') return;
-    const rect = e.currentTarget.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-
+  // ✅ DRAW TOOL: pointer events so pens, touch and mice all draw. One pointer
+  // draws at a time; while a stylus is in use touches are taken for the palm
+  // resting on the screen. Pen / highlighter strokes keep their own style, the
+  // eraser previews while dragging and records one history step on release.
+  const pointerOnPage = (pageNum, target, e) => {
     const pageDim = pageDimensions[pageNum];
-    if (!pageDim) return;
+    if (!pageDim) return null;
+    const rect = target.getBoundingClientRect();
+    const size = { width: pageDim.width * renderScale, height: pageDim.height * renderScale };
+    const x = Math.min(Math.max(e.clientX - rect.left, 0), size.width);
+    const y = Math.min(Math.max(e.clientY - rect.top, 0), size.height);
+    return { x, y, size };
+  };
 
-    const normalizedX = x / (pageDim.width * renderScale);
-    const normalizedY = y / (pageDim.height * renderScale);
+  const strokePoint = (pointer, e) => {
+    const point = { x: pointer.x / pointer.size.width, y: pointer.y / pointer.size.height };
+    if (e.pointerType === 'pen') point.p = e.pressure;
+    return point;
+  };
+
+  const isPalm = (e) =>
+    e.pointerType === 'touch' &&
+    (Date.now() - lastPenTime.current < PALM_REJECT_DELAY || Math.max(e.width, e.height) > PALM_SIZE);
 
-    setIsDrawing(true);
-    setCurrentDrawing([{ x: normalizedX, y: normalizedY }]);
+  // ids for strokes split by the eraser, several can be made in the same ms
+  const newItemId = () => {
+    lastItemId.current = Math.max(Date.now(), lastItemId.current + 1);
+    return lastItemId.current;
   };
 
-  const draw = (pageNum, e) => {
-    if (!isDrawing || addingType !== 'draw') return;
-    const rect = e.currentTarget.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+  const erase = (pageNum, pointer) => {
+    const { partial, size } = drawSettings.eraser;
+    const next = eraseStrokes(signatures, pageNum, pointer, size / 2, pointer.size, partial, newItemId);
+    if (next !== signatures) setSignatures(next);
+  };
 
-    const pageDim = pageDimensions[pageNum];
-    if (!pageDim) return;
+  const startDrawing = (pageNum, e) => {
+    if (addingType !== 'draw' || !e.isPrimary || isPalm(e)) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.pointerType === 'pen') lastPenTime.current = Date.now();
+    // a stylus takes over from a touch that started first (the palm landed before the pen)
+    if (drawPointer.current && !(drawPointer.current.type === 'touch' && e.pointerType === 'pen')) return;
+    const pointer = pointerOnPage(pageNum, e.currentTarget, e);
+    if (!pointer) return;
 
-    const normalizedX = x / (pageDim.width * renderScale);
-    const normalizedY = y / (pageDim.height * renderScale);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drawPointer.current = { id: e.pointerId, type: e.pointerType };
+    if (drawSettings.tool === 'eraser') {
+      erase(pageNum, pointer);
+      return;
+    }
+    setCurrentDrawing({ page: pageNum, content: [strokePoint(pointer, e)] });
+  };
 
-    setCurrentDrawing((prev) => [...prev, { x: normalizedX, y: normalizedY }]);
-
-    const canvas = canvasRefs.current[pageNum];
-    if (canvas) {
-      const ctx = canvas.getContext('2d');
-      const points = [...currentDrawing, { x: normalizedX, y: normalizedY }];
-      
-      ctx.strokeStyle = '#2563eb';
-      ctx.lineWidth = 2;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-      
-      if (points.length > 1) {
-        const prev = points[points.length - 2];
-        const curr = points[points.length - 1];
-        ctx.beginPath();
-        ctx.moveTo(prev.x * pageDim.width * renderScale, prev.y * pageDim.height * renderScale);
-        ctx.lineTo(curr.x * pageDim.width * renderScale, curr.y * pageDim.height * renderScale);
-        ctx.stroke();
-      }
+  const draw = (pageNum, e) => {
+    if (e.pointerType === 'pen') lastPenTime.current = Date.now();
+    if (drawPointer.current?.id !== e.pointerId || addingType !== 'draw') return;
+    const target = e.currentTarget;
+    // pens report many more positions than there are frames
+    const events = e.nativeEvent.getCoalescedEvents?.() || [];
+    const pointers = (events.length ? events : [e]).map((event) => [pointerOnPage(pageNum, target, event), event]);
+    if (!pointers[0][0]) return;
+
+    if (drawSettings.tool === 'eraser') {
+      erase(pageNum, pointers[pointers.length - 1][0]);
+      return;
     }
+    const points = pointers.map(([pointer, event]) => strokePoint(pointer, event));
+    setCurrentDrawing((prev) => prev && { ...prev, content: [...prev.content, ...points] });
   };
 
-  const stopDrawing = (pageNum) => {
-    if (!isDrawing || addingType !== 'draw') return;
-    if (currentDrawing.length > 1) {
-      updateSignatures([
-        ...signatures,
-        { id: Date.now(), page: pageNum, type: 'drawing', content: [...currentDrawing] },
+  const stopDrawing = (e) => {
+    if (drawPointer.current?.id !== e.pointerId) return;
+    drawPointer.current = null;
+    if (drawSettings.tool === 'eraser') {
+      updateSignatures(signatures);
+    } else if (currentDrawing?.content.length > 1) {
+      const pageDim = pageDimensions[currentDrawing.page];
+      const size = { width: pageDim.width * renderScale, height: pageDim.height * renderScale };
+      const content = fitStroke(
+        currentDrawing.content.map((p) => ({ ...p, x: p.x * size.width, y: p.y * size.height }))
+      ).map((p) => ({ ...p, x: p.x / size.width, y: p.y / size.height }));
+      placeItems([
+        { id: newItemId(), page: currentDrawing.page, type: 'drawing', ...drawSettings[drawSettings.tool], content },
       ]);
     }
-    setIsDrawing(false);
-    setCurrentDrawing([]);
+    setCurrentDrawing(null);
   };
 
-  const clearCanvas = (pageNum) => {
-    const canvas = canvasRefs.current[pageNum];
-    if (canvas) {
-      const ctx = canvas.getContext('2d');
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-    }
+  const clearDrawings = (pageNum) => {
     updateSignatures(signatures.filter(s => !(s.page === pageNum && s.type === 'drawing')));
   };
 
+  // ✅ STROKE STYLE: applies to the selected stroke and to the next ones drawn
+  const selectedStroke = addingType ? null : signatures.find((s) => s.id === selectedId && s.type === 'drawing');
+
+  const changeStrokeStyle = (changes) => {
+    const style = { ...getStrokeStyle(selectedStroke || drawSettings[drawSettings.tool]), ...changes };
+    setDrawSettings({ ...drawSettings, [style.tool]: style });
+    if (!selectedStroke) return;
+    updateSignatures(
+      signatures.map((s) => (s.id === selectedStroke.id ? { ...s, ...changes } : s)),
+      { merge: `style:${selectedStroke.id}` }
+    );
+  };
+
+  // ✅ SHAPE TOOL: drag to place a shape (a click gives the default size). A
+  // callout points at where the drag starts and opens its text for editing.
+  // Redaction marks are dragged out the same way, as rectangles.
+  const draftShape = (draft) => {
+    if (draft.redact) {
+      return { id: draft.id, page: draft.page, type: 'redaction', ...shapeFromDrag('rect', draft.start, draft.end, draft.size), content: redactLabel };
+    }
+    const { shape, style } = shapeSettings;
+    const item = { id: draft.id, page: draft.page, type: 'shape', shape, ...style, ...shapeFromDrag(shape, draft.start, draft.end, draft.size) };
+    return shape === 'callout' ? { ...item, ...textStyle, content: '', editing: true } : item;
+  };
+
+  const startShape = (pageNum, e) => {
+    if ((addingType !== 'shape' && addingType !== 'redact') || !e.isPrimary || shapeDraft) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    const pointer = pointerOnPage(pageNum, e.currentTarget, e);
+    if (!pointer) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setShapeDraft({
+      id: 'current',
+      pointerId: e.pointerId,
+      page: pageNum,
+      start: pointer,
+      end: pointer,
+      size: pointer.size,
+      redact: addingType === 'redact',
+    });
+  };
+
+  const dragShape = (pageNum, e) => {
+    if (shapeDraft?.pointerId !== e.pointerId) return;
+    const pointer = pointerOnPage(pageNum, e.currentTarget, e);
+    if (pointer) setShapeDraft({ ...shapeDraft, end: pointer });
+  };
+
+  const stopShape = (e) => {
+    if (shapeDraft?.pointerId !== e.pointerId) return;
+    setShapeDraft(null);
+    if (e.type === 'pointercancel') return;
+    const item = draftShape({ ...shapeDraft, id: newItemId() });
+    // callouts are recorded once their text is committed, like text boxes
+    if (item.editing) setSignatures([...signatures, item]);
+    else placeItems([item]);
+    placedShape.current = true;
+    setSelectedId(item.id);
+    setAddingType(null);
+  };
+
+  // ✅ REDACTION: marks are items like the others until applied; applying
+  // rewrites the document without what they cover
+  const redactionMarks = signatures.filter((s) => s.type === 'redaction');
+  const selectedRedaction = addingType ? null : redactionMarks.find((s) => s.id === selectedId);
+
+  const changeRedactLabel = (label) => {
+    setRedactLabel(label);
+    if (!selectedRedaction) return;
+    updateSignatures(
+      signatures.map((s) => (s.id === selectedRedaction.id ? { ...s, content: label } : s)),
+      { merge: `label:${selectedRedaction.id}` }
+    );
+  };
+
+  const markSearchHits = () => {
+    const marks = searchHits.flatMap((hit) =>
+      hit.rects.map((rect) => ({ id: newItemId(), page: hit.page, type: 'redaction', ...rect, rotation: 0, content: redactLabel }))
+    );
+    if (marks.length) placeItems(marks);
+  };
+
+  const applyRedactionMarks = async () => {
+    const pdf = pdfRef.current;
+    if (!redactionMarks.length || !pdf) return;
+    // redacted pages become images, what they had on top of the content is lost
+    const lost = { links: 0, annotations: 0, fields: 0 };
+    for (const [index, entry] of layout.entries()) {
+      if (!entry.source || !redactionMarks.some((mark) => mark.page === index + 1)) continue;
+      const counts = await countLostAnnotations(await pdf.getPage(entry.source));
+      for (const key of Object.keys(lost)) lost[key] += counts[key];
+    }
+    const losses = [
+      lost.links && `${lost.links} link(s) stop working`,
+      lost.annotations && `${lost.annotations} comment(s) or other annotation(s) can no longer be edited`,
+      lost.fields && `${lost.fields} form field(s) can no longer be filled in`,
+    ].filter(Boolean);
+    const question =
+      `Apply ${redactionMarks.length} redaction(s)? The text, images and drawings under them are removed ` +
+      'from the document for good and Undo starts over.' +
+      (losses.length ? `\n\nThe redacted pages become images: ${losses.join(', ')}.` : '');
+    if (!window.confirm(question)) return;
+    setIsRedacting(true);
+    try {
+      const redacted = new Map();
+      for (const [index, entry] of layout.entries()) {
+        const marks = redactionMarks.filter((mark) => mark.page === index + 1);
+        if (!entry.source || !marks.length) continue;
+        const page = await pdf.getPage(entry.source);
+        redacted.set(index, await redactPage(page, (page.rotate + entry.rotation) % 360, marks));
+      }
+      const bytes = await applyRedactions(pdfFile, redactionMarks, redacted, history.pages);
+      const file = new File([bytes], pdfFile.name, { type: 'application/pdf' });
+      // the pages are now in the organized order, the other items stay where they are
+      showDocument(file, signatures.filter((s) => s.type !== 'redaction'));
+      setNumPages(null);
+      storeDocument(file);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not apply the redactions: ${err.message}`);
+    } finally {
+      setIsRedacting(false);
+    }
+  };
+
+  // ✅ SHAPE STYLE: applies to the selected shape and to the next ones placed
+  const selectedShape = addingType ? null : signatures.find((s) => s.id === selectedId && s.type === 'shape');
+
+  const changeShapeStyle = (changes) => {
+    setShapeSettings({ ...shapeSettings, style: { ...shapeSettings.style, ...changes } });
+    if (!selectedShape) return;
+    updateSignatures(
+      signatures.map((s) => (s.id === selectedShape.id ? { ...s, ...changes } : s)),
+      { merge: `style:${selectedShape.id}` }
+    );
+  };
+
+  // ✅ TEXT MARKUP: selecting text on the page in markup mode marks it, one
+  // rectangle per line of the selection
+  const applyMarkup = (pageNum, e) => {
+    const selection = window.getSelection();
+    const pageDim = pageDimensions[pageNum];
+    if (addingType !== 'markup' || !pageDim || !selection || selection.isCollapsed) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const pageRect = {
+      left: rect.left,
+      top: rect.top,
+      right: rect.left + pageDim.width * renderScale,
+      bottom: rect.top + pageDim.height * renderScale,
+    };
+    const quads = selectionQuads(selection.getRangeAt(0).getClientRects(), pageRect);
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+    selection.removeAllRanges();
+    if (!quads.length) return;
+    const { markup } = markupSettings;
+    // the text runs along the page as displayed, turned by its own and the organizer's rotation
+    const entry = layout[pageNum - 1];
+    const rotation = ((sourcePages[entry.source]?.rotate || 0) + entry.rotation) % 360;
+    placeItems([
+      { id: newItemId(), page: pageNum, type: 'markup', markup, ...markupSettings[markup], ...quadsBox(quads), rotation, quads, content: text },
+    ]);
+  };
+
+  const selectedMarkup = addingType ? null : signatures.find((s) => s.id === selectedId && s.type === 'markup');
+
+  const changeMarkup = (changes) => {
+    const markup = changes.markup || selectedMarkup?.markup || markupSettings.markup;
+    const style = changes.markup ? markupSettings[markup] : { ...getMarkupStyle(selectedMarkup || { markup, ...markupSettings[markup] }), ...changes };
+    setMarkupSettings({ ...markupSettings, markup, [markup]: style });
+    if (!selectedMarkup) return;
+    updateSignatures(
+      signatures.map((s) => (s.id === selectedMarkup.id ? { ...s, markup, ...style } : s)),
+      { merge: `style:${selectedMarkup.id}` }
+    );
+  };
+
   const removeItem = (id) => {
     updateSignatures(signatures.filter((s) => s.id !== id));
+    if (selectedId === id) setSelectedId(null);
   };
 
-  // ✅ UNDO FUNCTION
-  const handleUndo = () => {
-    if (historyIndex > 0) {
-      const newIndex = historyIndex - 1;
-      setSignatures(signatureHistory[newIndex]);
-      setHistoryIndex(newIndex);
+  // ✅ TEXT EDITING: new boxes are sized to their text, existing ones keep their width
+  const commitText = (item, text) => {
+    if (!text) {
+      removeItem(item.id);
+      return;
+    }
+    if (text === item.content) {
+      setSignatures(signatures.map((s) => (s.id === item.id ? { ...s, editing: false } : s)));
+      return;
     }
+    const pageDim = pageDimensions[item.page];
+    // callouts keep the box they were dragged to
+    const keepWidth = item.content || item.type === 'shape';
+    const maxWidth = keepWidth ? item.width * pageDim.width - TEXT_PADDING * 2 : Infinity;
+    const measured = measureTextBox(text, getTextStyle(item), maxWidth);
+    const width = keepWidth ? item.width : measured.width / pageDim.width;
+    const committed = { ...item, content: text, editing: false, width, height: Math.max(item.height, measured.height / pageDim.height) };
+    updateSignatures(signatures.map((s) => (s.id === item.id ? committed : s)));
+    // new boxes are placed once their text is
+    if (!item.content) logPlaced([committed]);
   };
 
-  const downloadPDF = useCallback(async () => {
-    if (!pdfFile || !numPages) return;
+  const editText = (item) => {
+    setSignatures(signatures.map((s) => (s.id === item.id ? { ...s, editing: true } : s)));
+  };
 
-    const { jsPDF } = await import('jspdf');
-    
-    const loadingTask = pdfjs.getDocument(URL.createObjectURL(pdfFile));
-    const pdfDoc = await loadingTask.promise;
+  // ✅ TEXT FORMAT: applies to the selected text box and to the next ones placed
+  const selectedText = signatures.find(
+    (s) => s.id === selectedId && (s.type === 'text' || s.shape === 'callout')
+  );
 
-    const firstPage = await pdfDoc.getPage(1);
-    const viewport = firstPage.getViewport({ scale: 1 });
-    const pdfWidth = viewport.width;
-    const pdfHeight = viewport.height;
+  const changeTextStyle = (changes) => {
+    setTextStyle({ ...getTextStyle(selectedText || textStyle), ...changes });
+    if (!selectedText) return;
+    const pageDim = pageDimensions[selectedText.page];
+    const next = { ...selectedText, ...changes };
+    const measured = measureTextBox(next.content, getTextStyle(next), next.width * pageDim.width - TEXT_PADDING * 2);
+    next.height = Math.max(next.height, measured.height / pageDim.height);
+    updateSignatures(signatures.map((s) => (s.id === next.id ? next : s)), { merge: `style:${next.id}` });
+  };
 
-    const mmWidth = (pdfWidth * 25.4) / 72;
-    const mmHeight = (pdfHeight * 25.4) / 72;
+  // ✅ MOVE / RESIZE / ROTATE: live updates while dragging, one history entry on release
+  const startTransform = (e, item, mode, corner) => {
+    e.stopPropagation();
+    e.preventDefault();
+    if (!e.isPrimary || transformRef.current) return;
+    const pageEl = e.currentTarget.closest('[data-page-number]');
+    const pageDim = pageDimensions[item.page];
+    if (!pageEl || !pageDim) return;
 
-    const doc = new jsPDF({
-      orientation: pdfWidth > pdfHeight ? 'landscape' : 'portrait',
-      unit: 'mm',
-      format: [mmWidth, mmHeight],
-    });
+    const rect = pageEl.getBoundingClientRect();
+    const size = { width: pageDim.width * renderScale, height: pageDim.height * renderScale };
+    const pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    transformRef.current = {
+      pointerId: e.pointerId,
+      mode,
+      corner,
+      item,
+      pageEl,
+      size,
+      start: pointer,
+      startAngle: angleAround(getItemCenter(item, size), pointer),
+      base: signatures,
+      latest: null,
+    };
+    setSelectedId(item.id);
+  };
 
-    const outputScale = 2;
+  useEffect(() => {
+    const handleMove = (e) => {
+      const t = transformRef.current;
+      if (!t || e.pointerId !== t.pointerId) return;
+      const rect = t.pageEl.getBoundingClientRect();
+      const pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
 
-    for (let i = 1; i <= numPages; i++) {
-      if (i > 1) {
-        doc.addPage([mmWidth, mmHeight]);
+      let next;
+      if (t.mode === 'move') {
+        next = moveItem(t.item, pointer.x - t.start.x, pointer.y - t.start.y, t.size);
+      } else if (t.mode === 'resize') {
+        next = resizeItem(t.item, t.corner, pointer, t.size, keepAspect !== e.shiftKey);
+      } else if (t.mode === 'point') {
+        next = moveEndpoint(t.item, t.corner, pointer, t.size);
+      } else if (t.mode === 'anchor') {
+        next = moveAnchor(t.item, pointer, t.size);
+      } else {
+        let delta = angleAround(getItemCenter(t.item, t.size), pointer) - t.startAngle;
+        if (e.shiftKey) delta = Math.round(((t.item.rotation || 0) + delta) / 15) * 15 - (t.item.rotation || 0);
+        next = rotateItem(t.item, delta, t.size);
       }
 
-      const page = await pdfDoc.getPage(i);
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      
-      const viewport = page.getViewport({ scale: outputScale });
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-      
-      await page.render({ canvasContext: ctx, viewport }).promise;
-
-      const imgData = canvas.toDataURL('image/jpeg', 0.95);
-      doc.addImage(imgData, 'JPEG', 0, 0, mmWidth, mmHeight);
-
-      const items = signatures.filter((s) => s.page === i);
-      
-      for (const item of items) {
-        if (item.type === 'signature') {
-          const img = new Image();
-          img.src = item.content;
-          await new Promise((resolve) => {
-            img.onload = () => {
-              const xPos = item.x * mmWidth;
-              const yPos = item.y * mmHeight;
-              const sigWidth = mmWidth * 0.15;
-              const sigHeight = sigWidth * 0.5;
-              
-              doc.addImage(img, 'PNG', xPos, yPos, sigWidth, sigHeight);
-              resolve();
-            };
-            img.onerror = resolve;
-          });
-        } else if (item.type === 'text') {
-          const xPos = item.x * mmWidth;
-          const yPos = item.y * mmHeight;
-          
-          doc.setFontSize(12);
-          doc.setTextColor(0, 0, 0);
-          doc.text(item.content, xPos, yPos + 4, { maxWidth: 0, baseline: 'top' });
-        } else if (item.type === 'drawing') {
-          doc.setDrawColor(37, 99, 235);
-          doc.setLineWidth(0.3);
-          
-          const points = item.content;
-          for (let j = 1; j < points.length; j++) {
-            const x1 = points[j - 1].x * mmWidth;
-            const y1 = points[j - 1].y * mmHeight;
-            const x2 = points[j].x * mmWidth;
-            const y2 = points[j].y * mmHeight;
-            
-            doc.line(x1, y1, x2, y2);
-          }
-        }
+      t.latest = t.base.map((s) => (s.id === next.id ? next : s));
+      setSignatures(t.latest);
+    };
+
+    const handleUp = (e) => {
+      const t = transformRef.current;
+      if (!t || e.pointerId !== t.pointerId) return;
+      transformRef.current = null;
+      if (t.latest) updateSignatures(t.latest, { merge: `${t.mode}:${t.item.id}` });
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  }, [keepAspect, setSignatures, updateSignatures]);
+
+  // ✅ KEYBOARD: Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), Delete, arrows nudge the selection,
+  // PageUp / PageDown / Home / End go through the pages, Ctrl+F searches
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+
+      if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) history.redo();
+        else history.undo();
+        return;
+      }
+
+      if ((e.ctrlKey || e.metaKey) && key === 'f' && searchInputRef.current) {
+        e.preventDefault();
+        searchInputRef.current.focus();
+        return;
+      }
+
+      const pageStep = { pageup: -1, pagedown: 1, home: -Infinity, end: Infinity }[key];
+      if (pageStep && layout.length) {
+        e.preventDefault();
+        scrollToPage(Math.min(layout.length - 1, Math.max(0, visiblePages.current + pageStep)));
+        return;
+      }
+
+      const selected = signatures.find((s) => s.id === selectedId);
+      if (!selected) return;
+      if (key === 'delete' || key === 'backspace') {
+        e.preventDefault();
+        updateSignatures(signatures.filter((s) => s.id !== selectedId));
+        setSelectedId(null);
+        return;
+      }
+
+      const nudge = { arrowleft: [-1, 0], arrowright: [1, 0], arrowup: [0, -1], arrowdown: [0, 1] }[key];
+      const pageDim = pageDimensions[selected.page];
+      // markups stay on the words they mark
+      if (!nudge || !pageDim || selected.type === 'markup') return;
+      e.preventDefault();
+      const step = e.shiftKey ? 10 : 1;
+      const size = { width: pageDim.width * renderScale, height: pageDim.height * renderScale };
+      const moved = moveItem(selected, nudge[0] * step, nudge[1] * step, size);
+      updateSignatures(signatures.map((s) => (s.id === moved.id ? moved : s)), { merge: `nudge:${moved.id}` });
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [history, signatures, selectedId, pageDimensions, renderScale, updateSignatures, layout, visiblePages]);
+
+  // ✅ OVERLAY SIDECAR FILES (JSON project / XFDF)
+  const documentBaseName = useCallback(() => (pdfFile?.name || 'document').replace(/\.pdf$/i, ''), [pdfFile]);
+
+  const saveOverlay = async (format) => {
+    try {
+      const items = toStoredItems(signatures, (url) => objectUrls.current.get(url));
+      if (format === 'xfdf') {
+        const frames = await readPageFrames(pdfFile, history.pages);
+        const xfdf = await exportXfdf({ documentName: pdfFile.name, frames, items });
+        downloadBlob(xfdf, `${documentBaseName()}.xfdf`, 'application/vnd.adobe.xfdf');
+      } else {
+        const project = await exportProject({
+          documentName: pdfFile.name,
+          pageCount: layout.length,
+          items,
+          pages: history.pages,
+        });
+        downloadBlob(project, `${documentBaseName()}.pdfediter.json`, 'application/json');
+      }
+    } catch (err) {
+      console.error(err);
+      alert(`Could not save the overlay: ${err.message}`);
+    }
+  };
+
+  const loadOverlay = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      let stored;
+      let skipped = 0;
+      let pages;
+      if (/\.xfdf$/i.test(file.name) || text.trimStart().startsWith('<')) {
+        ({ items: stored, skipped } = await importXfdf(text, await readPageFrames(pdfFile, history.pages)));
+      } else {
+        const project = await importProject(file);
+        // the project's page layout replaces the current one, if it fits this file
+        const fits = project.pages?.every((entry) => !entry.source || entry.source <= numPages);
+        pages = fits ? project.pages : null;
+        const pageCount = pages ? pages.length : numPages;
+        stored = project.items.filter((item) => item.page <= pageCount);
+        skipped = project.items.length - stored.length;
+      }
+      const urls = new Map();
+      const items = fromStoredItems(stored, (blob) => {
+        if (!urls.has(blob)) urls.set(blob, createObjectUrl(blob));
+        return urls.get(blob);
+      });
+      updateSignatures(items, { pages });
+      setSelectedId(null);
+      if (skipped) alert(`${skipped} annotation(s) could not be imported.`);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not load the overlay: ${err.message}`);
+    }
+  };
+
+  const exportDocument = useCallback(async (items = signatures) => {
+    if (items.some((s) => s.type === 'redaction')) {
+      throw new Error('Apply the redaction marks (or remove them) first');
+    }
+    const formValues = pdfRef.current ? await readFormValues(pdfRef.current) : [];
+    return exportAnnotatedPdf(pdfFile, items, {
+      mode: exportMode,
+      formValues,
+      flattenForm,
+      layout: history.pages,
+    });
+  }, [pdfFile, signatures, exportMode, flattenForm, history.pages]);
+
+  // ✅ EXPORT PROTECTION: passwords and restrictions, AES-256
+  const isProtected = Object.values(protection).some(Boolean);
+
+  // The protection of a download. Files made from an encrypted one are not
+  // downloaded unprotected without asking, and its open password is asked
+  // for when it could not be read (the file was opened with the owner
+  // password). Null when the user cancels.
+  const exportProtection = useCallback(() => {
+    const source = sourceProtection.current;
+    if (!source) return protection;
+    if (!isProtected) {
+      const question = 'The original PDF is password protected. Download it without any protection?';
+      return window.confirm(question) ? protection : null;
+    }
+    if (source.userPassword !== null || protection.userPassword) return protection;
+    const userPassword = window.prompt('The original PDF needs a password to open. Open password of the download:');
+    if (userPassword === null) return null;
+    sourceProtection.current = { ...source, userPassword };
+    setProtection({ ...protection, userPassword });
+    return { ...protection, userPassword };
+  }, [protection, isProtected]);
+
+  // Dropped for a signed download; the user already chose to go without it,
+  // so it is not asked about again
+  const removeProtection = () => {
+    sourceProtection.current = null;
+    setProtection(NO_PROTECTION);
+  };
+
+  // ✅ DIGITAL SIGNATURE: a PKCS#12 certificate signs the download, the first
+  // signature image on the pages becomes the visible signature. Signed PDFs
+  // cannot be encrypted, so loading one asks to drop the protection.
+  const signatureAppearanceItem = useMemo(
+    () =>
+      signatures
+        .filter((s) => s.type === 'signature' && !s.stamp)
+        .sort((a, b) => a.page - b.page || a.y - b.y)[0] ?? null,
+    [signatures]
+  );
+
+  const loadCertificate = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const passphrase = window.prompt(`Passphrase of ${file.name}:`);
+    if (passphrase === null) return;
+    let loaded;
+    try {
+      loaded = await readPkcs12(new Uint8Array(await file.arrayBuffer()), passphrase);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not open the certificate: ${err.message}`);
+      return;
+    }
+    if (isProtected) {
+      const question = 'A digitally signed PDF cannot also be password protected. Download it signed and without protection?';
+      if (!window.confirm(question)) return;
+      removeProtection();
+    }
+    setSigner(loaded);
+  };
+
+  const checkSignatures = async () => {
+    setSignatureChecks(null);
+    try {
+      // an encrypted file was signed as it is, not as decrypted
+      const file = lockedFile.current ?? pdfFile;
+      setSignatureChecks(await verifyPdfSignatures(new Uint8Array(await file.arrayBuffer())));
+    } catch (err) {
+      console.error(err);
+      setSignatureChecks(undefined);
+      alert(`Could not check the signatures: ${err.message}`);
+    }
+  };
+
+  const downloadPDF = useCallback(async () => {
+    // the certificate bar asks to remove one of the two
+    if (!pdfFile || !numPages || (signer && isProtected)) return;
+    const used = exportProtection();
+    if (!used) return;
+
+    setIsExporting(true);
+    try {
+      const item = signer ? signatureAppearanceItem : null;
+      let bytes = await exportDocument(signatures.filter((s) => s !== item));
+      if (auditLog.entries.length || certificatePage) {
+        bytes = await appendAuditTrail(bytes, auditLog, { documentName: pdfFile.name, certificatePage });
       }
+      bytes = signer ? await signPdf(bytes, signer, { item, reason: signReason }) : await protectExport(bytes, used);
+      downloadBlob(bytes, `${documentBaseName()}${signer ? '-signed' : ''}.pdf`);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not export the PDF: ${err.message}`);
+    } finally {
+      setIsExporting(false);
     }
+  }, [
+    pdfFile,
+    numPages,
+    exportDocument,
+    exportProtection,
+    documentBaseName,
+    isProtected,
+    signer,
+    signatureAppearanceItem,
+    signatures,
+    signReason,
+    certificatePage,
+    auditLog,
+  ]);
 
-    doc.save('signed-document.pdf');
-  }, [pdfFile, numPages, signatures]);
+  // ✅ SPLIT EXPORT: the exported PDF cut into ranges, one ZIP
+  const splitPDF = async (ranges) => {
+    const used = exportProtection();
+    if (!used) return;
+    setIsExporting(true);
+    try {
+      const zip = await splitToZip(await exportDocument(), ranges, documentBaseName(), (part) => protectExport(part, used));
+      downloadBlob(zip, `${documentBaseName()}-split.zip`, 'application/zip');
+    } catch (err) {
+      console.error(err);
+      alert(`Could not export the PDF: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
 
   return (
   <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 md:p-6">
@@ -284,42 +1686,92 @@ export default function PDFViewerClient() {
           overflowY: 'auto' // in case content overflows on small screens
         }}
       >
-        <h1 className="text-xl font-bold text-gray-800 mb-1">PDF Editor</h1>
+        <div className="flex items-baseline gap-2 mb-1">
+          <h1 className="text-xl font-bold text-gray-800">PDF Editor</h1>
+          {saveStatus && (
+            <span className={`text-xs ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-400'}`}>
+              {saveStatus === 'saving' && 'Saving...'}
+              {saveStatus === 'saved' && '💾 Saved in this browser'}
+              {saveStatus === 'error' && '⚠️ Autosave failed'}
+            </span>
+          )}
+          {pdfFile && (
+            <button onClick={closeDocument} className="ml-auto text-xs text-gray-500 hover:text-gray-700">
+              ✖ Close
+            </button>
+          )}
+        </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
           <div>
-            <label className="block text-xs font-medium text-gray-700 mb-1">📄 Upload PDF</label>
-            <input 
-              type="file" 
-              accept=".pdf" 
-              onChange={handleFileChange} 
-              className="w-full text-xs file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 cursor-pointer"
-            />
+            <label className="block text-xs font-medium text-gray-700 mb-1">📄 Upload PDFs or scans</label>
+            <div className="flex items-center gap-2">
+              <input 
+                type="file" 
+                accept={MERGEABLE_TYPES.join(',')} 
+                multiple
+                onChange={handleFileChange} 
+                className="flex-1 min-w-0 text-xs file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 cursor-pointer"
+              />
+              <button
+                onClick={() => addFilesInputRef.current.click()}
+                disabled={!pdfFile || !numPages}
+                title="Append PDFs or JPG/PNG scans to this document, keeping what is placed on it"
+                className="px-3 py-1 text-xs rounded-lg font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                ➕ Add pages
+              </button>
+              <input
+                ref={addFilesInputRef}
+                type="file"
+                accept={MERGEABLE_TYPES.join(',')}
+                multiple
+                onChange={addFiles}
+                className="hidden"
+              />
+            </div>
           </div>
           <div>
             <label className="block text-xs font-medium text-gray-700 mb-1">✍️ Upload Signature</label>
-            <input 
-              type="file" 
-              accept="image/*" 
-              onChange={handleSignatureUpload} 
-              className="w-full text-xs file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-green-50 file:text-green-700 hover:file:bg-green-100 cursor-pointer"
-            />
+            <div className="flex items-center gap-2">
+              <input 
+                type="file" 
+                accept="image/*" 
+                onChange={handleSignatureUpload} 
+                className="flex-1 min-w-0 text-xs file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-green-50 file:text-green-700 hover:file:bg-green-100 cursor-pointer"
+              />
+              <button
+                onClick={() => setShowSignatureDialog(true)}
+                className="px-3 py-1 text-xs rounded-lg font-medium bg-green-100 text-green-700 hover:bg-green-200 whitespace-nowrap"
+              >
+                🖋️ Create
+              </button>
+            </div>
           </div>
         </div>
 
         <div className="border-t pt-2">
           <div className="flex flex-wrap gap-1.5">
-            <button
-              onClick={() => setAddingType(addingType === 'signature' ? null : 'signature')}
-              disabled={!signatureImg || !pdfFile}
-              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
-                addingType === 'signature'
-                  ? 'bg-blue-600 text-white shadow'
-                  : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
-              } disabled:opacity-50 disabled:cursor-not-allowed`}
-            >
-              ✍️ Signature
-            </button>
+            <div className="flex">
+              <button
+                onClick={() => setAddingType(addingType === 'signature' ? null : 'signature')}
+                disabled={!signatureImg || !pdfFile}
+                className={`px-3 py-1.5 text-xs rounded-l-lg font-medium transition-all ${
+                  addingType === 'signature'
+                    ? 'bg-blue-600 text-white shadow'
+                    : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                } disabled:opacity-50 disabled:cursor-not-allowed`}
+              >
+                ✍️ Signature
+              </button>
+              <button
+                onClick={() => setShowLibrary(!showLibrary)}
+                title="Choose from your library"
+                className="px-2 py-1.5 text-xs rounded-r-lg font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 border-l border-blue-200"
+              >
+                ▾
+              </button>
+            </div>
             <button
               onClick={() => setAddingType(addingType === 'text' ? null : 'text')}
               disabled={!pdfFile}
@@ -331,6 +1783,18 @@ export default function PDFViewerClient() {
             >
               ✏️ Text
             </button>
+            <button
+              onClick={() => setAddingType(addingType === 'stamp' ? null : 'stamp')}
+              disabled={!pdfFile}
+              title="Date, initials, check marks and rubber stamps"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
+                addingType === 'stamp'
+                  ? 'bg-teal-600 text-white shadow'
+                  : 'bg-teal-100 text-teal-700 hover:bg-teal-200'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              🔖 Stamps
+            </button>
             <button
               onClick={() => setAddingType(addingType === 'draw' ? null : 'draw')}
               disabled={!pdfFile}
@@ -343,25 +1807,279 @@ export default function PDFViewerClient() {
               🖊️ Draw
             </button>
             <button
-              onClick={handleUndo}
-              disabled={historyIndex === 0 || !pdfFile}
+              onClick={() => setAddingType(addingType === 'shape' ? null : 'shape')}
+              disabled={!pdfFile}
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
+                addingType === 'shape'
+                  ? 'bg-red-600 text-white shadow'
+                  : 'bg-red-100 text-red-700 hover:bg-red-200'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              ▭ Shapes
+            </button>
+            <button
+              onClick={() => setAddingType(addingType === 'markup' ? null : 'markup')}
+              disabled={!pdfFile}
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
+                addingType === 'markup'
+                  ? 'bg-yellow-500 text-white shadow'
+                  : 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              🖍️ Markup
+            </button>
+            <button
+              onClick={() => setAddingType(addingType === 'redact' ? null : 'redact')}
+              disabled={!pdfFile}
+              title="Mark areas to remove for good, then apply"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
+                addingType === 'redact'
+                  ? 'bg-gray-900 text-white shadow'
+                  : 'bg-gray-300 text-gray-900 hover:bg-gray-400'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              ⬛ Redact
+            </button>
+            <button
+              onClick={history.undo}
+              disabled={!history.canUndo || !pdfFile}
+              title="Undo (Ctrl+Z)"
               className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               ↩️ Undo
             </button>
+            <button
+              onClick={history.redo}
+              disabled={!history.canRedo || !pdfFile}
+              title="Redo (Ctrl+Shift+Z)"
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              ↪️ Redo
+            </button>
+            <button
+              onClick={() => setKeepAspect(!keepAspect)}
+              title="Keep the aspect ratio when resizing (hold Shift to toggle)"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
+                keepAspect ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {keepAspect ? '🔒 Keep ratio' : '🔓 Free resize'}
+            </button>
+            <button
+              onClick={() => setShowOrganizer(!showOrganizer)}
+              disabled={!pdfFile || !numPages}
+              title="Reorder, rotate, duplicate, delete or insert pages"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                showOrganizer ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              🗂️ Pages
+            </button>
+            <button
+              onClick={() => saveOverlay('json')}
+              disabled={!pdfFile || !numPages}
+              title="Save the annotations as a project file to re-apply later"
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              💾 Project
+            </button>
+            <button
+              onClick={() => saveOverlay('xfdf')}
+              disabled={!pdfFile || !numPages}
+              title="Save the annotations as XFDF for other PDF software"
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              💾 XFDF
+            </button>
+            <button
+              onClick={() => overlayInputRef.current.click()}
+              disabled={!pdfFile || !numPages}
+              title="Load annotations from a project or XFDF file (replaces the current ones, Undo brings them back)"
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              📂 Load overlay
+            </button>
+            <input
+              ref={overlayInputRef}
+              type="file"
+              accept=".json,.xfdf,application/json,application/vnd.adobe.xfdf"
+              onChange={loadOverlay}
+              className="hidden"
+            />
+            <select
+              value={exportMode}
+              onChange={(e) => setExportMode(e.target.value)}
+              title="Flatten burns the items into the pages, annotations stay editable in other PDF readers"
+              className="px-2 py-1.5 text-xs rounded-lg border border-gray-300 bg-white text-gray-700 ml-auto"
+            >
+              <option value="flatten">Flatten</option>
+              <option value="annotations">Editable annotations</option>
+            </select>
+            {hasForm && (
+              <label className="flex items-center gap-1 text-xs text-gray-700" title="Merge the filled form fields into the pages">
+                <input type="checkbox" checked={flattenForm} onChange={(e) => setFlattenForm(e.target.checked)} />
+                Flatten form
+              </label>
+            )}
             <button
               onClick={downloadPDF}
-              disabled={!pdfFile}
-              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-indigo-600 text-white hover:bg-indigo-700 shadow disabled:opacity-50 disabled:cursor-not-allowed ml-auto"
+              disabled={!pdfFile || isExporting || (signer && isProtected)}
+              title={signer && isProtected ? 'Remove the digital signature or the password protection first' : undefined}
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-indigo-600 text-white hover:bg-indigo-700 shadow disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isExporting ? '⏳ Exporting...' : '📥 Download'}
+            </button>
+            <button
+              onClick={() => setShowSplit(!showSplit)}
+              disabled={!pdfFile || !numPages}
+              title="Download the pages as several PDFs in a ZIP"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                showSplit ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              ✂️ Split
+            </button>
+            <button
+              onClick={() => setShowProtect(!showProtect)}
+              disabled={!pdfFile || !numPages}
+              title="Passwords and restrictions for the downloaded files"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                showProtect || isProtected ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {isProtected ? '🔒 Protected' : '🔐 Protect'}
+            </button>
+            <button
+              onClick={() => certificateInputRef.current.click()}
+              disabled={!pdfFile || !numPages}
+              title="Sign the download with a PKCS#12 certificate (.p12 / .pfx)"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                signer ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
             >
-              📥 Download
+              🔏 Certificate
+            </button>
+            <input
+              ref={certificateInputRef}
+              type="file"
+              accept=".p12,.pfx,application/x-pkcs12"
+              onChange={loadCertificate}
+              className="hidden"
+            />
+            <button
+              onClick={checkSignatures}
+              disabled={!pdfFile || !numPages}
+              title="Check the digital signatures of this document"
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              🛡️ Verify
+            </button>
+            <button
+              onClick={() => setShowAudit(!showAudit)}
+              disabled={!pdfFile || !numPages}
+              title="Audit log of the items added, certificate of completion"
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                showAudit ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              📜 Audit
             </button>
           </div>
+          {showSplit && pdfFile && (
+            <SplitExportBar pageCount={layout.length} busy={isExporting} onSplit={splitPDF} />
+          )}
+          {showProtect && pdfFile && (
+            <ProtectExportBar protection={protection} onChange={(changes) => setProtection({ ...protection, ...changes })} />
+          )}
+          {signer && pdfFile && (
+            <CertificateBar
+              signer={signer}
+              reason={signReason}
+              hasAppearance={!!signatureAppearanceItem}
+              isProtected={isProtected}
+              onReasonChange={setSignReason}
+              onRemove={() => setSigner(null)}
+              onRemoveProtection={removeProtection}
+            />
+          )}
+          {showAudit && pdfFile && (
+            <AuditTrailBar
+              name={auditName}
+              defaultName={signer?.name}
+              entryCount={auditLog.entries.length}
+              certificatePage={certificatePage}
+              onNameChange={setAuditName}
+              onCertificatePageChange={setCertificatePage}
+            />
+          )}
+          {signatureChecks !== undefined && pdfFile && (
+            <SignatureCheckPanel checks={signatureChecks} onClose={() => setSignatureChecks(undefined)} />
+          )}
+          {(addingType === 'draw' || selectedStroke) && (
+            <DrawToolBar
+              tool={addingType === 'draw' ? drawSettings.tool : null}
+              style={selectedStroke ? getStrokeStyle(selectedStroke) : drawSettings[drawSettings.tool === 'eraser' ? 'pen' : drawSettings.tool]}
+              eraser={drawSettings.eraser}
+              onToolChange={(tool) => setDrawSettings({ ...drawSettings, tool })}
+              onStyleChange={changeStrokeStyle}
+              onEraserChange={(changes) => setDrawSettings({ ...drawSettings, eraser: { ...drawSettings.eraser, ...changes } })}
+            />
+          )}
+          {(addingType === 'shape' || selectedShape) && (
+            <ShapeToolBar
+              shape={addingType === 'shape' ? shapeSettings.shape : null}
+              style={
+                selectedShape
+                  ? { ...getShapeStyle(selectedShape), shape: selectedShape.shape }
+                  : { ...getShapeStyle({ shape: shapeSettings.shape, ...shapeSettings.style }), shape: shapeSettings.shape }
+              }
+              onShapeChange={(shape) => setShapeSettings({ ...shapeSettings, shape })}
+              onStyleChange={changeShapeStyle}
+            />
+          )}
+          {addingType === 'stamp' && (
+            <StampToolBar
+              settings={stampSettings}
+              defaultInitials={defaultInitials}
+              libraryStamps={libraryStamps}
+              onStampChange={(stamp) => setStampSettings({ ...stampSettings, stamp })}
+              onSettingsChange={(changes) => setStampSettings({ ...stampSettings, ...changes })}
+              onCreate={createStamp}
+            />
+          )}
+          {(addingType === 'markup' || selectedMarkup) && (
+            <MarkupToolBar
+              markup={selectedMarkup ? selectedMarkup.markup : markupSettings.markup}
+              style={selectedMarkup ? getMarkupStyle(selectedMarkup) : markupSettings[markupSettings.markup]}
+              onMarkupChange={(markup) => changeMarkup({ markup })}
+              onStyleChange={changeMarkup}
+            />
+          )}
+          {(addingType === 'redact' || selectedRedaction || redactionMarks.length > 0) && (
+            <RedactToolBar
+              label={selectedRedaction ? selectedRedaction.content : redactLabel}
+              markCount={redactionMarks.length}
+              hitCount={searchHits.length}
+              busy={isRedacting}
+              onLabelChange={changeRedactLabel}
+              onMarkHits={markSearchHits}
+              onApply={applyRedactionMarks}
+            />
+          )}
+          {(addingType === 'text' || selectedText) && (
+            <TextFormatBar style={selectedText ? getTextStyle(selectedText) : textStyle} onChange={changeTextStyle} />
+          )}
           {addingType && (
             <div className="mt-2 p-2 bg-yellow-50 border-l-2 border-yellow-400 rounded text-xs text-yellow-800">
               {addingType === 'draw' 
                 ? '🖊️ Click and drag to draw' 
-                : `→ Click on PDF to place ${addingType}`}
+                : addingType === 'shape'
+                  ? '▭ Drag on the PDF to place the shape (callouts point at where you start)'
+                  : addingType === 'markup'
+                    ? '🖍️ Select text on the PDF to mark it'
+                    : addingType === 'redact'
+                      ? '⬛ Drag over what to remove, review the marks, then apply them'
+                      : `→ Click on PDF to place ${addingType}`}
             </div>
           )}
         </div>
@@ -369,178 +2087,248 @@ export default function PDFViewerClient() {
 
       {/* ✅ SCROLLABLE PDF VIEWER (no header scroll) */}
       <div className="pb-8">
+        {restoreOffer && (
+          <div className="mb-4 p-3 bg-amber-50 border border-amber-300 rounded-xl flex flex-wrap items-center gap-2 text-sm text-amber-900">
+            <span className="flex-1 min-w-0">
+              🩹 {restoreOffer.replaces ? 'You have earlier work on this file' : 'Your last session was not closed'}:{' '}
+              <b>{restoreOffer.name}</b> with {restoreOffer.items.length} item(s),
+              last edited {new Date(restoreOffer.updatedAt).toLocaleString()}.
+            </span>
+            <button
+              onClick={() => restoreSession(restoreOffer)}
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-amber-600 text-white hover:bg-amber-700 shadow"
+            >
+              Restore
+            </button>
+            <button
+              onClick={discardRestore}
+              title={restoreOffer.replaces ? 'Delete the earlier work on this file' : undefined}
+              className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300"
+            >
+              {restoreOffer.replaces ? 'Discard' : 'Dismiss'}
+            </button>
+          </div>
+        )}
         {pdfFile ? (
           <div className="bg-white rounded-2xl shadow-xl p-4">
-            <div className="overflow-x-auto">
-              <div className="inline-block min-w-full">
-                <Document file={pdfFile} onLoadSuccess={({ numPages }) => setNumPages(numPages)}>
-                  {Array.from({ length: numPages }, (_, i) => {
-                    const pageNum = i + 1;
-                    const items = signatures.filter((s) => s.page === pageNum);
-                    const pageDim = pageDimensions[pageNum];
-                    
-                    return (
-                      <div key={`page_${pageNum}`} className="mb-6 last:mb-0">
-                        <div className="mb-2 flex justify-between items-center">
-                          <span className="text-xs font-medium text-gray-600">
-                            Page {pageNum} of {numPages}
-                          </span>
-                          {addingType === 'draw' && (
-                            <button
-                              onClick={() => clearCanvas(pageNum)}
-                              className="text-xs px-2 py-0.5 bg-red-100 text-red-700 rounded-full hover:bg-red-200"
-                            >
-                              Clear
-                            </button>
-                          )}
-                        </div>
-                        <div
-                          className="relative inline-block border border-gray-200 rounded-lg overflow-hidden shadow bg-white max-w-full"
-                          style={{ cursor: addingType ? 'crosshair' : 'default' }}
-                          onClick={(e) => addingType !== 'draw' && handlePageClick(pageNum, e)}
-                          onMouseDown={(e) => addingType === 'draw' && startDrawing(pageNum, e)}
-                          onMouseMove={(e) => addingType === 'draw' && draw(pageNum, e)}
-                          onMouseUp={() => addingType === 'draw' && stopDrawing(pageNum)}
-                          onMouseLeave={() => addingType === 'draw' && stopDrawing(pageNum)}
-                        >
-                          <Page
-                            pageNumber={pageNum}
-                            scale={renderScale}
-                            onLoadSuccess={(page) => {
-                              setPageDimensions((prev) => ({
-                                ...prev,
-                                [pageNum]: { 
-                                  width: page.originalWidth, 
-                                  height: page.originalHeight 
-                                },
-                              }));
+            <div className="sticky top-0 z-30 -mx-4 -mt-4 mb-3 px-4 py-2 rounded-t-2xl bg-white/90 backdrop-blur flex flex-wrap gap-2 justify-between">
+              <PageNavigator current={visiblePages.current} count={layout.length} onGo={scrollToPage} />
+              <SearchBar
+                inputRef={searchInputRef}
+                query={searchQuery}
+                hitCount={searchHits.length}
+                current={searchHits[currentHit] ? currentHit : null}
+                searching={searching}
+                onQueryChange={changeSearchQuery}
+                onStep={stepHit}
+                onPlace={placeAtHit}
+              />
+              <ZoomControls
+                scale={renderScale}
+                mode={zoom.mode}
+                onStep={(direction) => zoomAtCenter({ mode: 'custom', scale: stepZoom(renderScale, direction) })}
+                onFit={(mode) => zoomAtCenter({ mode, scale: renderScale })}
+              />
+            </div>
+            <Document file={pdfFile} onLoadSuccess={handleDocumentLoad} onPassword={askPassword}>
+              <div className="flex gap-4 items-start">
+                {showOrganizer && (
+                  <PageOrganizer
+                    layout={layout}
+                    pageSizes={pageDimensions}
+                    pageRotation={pageRotation}
+                    {...pageOrganizerActions}
+                  />
+                )}
+                <div ref={setViewer} className="flex-1 min-w-0 overflow-x-auto">
+                  <div ref={setPageList} className="inline-block min-w-full">
+                    {layout.map((entry, i) => {
+                      const pageNum = i + 1;
+                      const items = signatures.filter((s) => s.page === pageNum);
+                      const boxDim = pageDimensions[pageNum] || BLANK_PAGE_SIZE;
+                      // pages away from the screen are empty boxes, without page or overlays
+                      const rendered = i >= visiblePages.first && i <= visiblePages.last;
+                      const pageDim = rendered ? pageDimensions[pageNum] : null;
+
+                      return (
+                        <div key={entry.id} data-index={i} className="mb-6 last:mb-0">
+                          <div className="mb-2 flex justify-between items-center">
+                            <span className="text-xs font-medium text-gray-600">
+                              Page {pageNum} of {layout.length}
+                              {!entry.source && ' (blank)'}
+                            </span>
+                            {addingType === 'draw' && (
+                              <button
+                                onClick={() => clearDrawings(pageNum)}
+                                className="text-xs px-2 py-0.5 bg-red-100 text-red-700 rounded-full hover:bg-red-200"
+                              >
+                                Clear
+                              </button>
+                            )}
+                          </div>
+                          <div
+                            data-page-number={pageNum}
+                            className="relative inline-block box-content border border-gray-200 rounded-lg shadow bg-white scroll-mt-20"
+                            style={{
+                              // the page box is exactly the rendered page, overlays are positioned in it
+                              width: boxDim.width * renderScale,
+                              height: boxDim.height * renderScale,
+                              cursor: addingType === 'markup' ? 'text' : addingType ? 'crosshair' : 'default',
+                              touchAction: ['draw', 'shape', 'redact'].includes(addingType) ? 'none' : undefined,
                             }}
-                            renderTextLayer={true}
-                            renderAnnotationLayer={true}
-                          />
-                          
-                          {pageDim && (
-                            <canvas
-                              ref={(el) => (canvasRefs.current[pageNum] = el)}
-                              width={pageDim.width * renderScale}
-                              height={pageDim.height * renderScale}
-                              className="absolute top-0 left-0 pointer-events-none"
-                              style={{ width: '100%', height: '100%' }}
-                            />
-                          )}
-                          
-                          <div className="absolute inset-0 pointer-events-none">
-                            {pageDim && items.map((item) => {
-                              const displayX = item.x * pageDim.width * renderScale;
-                              const displayY = item.y * pageDim.height * renderScale;
-                              
-                              return (
-                                <div key={item.id} className="absolute group">
-                                  {item.type === 'signature' && (
-                                    <div style={{ left: displayX, top: displayY }} className="relative">
-                                      <img 
-                                        src={item.content} 
-                                        alt="signature" 
-                                        style={{ 
-                                          width: pageDim.width * renderScale * 0.15,
-                                          height: 'auto'
-                                        }} 
-                                      />
-                                      <button
-                                        onClick={(e) => {
-                                          e.stopPropagation();
-                                          removeItem(item.id);
+                            onClick={(e) => addingType !== 'draw' && handlePageClick(pageNum, e)}
+                            onPointerDown={(e) => {
+                              placedShape.current = false;
+                              if (addingType === 'shape' || addingType === 'redact') startShape(pageNum, e);
+                              else startDrawing(pageNum, e);
+                            }}
+                            onPointerMove={(e) => (shapeDraft ? dragShape(pageNum, e) : draw(pageNum, e))}
+                            onPointerUp={(e) => {
+                              if (shapeDraft) stopShape(e);
+                              else stopDrawing(e);
+                              applyMarkup(pageNum, e);
+                            }}
+                            onPointerCancel={(e) => (shapeDraft ? stopShape(e) : stopDrawing(e))}
+                          >
+                            {entry.source && rendered && (
+                              <Page
+                                pageNumber={entry.source}
+                                scale={renderScale}
+                                rotate={pageRotation(entry)}
+                                renderTextLayer={true}
+                                renderAnnotationLayer={true}
+                                renderForms={true}
+                              />
+                            )}
+                            
+                            <div className="absolute inset-0 pointer-events-none">
+                              {pageDim &&
+                                searchHits.map(
+                                  (hit, index) =>
+                                    hit.page === pageNum &&
+                                    hit.rects.map((rect, j) => (
+                                      <div
+                                        key={`hit_${index}_${j}`}
+                                        className={`absolute rounded-sm mix-blend-multiply ${
+                                          index === currentHit ? 'bg-orange-400/70' : 'bg-yellow-300/60'
+                                        }`}
+                                        style={{
+                                          left: rect.x * pageDim.width * renderScale,
+                                          top: rect.y * pageDim.height * renderScale,
+                                          width: rect.width * pageDim.width * renderScale,
+                                          height: rect.height * pageDim.height * renderScale,
                                         }}
-                                        className="absolute -top-1.5 -right-1.5 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-[9px] opacity-0 group-hover:opacity-100 pointer-events-auto hover:bg-red-600 transition-opacity"
-                                      >
-                                        ×
-                                      </button>
-                                    </div>
-                                  )}
-                                  {item.type === 'text' && (
-                                    <div style={{ left: displayX, top: displayY }} className="absolute">
-                                      {item.editing ? (
-                                        <input
-                                          autoFocus
-                                          defaultValue=""
-                                          onBlur={(e) => {
-                                            const newText = e.target.value.trim();
-                                            if (newText) {
-                                              updateSignatures(signatures.map(s =>
-                                                s.id === item.id ? { ...s, content: newText, editing: false } : s
-                                              ));
-                                            } else {
-                                              updateSignatures(signatures.filter(s => s.id !== item.id));
-                                            }
-                                          }}
-                                          onKeyDown={(e) => {
-                                            if (e.key === 'Enter') e.target.blur();
-                                          }}
-                                          className="px-1.5 py-0.5 border border-blue-400 rounded text-xs bg-white"
-                                          style={{ minWidth: '60px' }}
-                                        />
-                                      ) : (
-                                        <div
-                                          className="px-2 py-1 bg-yellow-100 border border-yellow-400 rounded text-xs font-medium relative"
-                                          style={{
-                                            whiteSpace: 'nowrap',
-                                            overflow: 'hidden',
-                                            textOverflow: 'ellipsis',
-                                            maxWidth: '180px'
-                                          }}
-                                        >
-                                          {item.content}
-                                          <button
-                                            onClick={(e) => {
-                                              e.stopPropagation();
-                                              removeItem(item.id);
-                                            }}
-                                            className="absolute -top-1.5 -right-1.5 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-[9px] opacity-0 group-hover:opacity-100 pointer-events-auto hover:bg-red-600 transition-opacity"
-                                          >
-                                            ×
-                                          </button>
-                                        </div>
-                                      )}
-                                    </div>
-                                  )}
-                                  {item.type === 'drawing' && (
-                                    <svg
-                                      className="absolute top-0 left-0 w-full h-full pointer-events-none"
-                                      style={{ width: '100%', height: '100%' }}
-                                    >
-                                      <polyline
-                                        points={item.content.map((p) => 
-                                          `${p.x * pageDim.width * renderScale},${p.y * pageDim.height * renderScale}`
-                                        ).join(' ')}
-                                        fill="none"
-                                        stroke="#2563eb"
-                                        strokeWidth="2"
-                                        strokeLinecap="round"
-                                        strokeLinejoin="round"
                                       />
-                                    </svg>
-                                  )}
-                                </div>
-                              );
-                            })}
+                                    ))
+                                )}
+                              {pageDim && (signatureFields[pageNum] || [])
+                                .filter((field) => !signatures.some((s) => s.field === field.name))
+                                .map((field) => (
+                                  <button
+                                    key={field.name}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      signField(pageNum, field);
+                                    }}
+                                    className="absolute flex items-center justify-center bg-yellow-100/80 border-2 border-dashed border-yellow-500 rounded text-xs font-medium text-yellow-800 hover:bg-yellow-200/80 pointer-events-auto"
+                                    style={{
+                                      left: field.x * pageDim.width * renderScale,
+                                      top: field.y * pageDim.height * renderScale,
+                                      width: field.width * pageDim.width * renderScale,
+                                      height: field.height * pageDim.height * renderScale,
+                                    }}
+                                  >
+                                    ✍️ Sign here
+                                  </button>
+                                ))}
+                              {pageDim && items.map((item) => (
+                                <OverlayItem
+                                  key={item.id}
+                                  item={item}
+                                  pageSize={{ width: pageDim.width * renderScale, height: pageDim.height * renderScale }}
+                                  scale={renderScale}
+                                  selected={selectedId === item.id}
+                                  interactive={!addingType}
+                                  onSelect={setSelectedId}
+                                  onStartTransform={startTransform}
+                                  onRemove={removeItem}
+                                  onEditText={editText}
+                                  onCommitText={commitText}
+                                />
+                              ))}
+                              {pageDim && currentDrawing?.page === pageNum && (
+                                <OverlayItem
+                                  item={{ id: 'current', type: 'drawing', ...drawSettings[drawSettings.tool], content: currentDrawing.content }}
+                                  pageSize={{ width: pageDim.width * renderScale, height: pageDim.height * renderScale }}
+                                  scale={renderScale}
+                                  selected={false}
+                                  interactive={false}
+                                />
+                              )}
+                              {pageDim && shapeDraft?.page === pageNum && (
+                                <OverlayItem
+                                  item={{ ...draftShape(shapeDraft), editing: false }}
+                                  pageSize={{ width: pageDim.width * renderScale, height: pageDim.height * renderScale }}
+                                  scale={renderScale}
+                                  selected={false}
+                                  interactive={false}
+                                />
+                              )}
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    );
-                  })}
-                </Document>
+                      );
+                    })}
+                  </div>
+                </div>
               </div>
-            </div>
+            </Document>
           </div>
         ) : (
           <div className="bg-white rounded-2xl shadow-xl p-12 text-center">
             <div className="text-5xl mb-3">📄</div>
             <h3 className="text-lg font-semibold text-gray-700">No PDF Loaded</h3>
             <p className="text-gray-500 text-sm">Upload a PDF to get started</p>
+            {recentDocuments.length > 0 && (
+              <div className="mt-6 max-w-md mx-auto text-left">
+                <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">🕘 Recent documents</h4>
+                {recentDocuments.map((doc) => (
+                  <div key={doc.id} className="flex items-center gap-2 p-2 rounded-lg hover:bg-blue-50">
+                    <button onClick={() => openRecentDocument(doc.id)} className="flex-1 min-w-0 text-left">
+                      <div className="truncate text-sm text-gray-800">{doc.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {doc.items.length} item(s) · {new Date(doc.updatedAt).toLocaleString()}
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => removeRecentDocument(doc.id)}
+                      title="Remove from this browser"
+                      className="text-gray-300 hover:text-red-500"
+                    >
+                      🗑
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         )}
       </div>
     </div>
+
+    {showLibrary && (
+      <SignatureLibraryMenu
+        entries={libraryEntries}
+        currentImage={signatureEntryId ? null : signatureImg}
+        onPick={pickLibraryEntry}
+        onChange={refreshLibrary}
+        onClose={() => setShowLibrary(false)}
+      />
+    )}
+
+    {showSignatureDialog && (
+      <SignatureDialog onSave={handleSignatureCreated} onClose={() => setShowSignatureDialog(false)} />
+    )}
   </div>
 );
 }
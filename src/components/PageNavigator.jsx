@@ -0,0 +1,42 @@
+'use client';
+
+import React, { useState } from 'react';
+
+const buttonClass =
+  'px-2.5 py-1 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/** Previous/next page buttons and a box to jump to a page number (1-based). */
+export default function PageNavigator({ current, count, onGo }) {
+  const [draft, setDraft] = useState(null);
+
+  const jump = () => {
+    const page = Math.round(Number(draft));
+    if (page >= 1 && page <= count) onGo(page - 1);
+    setDraft(null);
+  };
+
+  return (
+    <div className="flex items-center gap-1.5 text-xs text-gray-700" title="PageUp / PageDown, Home / End">
+      <button onClick={() => onGo(current - 1)} disabled={current <= 0} className={buttonClass}>
+        ◀
+      </button>
+      <input
+        value={draft ?? current + 1}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') jump();
+          if (e.key === 'Escape') setDraft(null);
+        }}
+        onBlur={() => setDraft(null)}
+        onFocus={(e) => e.target.select()}
+        inputMode="numeric"
+        aria-label="Page number"
+        className="w-12 px-1.5 py-1 text-center rounded-lg border border-gray-300"
+      />
+      <span>/ {count}</span>
+      <button onClick={() => onGo(current + 1)} disabled={current >= count - 1} className={buttonClass}>
+        ▶
+      </button>
+    </div>
+  );
+}
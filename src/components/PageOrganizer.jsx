@@ -0,0 +1,122 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Page } from 'react-pdf';
+import { BLANK_PAGE_SIZE } from '@/lib/pageOrganizer';
+import useVisibleRange from '@/hooks/useVisibleRange';
+
+const THUMBNAIL_WIDTH = 110; // px
+
+const actionClass = 'w-6 h-6 flex items-center justify-center rounded bg-white/90 border border-gray-300 text-[11px] hover:bg-gray-100 disabled:opacity-40';
+
+/**
+ * Thumbnail sidebar of the page organizer: drag a page (or use the arrows)
+ * to move it, and rotate, duplicate, delete or add a blank page after it.
+ * Only the thumbnails scrolled near are rendered, `pageSizes` (pt, by
+ * position) sizes the others. Must be rendered inside the react-pdf `Document`.
+ */
+export default function PageOrganizer({
+  layout,
+  pageSizes,
+  pageRotation,
+  onOpen,
+  onMove,
+  onRotate,
+  onDuplicate,
+  onDelete,
+  onInsertBlank,
+}) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [list, setList] = useState(null);
+  const visible = useVisibleRange(list, layout.length, { margin: 600, ownScroll: true });
+
+  const endDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <div ref={setList} className="w-40 shrink-0 space-y-3 sticky top-14 max-h-[calc(100vh-4.5rem)] overflow-y-auto pr-1">
+      <button onClick={() => onInsertBlank(0)} className="w-full text-xs px-2 py-1 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200">
+        ＋ Blank page at start
+      </button>
+      {layout.map((entry, index) => {
+        const size = pageSizes[index + 1] || BLANK_PAGE_SIZE;
+        const near = index >= visible.first && index <= visible.last;
+        return (
+          <div
+            key={entry.id}
+            data-index={index}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              e.dataTransfer.setData('text/plain', String(index));
+              setDragIndex(index);
+            }}
+            onDragOver={(e) => {
+              if (dragIndex === null) return;
+              e.preventDefault();
+              setDropIndex(index);
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragIndex !== null && dragIndex !== index) onMove(dragIndex, index);
+              endDrag();
+            }}
+            onDragEnd={endDrag}
+            className={`group relative rounded-lg border-2 p-1 bg-gray-50 cursor-grab ${
+              dropIndex === index && dragIndex !== index ? 'border-blue-500' : 'border-transparent'
+            } ${dragIndex === index ? 'opacity-50' : ''}`}
+          >
+            <button
+              onClick={() => onOpen(index)}
+              className="block mx-auto shadow bg-white overflow-hidden"
+              style={{ width: THUMBNAIL_WIDTH, height: (THUMBNAIL_WIDTH * size.height) / size.width }}
+              title="Show this page"
+            >
+              {entry.source && near && (
+                <Page
+                  pageNumber={entry.source}
+                  width={THUMBNAIL_WIDTH}
+                  rotate={pageRotation(entry)}
+                  renderTextLayer={false}
+                  renderAnnotationLayer={false}
+                />
+              )}
+            </button>
+            <div className="mt-1 text-center text-[11px] text-gray-600">
+              {index + 1}
+              {!entry.source && ' (blank)'}
+            </div>
+            <div className="absolute top-1.5 right-1.5 flex flex-col gap-0.5 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+              <button onClick={() => onMove(index, index - 1)} disabled={index === 0} title="Move up" className={actionClass}>
+                ↑
+              </button>
+              <button onClick={() => onMove(index, index + 1)} disabled={index === layout.length - 1} title="Move down" className={actionClass}>
+                ↓
+              </button>
+              <button onClick={() => onRotate(index)} title="Rotate 90° clockwise" className={actionClass}>
+                ⟳
+              </button>
+              <button onClick={() => onDuplicate(index)} title="Duplicate" className={actionClass}>
+                ⧉
+              </button>
+              <button onClick={() => onInsertBlank(index + 1)} title="Insert a blank page after" className={actionClass}>
+                ＋
+              </button>
+              <button
+                onClick={() => onDelete(index)}
+                disabled={layout.length === 1}
+                title="Delete the page and what is placed on it"
+                className={`${actionClass} text-red-600`}
+              >
+                🗑
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+'use client';
+
+import React from 'react';
+
+const RESTRICTIONS = [
+  { key: 'noPrint', label: 'No printing' },
+  { key: 'noCopy', label: 'No copying' },
+  { key: 'noEdit', label: 'No editing' },
+];
+
+/**
+ * Passwords and restrictions the downloaded files are encrypted with. The
+ * owner password lifts the restrictions; without one nobody can.
+ */
+export default function ProtectExportBar({ protection, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      <label className="flex items-center gap-1" title="Asked for to open the file, leave empty to open it freely">
+        Open password
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={protection.userPassword}
+          onChange={(e) => onChange({ userPassword: e.target.value })}
+          placeholder="none"
+          className="w-32 px-2 py-1 rounded-lg border border-gray-300"
+        />
+      </label>
+      <label className="flex items-center gap-1" title="Lifts the restrictions in PDF readers that honor them">
+        Owner password
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={protection.ownerPassword}
+          onChange={(e) => onChange({ ownerPassword: e.target.value })}
+          placeholder="none"
+          className="w-32 px-2 py-1 rounded-lg border border-gray-300"
+        />
+      </label>
+      {RESTRICTIONS.map(({ key, label }) => (
+        <label key={key} className="flex items-center gap-1">
+          <input type="checkbox" checked={protection[key]} onChange={(e) => onChange({ [key]: e.target.checked })} />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+'use client';
+
+import React from 'react';
+
+const buttonClass =
+  'px-2.5 py-1 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Label of the redaction marks, marking the search matches and applying the
+ * marks, which removes what they cover from the document.
+ */
+export default function RedactToolBar({ label, markCount, hitCount, busy, onLabelChange, onMarkHits, onApply }) {
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      <label className="flex items-center gap-1" title="Printed in white on the black boxes, leave empty for none">
+        Label
+        <input
+          value={label}
+          onChange={(e) => onLabelChange(e.target.value)}
+          placeholder="none"
+          className="w-28 px-2 py-1 rounded-lg border border-gray-300"
+        />
+      </label>
+      <button onClick={onMarkHits} disabled={!hitCount} title="Mark every match of the search" className={buttonClass}>
+        🔍 Mark {hitCount} match(es)
+      </button>
+      <button
+        onClick={onApply}
+        disabled={!markCount || busy}
+        title="Removes the text, images and drawings under the marks for good"
+        className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-900 text-white hover:bg-black shadow disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {busy ? '⏳ Redacting...' : `⬛ Apply ${markCount} redaction(s)`}
+      </button>
+    </div>
+  );
+}
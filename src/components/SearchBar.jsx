@@ -0,0 +1,53 @@
+'use client';
+
+import React from 'react';
+
+const buttonClass =
+  'px-2.5 py-1 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Search box with the hit count and previous/next hit, and buttons placing
+ * a signature or today's date next to the current hit.
+ */
+export default function SearchBar({ inputRef, query, hitCount, current, searching, onQueryChange, onStep, onPlace }) {
+  const hasHit = hitCount > 0 && current !== null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 text-xs text-gray-700">
+      <input
+        ref={inputRef}
+        type="search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key !== 'Enter') return;
+          e.preventDefault();
+          onStep(e.shiftKey ? -1 : 1);
+        }}
+        placeholder="🔍 Search (Ctrl+F)"
+        className="w-44 px-2 py-1 rounded-lg border border-gray-300"
+      />
+      {query.trim() && (
+        <span className="w-20 text-center tabular-nums text-gray-500">
+          {searching ? 'Searching...' : hitCount ? `${current + 1} of ${hitCount}` : 'No matches'}
+        </span>
+      )}
+      <button onClick={() => onStep(-1)} disabled={!hitCount} title="Previous match (Shift+Enter)" className={buttonClass}>
+        ▲
+      </button>
+      <button onClick={() => onStep(1)} disabled={!hitCount} title="Next match (Enter)" className={buttonClass}>
+        ▼
+      </button>
+      {hasHit && (
+        <>
+          <button onClick={() => onPlace('signature')} title="Place the signature next to this match" className={buttonClass}>
+            ✍️ Sign here
+          </button>
+          <button onClick={() => onPlace('date')} title="Place today's date next to this match" className={buttonClass}>
+            📅 Date here
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+'use client';
+
+import React from 'react';
+
+const CORNERS = [
+  { corner: 'nw', className: '-top-1.5 -left-1.5 cursor-nwse-resize' },
+  { corner: 'ne', className: '-top-1.5 -right-1.5 cursor-nesw-resize' },
+  { corner: 'sw', className: '-bottom-1.5 -left-1.5 cursor-nesw-resize' },
+  { corner: 'se', className: '-bottom-1.5 -right-1.5 cursor-nwse-resize' },
+];
+
+/** Dashed outline with resize, rotate and remove handles of a selected item. */
+export default function SelectionHandles({ item, onStartTransform, onRemove }) {
+  return (
+    <>
+      <div className="absolute inset-0 border border-dashed border-blue-500 pointer-events-none" />
+      {CORNERS.map(({ corner, className }) => (
+        <div
+          key={corner}
+          onPointerDown={(e) => onStartTransform(e, item, 'resize', corner)}
+          className={`absolute w-3 h-3 bg-white border-2 border-blue-500 rounded-sm pointer-events-auto touch-none ${className}`}
+        />
+      ))}
+      <div className="absolute left-1/2 -top-6 w-px h-4.5 bg-blue-500 pointer-events-none" />
+      <div
+        onPointerDown={(e) => onStartTransform(e, item, 'rotate')}
+        title="Rotate (Shift snaps to 15°)"
+        className="absolute left-1/2 -top-8 -ml-1.5 w-3 h-3 bg-white border-2 border-blue-500 rounded-full cursor-grab pointer-events-auto touch-none"
+      />
+      <button
+        onPointerDown={(e) => e.stopPropagation()}
+        onClick={(e) => {
+          e.stopPropagation();
+          onRemove(item.id);
+        }}
+        className="absolute -top-2.5 -right-6 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-[9px] pointer-events-auto hover:bg-red-600"
+      >
+        ×
+      </button>
+    </>
+  );
+}
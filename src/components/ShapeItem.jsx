@@ -0,0 +1,194 @@
+'use client';
+
+import React from 'react';
+import { calloutLeader, toItemLocal } from '@/lib/itemGeometry';
+import { LINE_SHAPES, arrowHead, arrowSize, getShapeStyle } from '@/lib/shapeStyle';
+import { textCss } from '@/lib/textStyle';
+import SelectionHandles from './SelectionHandles';
+
+const toPoints = (points) => points.map((p) => `${p.x},${p.y}`).join(' ');
+
+const handleClass =
+  'absolute -ml-1.5 -mt-1.5 w-3 h-3 bg-white border-2 border-blue-500 rounded-full cursor-move pointer-events-auto touch-none';
+
+function RemoveButton({ item, onRemove, className }) {
+  return (
+    <button
+      onPointerDown={(e) => e.stopPropagation()}
+      onClick={(e) => {
+        e.stopPropagation();
+        onRemove(item.id);
+      }}
+      className={`absolute bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-[9px] pointer-events-auto hover:bg-red-600 ${className}`}
+    >
+      ×
+    </button>
+  );
+}
+
+// Line or arrow, drawn across the whole page; selected, its two ends can be dragged.
+function LineShape({ item, pageSize, scale, selected, interactive, style, startMove, onStartTransform, onRemove }) {
+  const [from, to] = item.content.map((p) => ({ x: p.x * pageSize.width, y: p.y * pageSize.height }));
+  const width = style.strokeWidth * scale;
+  const head = item.shape === 'arrow' ? arrowHead(to, from, arrowSize(width)) : null;
+  return (
+    <>
+      <svg className="absolute top-0 left-0 w-full h-full pointer-events-none" style={{ opacity: style.opacity }}>
+        <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke={style.stroke} strokeWidth={width} strokeLinecap={head ? 'butt' : 'round'} />
+        {head && <polygon points={toPoints(head)} fill={style.stroke} />}
+        {interactive && (
+          <line
+            x1={from.x}
+            y1={from.y}
+            x2={to.x}
+            y2={to.y}
+            stroke="transparent"
+            strokeWidth={Math.max(12, width)}
+            style={{ pointerEvents: 'stroke', cursor: 'move', touchAction: 'none' }}
+            onPointerDown={startMove}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+      </svg>
+      {selected &&
+        [from, to].map((p, index) => (
+          <div
+            key={index}
+            className={handleClass}
+            style={{ left: p.x, top: p.y }}
+            onPointerDown={(e) => onStartTransform(e, item, 'point', index)}
+          />
+        ))}
+      {selected && (
+        <div className="absolute" style={{ left: (from.x + to.x) / 2, top: (from.y + to.y) / 2 }}>
+          <RemoveButton item={item} onRemove={onRemove} className="left-2 -top-7" />
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * A shape placed on a page: rectangle, ellipse, line, arrow or callout. Boxes
+ * move, resize and rotate like the other items; callouts also have a handle
+ * on the point their leader line points at.
+ */
+export default function ShapeItem({
+  item,
+  pageSize,
+  scale,
+  selected,
+  interactive,
+  editing,
+  onSelect,
+  onStartTransform,
+  onRemove,
+  onEditText,
+}) {
+  const style = getShapeStyle(item);
+  const startMove = (e) => {
+    if (!interactive) return;
+    onSelect(item.id);
+    onStartTransform(e, item, 'move');
+  };
+
+  if (LINE_SHAPES.includes(item.shape)) {
+    return (
+      <LineShape
+        item={item}
+        pageSize={pageSize}
+        scale={scale}
+        selected={selected}
+        interactive={interactive}
+        style={style}
+        startMove={startMove}
+        onStartTransform={onStartTransform}
+        onRemove={onRemove}
+      />
+    );
+  }
+
+  const width = item.width * pageSize.width;
+  const height = item.height * pageSize.height;
+  const strokeWidth = style.strokeWidth * scale;
+  const inset = strokeWidth / 2;
+  const isCallout = item.shape === 'callout';
+  const leader = isCallout ? calloutLeader(item, pageSize) : null;
+  const anchor = isCallout ? toItemLocal(item, item.anchor, pageSize) : null;
+
+  return (
+    <div
+      className={`absolute group ${interactive ? 'pointer-events-auto cursor-move touch-none' : ''}`}
+      style={{
+        left: item.x * pageSize.width,
+        top: item.y * pageSize.height,
+        width,
+        height,
+        transform: item.rotation ? `rotate(${item.rotation}deg)` : undefined,
+      }}
+      onPointerDown={startMove}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={() => interactive && isCallout && onEditText(item)}
+    >
+      <svg className="absolute top-0 left-0 w-full h-full overflow-visible pointer-events-none" style={{ opacity: style.opacity }}>
+        {item.shape === 'rect' && (
+          <rect
+            x={inset}
+            y={inset}
+            width={Math.max(0, width - strokeWidth)}
+            height={Math.max(0, height - strokeWidth)}
+            fill={style.fill || 'none'}
+            stroke={style.stroke}
+            strokeWidth={strokeWidth}
+          />
+        )}
+        {item.shape === 'ellipse' && (
+          <ellipse
+            cx={width / 2}
+            cy={height / 2}
+            rx={Math.max(0, width / 2 - inset)}
+            ry={Math.max(0, height / 2 - inset)}
+            fill={style.fill || 'none'}
+            stroke={style.stroke}
+            strokeWidth={strokeWidth}
+          />
+        )}
+        {leader && (
+          <>
+            <line x1={leader.end.x} y1={leader.end.y} x2={leader.anchor.x} y2={leader.anchor.y} stroke={style.stroke} strokeWidth={strokeWidth} />
+            <polygon points={toPoints(arrowHead(leader.anchor, leader.end, arrowSize(strokeWidth)))} fill={style.stroke} />
+          </>
+        )}
+      </svg>
+      {isCallout && (
+        <div
+          className="absolute inset-0 overflow-hidden select-none"
+          style={{
+            ...textCss(item, scale),
+            opacity: style.opacity,
+            border: `${strokeWidth}px solid ${style.stroke}`,
+            background: style.fill || 'transparent',
+          }}
+        >
+          {!editing && item.content}
+        </div>
+      )}
+      {selected && (
+        <>
+          <SelectionHandles item={item} onStartTransform={onStartTransform} onRemove={onRemove} />
+          {anchor && (
+            <div
+              className={handleClass}
+              style={{ left: anchor.x, top: anchor.y }}
+              title="Drag to move what the callout points at"
+              onPointerDown={(e) => onStartTransform(e, item, 'anchor')}
+            />
+          )}
+        </>
+      )}
+      {!selected && interactive && (
+        <RemoveButton item={item} onRemove={onRemove} className="-top-1.5 -right-1.5 opacity-0 group-hover:opacity-100 transition-opacity" />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+'use client';
+
+import React from 'react';
+import { LINE_SHAPES, SHAPES, SHAPE_WIDTH_RANGE } from '@/lib/shapeStyle';
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+const colorClass = 'w-8 h-7 p-0.5 rounded-lg border border-gray-300 bg-white cursor-pointer';
+
+/**
+ * Shape picker with the stroke and fill of the next shape, or of the
+ * selected one (then `shape` is null and only its style is shown).
+ */
+export default function ShapeToolBar({ shape, style, onShapeChange, onStyleChange }) {
+  const kind = shape || style.shape;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      {shape &&
+        Object.entries(SHAPES).map(([key, { label, icon }]) => (
+          <button key={key} onClick={() => onShapeChange(key)} className={toggleClass(shape === key)}>
+            {icon} {label}
+          </button>
+        ))}
+      <input
+        type="color"
+        value={style.stroke}
+        onChange={(e) => onStyleChange({ stroke: e.target.value })}
+        title="Line color"
+        className={colorClass}
+      />
+      <label className="flex items-center gap-1" title="Line width (pt)">
+        Width
+        <input
+          type="range"
+          min={SHAPE_WIDTH_RANGE[0]}
+          max={SHAPE_WIDTH_RANGE[1]}
+          step={0.5}
+          value={style.strokeWidth}
+          onChange={(e) => onStyleChange({ strokeWidth: Number(e.target.value) })}
+        />
+        <span className="w-8">{style.strokeWidth}pt</span>
+      </label>
+      {!LINE_SHAPES.includes(kind) && (
+        <>
+          <button onClick={() => onStyleChange({ fill: style.fill ? null : '#ffffff' })} className={toggleClass(!!style.fill)}>
+            {style.fill ? '◼ Filled' : '◻ No fill'}
+          </button>
+          {style.fill && (
+            <input
+              type="color"
+              value={style.fill}
+              onChange={(e) => onStyleChange({ fill: e.target.value })}
+              title="Fill color"
+              className={colorClass}
+            />
+          )}
+        </>
+      )}
+      <label className="flex items-center gap-1" title="Opacity">
+        Opacity
+        <input
+          type="range"
+          min={0.1}
+          max={1}
+          step={0.05}
+          value={style.opacity}
+          onChange={(e) => onStyleChange({ opacity: Number(e.target.value) })}
+        />
+        <span className="w-8">{Math.round(style.opacity * 100)}%</span>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+'use client';
+
+import React from 'react';
+
+const formatDate = (date) => (date ? date.toLocaleString() : 'unknown');
+
+// Worst problem first, a signature is only fine when nothing is wrong with it
+const verdict = (check) => {
+  if (check.error) return { icon: '❌', text: `Could not be checked: ${check.error}`, color: 'text-red-700' };
+  if (!check.intact) return { icon: '❌', text: 'The signed content was changed', color: 'text-red-700' };
+  if (!check.valid) return { icon: '❌', text: 'The signature does not match its certificate', color: 'text-red-700' };
+  if (!check.coversDocument) {
+    return { icon: '⚠️', text: 'Valid, but the document was changed after signing', color: 'text-amber-700' };
+  }
+  return { icon: '✅', text: 'Valid, the document is unchanged since signing', color: 'text-green-700' };
+};
+
+/**
+ * Result of checking the digital signatures of the open document against
+ * its bytes, one row per signature, oldest first.
+ */
+export default function SignatureCheckPanel({ checks, onClose }) {
+  return (
+    <div className="mt-2 p-3 rounded-xl border border-gray-200 bg-gray-50 text-xs text-gray-700">
+      <div className="flex items-center mb-1">
+        <strong>Digital signatures</strong>
+        <button onClick={onClose} className="ml-auto text-gray-500 hover:text-gray-700">
+          ✖ Close
+        </button>
+      </div>
+      {checks === null && <p>⏳ Checking...</p>}
+      {checks?.length === 0 && <p>This document has no digital signatures.</p>}
+      {checks?.map((check, i) => {
+        const { icon, text, color } = verdict(check);
+        return (
+          <div key={i} className="py-1.5 border-t border-gray-200 first:border-t-0">
+            <p className={`font-medium ${color}`}>
+              {icon} {check.field || `Signature ${i + 1}`}: {text}
+            </p>
+            {check.signer && (
+              <p>
+                Signed by {check.signer} on {formatDate(check.signedAt)}, certificate issued by {check.issuer}
+                {check.selfSigned ? ' (self-signed)' : ''}, valid {check.validFrom.toLocaleDateString()} to{' '}
+                {check.validTo.toLocaleDateString()}
+              </p>
+            )}
+          </div>
+        );
+      })}
+      <p className="mt-1 text-gray-500">
+        Whether the signer is who the certificate says is not checked: no list of trusted authorities is consulted.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import '@fontsource/dancing-script/400.css';
+import '@fontsource/great-vibes/400.css';
+import '@fontsource/caveat/400.css';
+import '@fontsource/sacramento/400.css';
+import { canvasToBlob, extractInkFromPhoto, renderTypedSignature, trimCanvas } from '@/lib/signatureImage';
+import { ENTRY_KINDS } from '@/lib/storage/signatureLibrary';
+
+const SIGNATURE_FONTS = ['Dancing Script', 'Great Vibes', 'Caveat', 'Sacramento'];
+
+const INK_COLORS = [
+  { name: 'Black', value: '#111827' },
+  { name: 'Blue', value: '#1d4ed8' },
+];
+
+const TABS = [
+  { id: 'draw', label: '🖊️ Draw' },
+  { id: 'type', label: '⌨️ Type' },
+  { id: 'photo', label: '📷 Photo' },
+];
+
+const PAD_WIDTH = 560;
+const PAD_HEIGHT = 200;
+
+function DrawPad({ color, onChange }) {
+  const canvasRef = useRef(null);
+  const lastPoint = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = PAD_WIDTH * ratio;
+    canvas.height = PAD_HEIGHT * ratio;
+    canvas.getContext('2d').scale(ratio, ratio);
+  }, []);
+
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    lastPoint.current = pointFor(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!lastPoint.current) return;
+    const point = pointFor(e);
+    const ctx = canvasRef.current.getContext('2d');
+    // pens report real pressure, mice always 0.5
+    const pressure = e.pointerType === 'pen' ? e.pressure : 0.5;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5 + pressure * 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(lastPoint.current.x, lastPoint.current.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    lastPoint.current = point;
+    onChange(canvasRef.current);
+  };
+
+  const handlePointerUp = () => {
+    lastPoint.current = null;
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        className="w-full border-2 border-dashed border-gray-300 rounded-lg bg-white cursor-crosshair"
+        style={{ aspectRatio: `${PAD_WIDTH} / ${PAD_HEIGHT}`, touchAction: 'none' }}
+      />
+      <div className="flex justify-between items-center mt-1">
+        <span className="text-xs text-gray-500">Sign with your mouse, finger or pen</span>
+        <button onClick={clear} className="text-xs px-2 py-0.5 bg-red-100 text-red-700 rounded-full hover:bg-red-200">
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Dialog for creating a signature image without a pre-made file: draw it,
+ * type it in a handwriting font, or clean up a photo of an ink signature.
+ * Calls `onSave` with a transparent, cropped PNG blob and, when the user
+ * wants to keep it, the `{ name, kind }` to store it under in the library.
+ */
+export default function SignatureDialog({ onSave, onClose }) {
+  const [tab, setTab] = useState('draw');
+  const [color, setColor] = useState(INK_COLORS[0].value);
+  const [drawnCanvas, setDrawnCanvas] = useState(null);
+  const [typedName, setTypedName] = useState('');
+  const [font, setFont] = useState(SIGNATURE_FONTS[0]);
+  const [photoCanvas, setPhotoCanvas] = useState(null);
+  const [photoPreview, setPhotoPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [saveToLibrary, setSaveToLibrary] = useState(true);
+  const [entryName, setEntryName] = useState('');
+  const [entryKind, setEntryKind] = useState('signature');
+
+  useEffect(() => {
+    return () => {
+      if (photoPreview) URL.revokeObjectURL(photoPreview);
+    };
+  }, [photoPreview]);
+
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError(null);
+    setBusy(true);
+    try {
+      const canvas = await extractInkFromPhoto(file);
+      setPhotoCanvas(canvas);
+      setPhotoPreview(URL.createObjectURL(await canvasToBlob(canvas)));
+    } catch (err) {
+      setPhotoCanvas(null);
+      setPhotoPreview(null);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canSave =
+    (tab === 'draw' && drawnCanvas) || (tab === 'type' && typedName.trim()) || (tab === 'photo' && photoCanvas);
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      let canvas;
+      if (tab === 'draw') canvas = trimCanvas(drawnCanvas);
+      else if (tab === 'type') canvas = await renderTypedSignature(typedName.trim(), font, color);
+      else canvas = photoCanvas;
+      if (!canvas) throw new Error('The signature is empty');
+      onSave(await canvasToBlob(canvas), saveToLibrary ? { name: entryName || typedName, kind: entryKind } : null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-3">
+          <h2 className="text-lg font-bold text-gray-800">Create Signature</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl leading-none">×</button>
+        </div>
+
+        <div className="flex gap-1.5 mb-3">
+          {TABS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`px-3 py-1.5 text-xs rounded-lg font-medium transition-all ${
+                tab === id ? 'bg-blue-600 text-white shadow' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {tab !== 'photo' && (
+            <div className="ml-auto flex items-center gap-1.5">
+              {INK_COLORS.map(({ name, value }) => (
+                <button
+                  key={value}
+                  title={name}
+                  onClick={() => setColor(value)}
+                  className={`w-5 h-5 rounded-full border-2 ${color === value ? 'border-gray-800' : 'border-transparent'}`}
+                  style={{ background: value }}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* kept mounted so switching tabs does not wipe the drawing */}
+        <div hidden={tab !== 'draw'}>
+          <DrawPad color={color} onChange={setDrawnCanvas} />
+        </div>
+
+        {tab === 'type' && (
+          <div>
+            <input
+              autoFocus
+              value={typedName}
+              onChange={(e) => setTypedName(e.target.value)}
+              placeholder="Type your name"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm mb-2"
+            />
+            <div className="grid grid-cols-2 gap-2">
+              {SIGNATURE_FONTS.map((family) => (
+                <button
+                  key={family}
+                  onClick={() => setFont(family)}
+                  className={`h-20 px-2 border-2 rounded-lg truncate ${
+                    font === family ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                  style={{ fontFamily: `"${family}"`, fontSize: 30, color }}
+                >
+                  {typedName.trim() || 'Your Name'}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {tab === 'photo' && (
+          <div>
+            <input
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={handlePhoto}
+              className="w-full text-xs file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-green-50 file:text-green-700 hover:file:bg-green-100 cursor-pointer mb-2"
+            />
+            <p className="text-xs text-gray-500 mb-2">
+              Sign on plain white paper and take a photo. The paper is removed and the ink is cropped automatically.
+            </p>
+            {photoPreview && (
+              <div
+                className="border border-gray-200 rounded-lg p-2 flex justify-center"
+                style={{ background: 'repeating-conic-gradient(#f3f4f6 0% 25%, #fff 0% 50%) 0 0 / 16px 16px' }}
+              >
+                <img src={photoPreview} alt="extracted signature" className="max-h-40" />
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+
+        <div className="flex items-center gap-2 mt-4 text-xs">
+          <label className="flex items-center gap-1 text-gray-700 whitespace-nowrap">
+            <input type="checkbox" checked={saveToLibrary} onChange={(e) => setSaveToLibrary(e.target.checked)} />
+            Save to library as
+          </label>
+          <input
+            value={entryName}
+            onChange={(e) => setEntryName(e.target.value)}
+            disabled={!saveToLibrary}
+            placeholder={typedName.trim() || 'Name'}
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+          />
+          <select
+            value={entryKind}
+            onChange={(e) => setEntryKind(e.target.value)}
+            disabled={!saveToLibrary}
+            className="px-1 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+          >
+            {Object.entries(ENTRY_KINDS).map(([kind, label]) => (
+              <option key={kind} value={kind}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-3">
+          <button onClick={onClose} className="px-3 py-1.5 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300">
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!canSave || busy}
+            className="px-3 py-1.5 text-xs rounded-lg font-medium bg-indigo-600 text-white hover:bg-indigo-700 shadow disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy ? '⏳ Working...' : 'Use Signature'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+import { downloadBlob } from '@/lib/download';
+import {
+  ENTRY_KINDS,
+  deleteEntry,
+  exportLibrary,
+  importLibrary,
+  saveEntry,
+  setDefaultEntry,
+} from '@/lib/storage/signatureLibrary';
+
+/**
+ * Drop-down listing the saved signatures, initials and stamps. Picking an
+ * entry hands it to `onPick`. The list is owned by the parent, which loads
+ * the default signature on start-up; `onChange` asks it to reload.
+ */
+export default function SignatureLibraryMenu({ entries, currentImage, onPick, onChange, onClose }) {
+  const [error, setError] = useState(null);
+  const [saveName, setSaveName] = useState('');
+  const [saveKind, setSaveKind] = useState('signature');
+  const importRef = useRef(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await onChange();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  const saveCurrent = () =>
+    run(async () => {
+      const blob = await (await fetch(currentImage)).blob();
+      const entry = await saveEntry({ name: saveName, kind: saveKind, blob });
+      setSaveName('');
+      onPick(entry);
+    });
+
+  const handleExport = () =>
+    run(async () => {
+      downloadBlob(await exportLibrary(), 'signature-library.json', 'application/json');
+    });
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const count = await importLibrary(file);
+      if (count === 0) throw new Error('No entries found in the file');
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/20" onClick={onClose}>
+      <div
+        className="absolute top-24 left-1/2 -translate-x-1/2 w-80 bg-white rounded-xl shadow-xl border border-gray-200 p-3 text-xs"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-2">
+          <span className="font-semibold text-gray-800">📚 My Library</span>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-base leading-none">×</button>
+        </div>
+
+        {entries.length === 0 && <p className="text-gray-500 mb-2">Nothing saved yet.</p>}
+
+        <div className="max-h-64 overflow-y-auto space-y-2">
+          {Object.entries(ENTRY_KINDS).map(([kind, label]) => {
+            const ofKind = entries.filter((entry) => entry.kind === kind);
+            if (ofKind.length === 0) return null;
+            return (
+              <div key={kind}>
+                <div className="text-[10px] uppercase tracking-wide text-gray-400 mb-1">{label}</div>
+                {ofKind.map((entry) => (
+                  <div key={entry.id} className="flex items-center gap-2 p-1 rounded-lg hover:bg-blue-50">
+                    <button onClick={() => onPick(entry)} className="flex-1 min-w-0 flex items-center gap-2 text-left">
+                      <img
+                        src={entry.url}
+                        alt={entry.name}
+                        className="w-16 h-8 object-contain bg-gray-50 rounded border border-gray-100"
+                      />
+                      <span className="truncate text-gray-700">{entry.name}</span>
+                    </button>
+                    <button
+                      onClick={() => run(() => setDefaultEntry(entry.isDefault ? null : entry.id, entry.kind))}
+                      title={entry.isDefault ? 'Default' : 'Set as default'}
+                      className={entry.isDefault ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}
+                    >
+                      ★
+                    </button>
+                    <button
+                      onClick={() => run(() => deleteEntry(entry.id))}
+                      title="Delete"
+                      className="text-gray-300 hover:text-red-500"
+                    >
+                      🗑
+                    </button>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+
+        {currentImage && (
+          <div className="border-t mt-2 pt-2 flex gap-1.5">
+            <input
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              placeholder="Name"
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg"
+            />
+            <select value={saveKind} onChange={(e) => setSaveKind(e.target.value)} className="px-1 py-1 border border-gray-300 rounded-lg">
+              {Object.entries(ENTRY_KINDS).map(([kind, label]) => (
+                <option key={kind} value={kind}>{label}</option>
+              ))}
+            </select>
+            <button onClick={saveCurrent} className="px-2 py-1 rounded-lg font-medium bg-green-100 text-green-700 hover:bg-green-200 whitespace-nowrap">
+              ➕ Save current
+            </button>
+          </div>
+        )}
+
+        <div className="border-t mt-2 pt-2 flex gap-1.5">
+          <button
+            onClick={handleExport}
+            disabled={entries.length === 0}
+            className="flex-1 px-2 py-1 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+          >
+            ⬇️ Export
+          </button>
+          <button onClick={() => importRef.current.click()} className="flex-1 px-2 py-1 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300">
+            ⬆️ Import
+          </button>
+          <input ref={importRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+
+        {error && <p className="mt-2 text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
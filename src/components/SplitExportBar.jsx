@@ -0,0 +1,67 @@
+'use client';
+
+import React, { useState } from 'react';
+import { everyNPages, parsePageRanges } from '@/lib/pdf/splitPdf';
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+/** Page ranges (or a page count per file) for the split export. */
+export default function SplitExportBar({ pageCount, busy, onSplit }) {
+  const [mode, setMode] = useState('ranges');
+  const [ranges, setRanges] = useState('');
+  const [size, setSize] = useState(1);
+  const [error, setError] = useState(null);
+
+  const split = () => {
+    try {
+      onSplit(mode === 'ranges' ? parsePageRanges(ranges, pageCount) : everyNPages(size, pageCount));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      <button onClick={() => setMode('ranges')} className={toggleClass(mode === 'ranges')}>
+        Page ranges
+      </button>
+      <button onClick={() => setMode('every')} className={toggleClass(mode === 'every')}>
+        Every N pages
+      </button>
+      {mode === 'ranges' ? (
+        <input
+          value={ranges}
+          onChange={(e) => setRanges(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && split()}
+          placeholder={`e.g. 1-3, 4, 5-${pageCount}`}
+          title="One file per range; '9-' runs to the last page"
+          className="w-48 px-2 py-1 rounded-lg border border-gray-300"
+        />
+      ) : (
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            min={1}
+            max={pageCount}
+            value={size}
+            onChange={(e) => setSize(Number(e.target.value))}
+            className="w-16 px-2 py-1 rounded-lg border border-gray-300"
+          />
+          page(s) per file
+        </label>
+      )}
+      <button
+        onClick={split}
+        disabled={busy}
+        className="px-3 py-1.5 text-xs rounded-lg font-medium bg-indigo-600 text-white hover:bg-indigo-700 shadow disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {busy ? '⏳ Exporting...' : '🗜️ Download ZIP'}
+      </button>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+import { DATE_FORMATS, MARKS, RUBBER_STAMPS, formatDate } from '@/lib/stamps';
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+const buttonClass =
+  'px-2.5 py-1 text-xs rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const colorClass = 'w-8 h-7 p-0.5 rounded-lg border border-gray-300 bg-white cursor-pointer';
+
+/**
+ * Stamp palette: the date in a chosen format, initials, check and cross
+ * marks, preset rubber stamps and the stamps saved in the library. Custom
+ * text or image stamps are handed to `onCreate` to be saved there.
+ */
+export default function StampToolBar({ settings, defaultInitials, libraryStamps, onStampChange, onSettingsChange, onCreate }) {
+  const [customText, setCustomText] = useState('');
+  const imageRef = useRef(null);
+  const today = new Date();
+
+  const createTextStamp = () => {
+    onCreate({ text: customText });
+    setCustomText('');
+  };
+
+  const handleImage = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onCreate({ file });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2 text-xs text-gray-700">
+      <button onClick={() => onStampChange('date')} className={toggleClass(settings.stamp === 'date')}>
+        📅 Date
+      </button>
+      <select
+        value={settings.dateFormat}
+        onChange={(e) => onSettingsChange({ dateFormat: e.target.value })}
+        title="Date format"
+        className="px-1 py-1 border border-gray-300 rounded-lg"
+      >
+        {DATE_FORMATS.map((format) => (
+          <option key={format} value={format}>{formatDate(today, format)}</option>
+        ))}
+      </select>
+      <button onClick={() => onStampChange('initials')} className={toggleClass(settings.stamp === 'initials')}>
+        🔤 Initials
+      </button>
+      <input
+        value={settings.initials}
+        onChange={(e) => onSettingsChange({ initials: e.target.value })}
+        placeholder={defaultInitials || 'AB'}
+        title="Made from your name in the audit trail or certificate unless typed here"
+        className="w-14 px-2 py-1 rounded-lg border border-gray-300"
+      />
+      {Object.entries(MARKS).map(([key, { label, icon }]) => (
+        <button key={key} onClick={() => onStampChange(key)} title={label} className={toggleClass(settings.stamp === key)}>
+          {icon} {label}
+        </button>
+      ))}
+      <input
+        type="color"
+        value={settings.color}
+        onChange={(e) => onSettingsChange({ color: e.target.value })}
+        title="Color of marks and custom text stamps"
+        className={colorClass}
+      />
+      {Object.entries(RUBBER_STAMPS).map(([key, { label, color }]) => (
+        <button
+          key={key}
+          onClick={() => onStampChange(key)}
+          style={settings.stamp === key ? undefined : { color }}
+          className={toggleClass(settings.stamp === key)}
+        >
+          {label}
+        </button>
+      ))}
+      {libraryStamps.map((entry) => (
+        <button
+          key={entry.id}
+          onClick={() => onStampChange(`library:${entry.id}`)}
+          title={entry.name}
+          className={`p-0.5 rounded-lg border-2 ${
+            settings.stamp === `library:${entry.id}` ? 'border-gray-700' : 'border-transparent hover:border-gray-300'
+          }`}
+        >
+          <img src={entry.url} alt={entry.name} className="h-6 max-w-20 object-contain" />
+        </button>
+      ))}
+      <input
+        value={customText}
+        onChange={(e) => setCustomText(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && customText.trim() && createTextStamp()}
+        placeholder="Custom text"
+        className="w-28 px-2 py-1 rounded-lg border border-gray-300"
+      />
+      <button onClick={createTextStamp} disabled={!customText.trim()} title="Save as a stamp in your library" className={buttonClass}>
+        ➕ Text stamp
+      </button>
+      <button onClick={() => imageRef.current.click()} title="Save an image as a stamp in your library" className={buttonClass}>
+        🖼️ Image stamp
+      </button>
+      <input ref={imageRef} type="file" accept="image/*" onChange={handleImage} className="hidden" />
+      <label className="flex items-center gap-1" title="Place the stamp at the same spot on every page">
+        <input
+          type="checkbox"
+          checked={settings.everyPage}
+          onChange={(e) => onSettingsChange({ everyPage: e.target.checked })}
+        />
+        Every page
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+'use client';
+
+import React from 'react';
+import { MAX_FONT_SIZE, MIN_FONT_SIZE, TEXT_ALIGNS, TEXT_FONTS, cssFontFamily } from '@/lib/textStyle';
+
+const ALIGN_LABELS = { left: '⇤', center: '↔', right: '⇥' };
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+/**
+ * Font, size, color, bold/italic and alignment of the selected text box, or
+ * of the next one placed when none is selected.
+ */
+export default function TextFormatBar({ style, onChange }) {
+  const setFontSize = (value) => {
+    const size = Number(value);
+    if (Number.isFinite(size) && size >= MIN_FONT_SIZE && size <= MAX_FONT_SIZE) onChange({ fontSize: size });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-2">
+      <select
+        value={style.fontFamily}
+        onChange={(e) => onChange({ fontFamily: e.target.value })}
+        title="Font"
+        className="px-2 py-1 text-xs rounded-lg border border-gray-300 bg-white"
+        style={{ fontFamily: cssFontFamily(style.fontFamily) }}
+      >
+        {Object.entries(TEXT_FONTS).map(([key, font]) => (
+          <option key={key} value={key} style={{ fontFamily: cssFontFamily(key) }}>
+            {font.label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="number"
+        min={MIN_FONT_SIZE}
+        max={MAX_FONT_SIZE}
+        value={style.fontSize}
+        onChange={(e) => setFontSize(e.target.value)}
+        title="Font size (pt)"
+        className="w-16 px-2 py-1 text-xs rounded-lg border border-gray-300"
+      />
+      <input
+        type="color"
+        value={style.color}
+        onChange={(e) => onChange({ color: e.target.value })}
+        title="Text color"
+        className="w-8 h-7 p-0.5 rounded-lg border border-gray-300 bg-white cursor-pointer"
+      />
+      <button onClick={() => onChange({ bold: !style.bold })} title="Bold" className={`${toggleClass(style.bold)} font-bold`}>
+        B
+      </button>
+      <button onClick={() => onChange({ italic: !style.italic })} title="Italic" className={`${toggleClass(style.italic)} italic`}>
+        I
+      </button>
+      {TEXT_ALIGNS.map((align) => (
+        <button
+          key={align}
+          onClick={() => onChange({ align })}
+          title={`Align ${align}`}
+          className={toggleClass(style.align === align)}
+        >
+          {ALIGN_LABELS[align]}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+'use client';
+
+import React from 'react';
+import { ZOOM_RANGE } from '@/lib/zoom';
+
+const toggleClass = (active) =>
+  `px-2.5 py-1 text-xs rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+    active ? 'bg-gray-700 text-white shadow' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+  }`;
+
+/** Zoom out/in buttons with the current zoom, and the two fit modes. */
+export default function ZoomControls({ scale, mode, onStep, onFit }) {
+  return (
+    <div className="flex items-center gap-1.5 text-xs text-gray-700" title="Ctrl + mouse wheel or pinch to zoom">
+      <button onClick={() => onStep(-1)} disabled={scale <= ZOOM_RANGE[0]} className={toggleClass(false)}>
+        −
+      </button>
+      <span className="w-11 text-center tabular-nums">{Math.round(scale * 100)}%</span>
+      <button onClick={() => onStep(1)} disabled={scale >= ZOOM_RANGE[1]} className={toggleClass(false)}>
+        +
+      </button>
+      <button onClick={() => onFit('width')} className={toggleClass(mode === 'width')}>
+        ↔ Fit width
+      </button>
+      <button onClick={() => onFit('page')} className={toggleClass(mode === 'page')}>
+        ⤢ Fit page
+      </button>
+    </div>
+  );
+}
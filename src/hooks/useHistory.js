@@ -0,0 +1,165 @@
+'use client';
+
+import { useCallback, useMemo, useReducer } from 'react';
+
+// Undo/redo for a list of items that carry an `id`. Entries only hold the
+// items that changed in a step (before and after), not copies of the list,
+// and the oldest ones are dropped once the history gets too large. The page
+// layout the items sit on is recorded along with them; it is small, so an
+// entry keeps it whole when its step changes it.
+
+const MAX_ENTRIES = 200;
+const MAX_BYTES = 16 * 1024 * 1024; // rough estimate, see entrySize
+const MERGE_WINDOW = 1000; // ms, steps with the same merge key closer than this become one
+
+const diffItems = (prev, next) => {
+  const prevById = new Map(prev.map((item, index) => [item.id, { item, index }]));
+  const nextById = new Map(next.map((item, index) => [item.id, { item, index }]));
+  const changes = [];
+  for (const [id, before] of prevById) {
+    const after = nextById.get(id);
+    if (!after || after.item !== before.item) changes.push({ id, before, after });
+  }
+  for (const [id, after] of nextById) {
+    if (!prevById.has(id)) changes.push({ id, after });
+  }
+  return changes;
+};
+
+// Applies an entry forwards (`side` = 'after') or backwards ('before'). Items
+// are only ever added, removed or replaced, so putting the changed ones back
+// at their old index restores the list exactly.
+const applyChanges = (items, changes, side) => {
+  const changedIds = new Set(changes.map((change) => change.id));
+  const result = items.filter((item) => !changedIds.has(item.id));
+  changes
+    .map((change) => change[side])
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ item, index }) => result.splice(index, 0, item));
+  return result;
+};
+
+const itemSize = (item) => {
+  if (!item) return 0;
+  const content = item.content;
+  if (Array.isArray(content)) return 64 + content.length * 32;
+  return 128 + (typeof content === 'string' ? content.length * 2 : 0);
+};
+
+const entrySize = (changes) =>
+  changes.reduce((total, change) => total + itemSize(change.before?.item) + itemSize(change.after?.item), 0);
+
+const makeEntry = (prev, next, mergeKey, time, prevPages, nextPages) => {
+  const changes = diffItems(prev, next);
+  const pages = prevPages !== nextPages ? { before: prevPages, after: nextPages } : null;
+  return { changes, pages, mergeKey, time, size: entrySize(changes) };
+};
+
+// Drops the oldest entries until the stack fits the limits.
+const trim = (past) => {
+  let total = past.reduce((sum, entry) => sum + entry.size, 0);
+  let start = 0;
+  while (past.length - start > MAX_ENTRIES || (total > MAX_BYTES && past.length - start > 1)) {
+    total -= past[start].size;
+    start++;
+  }
+  return start ? past.slice(start) : past;
+};
+
+const initialState = ({ items = [], pages = null } = {}) => ({ past: [], future: [], committed: items, present: items, pages });
+
+function reducer(state, action) {
+  switch (action.type) {
+    case 'preview':
+      return { ...state, present: action.items };
+
+    case 'commit': {
+      const { items, merge, time } = action;
+      const pages = action.pages === undefined ? state.pages : action.pages;
+      const last = state.past[state.past.length - 1];
+      const canMerge = merge && last?.mergeKey === merge && time - last.time < MERGE_WINDOW;
+      const base = canMerge ? applyChanges(state.committed, last.changes, 'before') : state.committed;
+      const basePages = canMerge && last.pages ? last.pages.before : state.pages;
+      const entry = makeEntry(base, items, merge, time, basePages, pages);
+      const past = canMerge ? state.past.slice(0, -1) : state.past;
+      if (entry.changes.length === 0 && !entry.pages) {
+        return { ...state, past, committed: items, present: items, pages };
+      }
+      return { past: trim([...past, entry]), future: [], committed: items, present: items, pages };
+    }
+
+    case 'undo': {
+      const entry = state.past[state.past.length - 1];
+      if (!entry) return { ...state, present: state.committed };
+      const items = applyChanges(state.committed, entry.changes, 'before');
+      return {
+        past: state.past.slice(0, -1),
+        future: [...state.future, entry],
+        committed: items,
+        present: items,
+        pages: entry.pages ? entry.pages.before : state.pages,
+      };
+    }
+
+    case 'redo': {
+      const entry = state.future[state.future.length - 1];
+      if (!entry) return state;
+      const items = applyChanges(state.committed, entry.changes, 'after');
+      return {
+        past: [...state.past, { ...entry, mergeKey: null }],
+        future: state.future.slice(0, -1),
+        committed: items,
+        present: items,
+        pages: entry.pages ? entry.pages.after : state.pages,
+      };
+    }
+
+    case 'reset':
+      return initialState(action);
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * History of an item list and of the page layout (`pages`, null until the
+ * pages are first reorganized).
+ *
+ * - `preview(items)` shows a state without recording it (live dragging,
+ *   a text box being typed into...).
+ * - `commit(items, { merge, pages })` records one step from the last
+ *   committed state, so previews in between collapse into it. Steps with the
+ *   same `merge` key right after each other are merged into one entry.
+ *   `pages` is only given when the step changes the page layout.
+ * - `undo()` / `redo()` move through the entries, `reset(items, pages)`
+ *   starts over.
+ */
+export default function useHistory(initialItems) {
+  const [state, dispatch] = useReducer(reducer, { items: initialItems }, initialState);
+
+  const preview = useCallback((items) => dispatch({ type: 'preview', items }), []);
+  const commit = useCallback(
+    (items, { merge, pages } = {}) => dispatch({ type: 'commit', items, merge, pages, time: Date.now() }),
+    []
+  );
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const reset = useCallback((items = [], pages = null) => dispatch({ type: 'reset', items, pages }), []);
+
+  return useMemo(
+    () => ({
+      items: state.present,
+      pages: state.pages,
+      preview,
+      commit,
+      undo,
+      redo,
+      reset,
+      canUndo: state.past.length > 0,
+      canRedo: state.future.length > 0,
+    }),
+    [state, preview, commit, undo, redo, reset]
+  );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// Which items of a long vertical list are on screen, so only those (and a
+// margin around them) are rendered. The items are the `[data-index]`
+// elements inside the `list` element, in order; they keep their full size
+// when not rendered, so positions are read straight from the layout.
+
+const EMPTY_RANGE = { first: 0, last: -1, current: 0 };
+
+// Index of the first item for which `test(rect)` holds, `items.length` if none
+// (`test` must be false then true along the list).
+const search = (items, test) => {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (test(items[middle].getBoundingClientRect())) high = middle;
+    else low = middle + 1;
+  }
+  return low;
+};
+
+/**
+ * `{ first, last, current }` indices: the items within `margin` px of the
+ * visible area and the one at the top of it. The visible area is the window,
+ * or the list itself when it scrolls on its own (`ownScroll`). `count`
+ * changes when items are added or removed.
+ */
+export default function useVisibleRange(list, count, { margin = 1000, ownScroll = false } = {}) {
+  const [range, setRange] = useState(EMPTY_RANGE);
+
+  useEffect(() => {
+    if (!list) return;
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      const items = list.querySelectorAll('[data-index]');
+      if (!items.length) {
+        setRange(EMPTY_RANGE);
+        return;
+      }
+      const bounds = ownScroll ? list.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+      const first = Math.min(items.length - 1, search(items, (rect) => rect.bottom >= bounds.top - margin));
+      const last = Math.max(first, search(items, (rect) => rect.top > bounds.bottom + margin) - 1);
+      // the item under a line a bit below the top, past sticky bars
+      const line = bounds.top + Math.min(120, (bounds.bottom - bounds.top) / 3);
+      const current = Math.max(0, search(items, (rect) => rect.bottom > line));
+      const next = { first, last, current: Math.min(current, items.length - 1) };
+      setRange((prev) =>
+        prev.first === next.first && prev.last === next.last && prev.current === next.current ? prev : next
+      );
+    };
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+
+    schedule();
+    const scroller = ownScroll ? list : window;
+    scroller.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    const observer = new ResizeObserver(schedule);
+    observer.observe(list);
+    return () => {
+      cancelAnimationFrame(frame);
+      scroller.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      observer.disconnect();
+    };
+  }, [list, count, margin, ownScroll]);
+
+  return range;
+}
@@ -0,0 +1,13 @@
+// Colors are kept as `#rrggbb` strings on items, PDF operators and
+// annotation entries want 0..1 components.
+
+/** `#rrggbb` to 0..1 components, black when it does not parse. */
+export function hexToRgb(hex) {
+  const match = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(hex || '');
+  if (!match) return [0, 0, 0];
+  return match.slice(1).map((part) => parseInt(part, 16) / 255);
+}
+
+/** 0..1 components back to `#rrggbb`. */
+export const rgbToHex = (components) =>
+  `#${components.map((c) => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('')}`;
@@ -0,0 +1,12 @@
+// Conversions between blobs and data: URIs, used wherever images have to
+// outlive the page session (library export, project files...).
+
+export const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
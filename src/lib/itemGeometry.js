@@ -0,0 +1,257 @@
+// Geometry of overlay items. Items are stored page-normalized (0..1, origin
+// top-left of the page as displayed); the functions below take a `size` in
+// display pixels so that rotation happens in a square space.
+
+export const SIGNATURE_WIDTH = 0.15; // default width, fraction of the page width
+export const DEFAULT_FONT_SIZE = 12; // pt
+export const TEXT_PADDING = 4; // pt, around text inside its box
+export const LINE_HEIGHT = 1.2;
+export const MIN_ITEM_SIZE = 8; // px
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+const rotate = ({ x, y }, deg) => {
+  const r = toRadians(deg);
+  return { x: x * Math.cos(r) - y * Math.sin(r), y: x * Math.sin(r) + y * Math.cos(r) };
+};
+
+const CORNER_SIGNS = {
+  nw: { sx: -1, sy: -1 },
+  ne: { sx: 1, sy: -1 },
+  sw: { sx: -1, sy: 1 },
+  se: { sx: 1, sy: 1 },
+};
+
+// Drawings and line shapes are made of points (in `content`), the other
+// items have a box.
+export const hasPoints = (item) => Array.isArray(item.content);
+
+/**
+ * Bounding box of an item, normalized. Items made of points have no box of
+ * their own, theirs is derived from the points and is never rotated.
+ */
+export function getItemBox(item) {
+  if (hasPoints(item)) {
+    const xs = item.content.map((p) => p.x);
+    const ys = item.content.map((p) => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y, rotation: 0 };
+  }
+  return { x: item.x, y: item.y, width: item.width, height: item.height, rotation: item.rotation || 0 };
+}
+
+export function getItemCenter(item, size) {
+  const box = getItemBox(item);
+  return {
+    x: (box.x + box.width / 2) * size.width,
+    y: (box.y + box.height / 2) * size.height,
+  };
+}
+
+// Angle in degrees of `point` around `center`, clockwise from the x axis.
+export const angleAround = (center, point) =>
+  (Math.atan2(point.y - center.y, point.x - center.x) * 180) / Math.PI;
+
+const mapPoints = (item, size, fn) => ({
+  ...item,
+  content: item.content.map((p) => {
+    const next = fn({ x: p.x * size.width, y: p.y * size.height });
+    return { ...p, x: next.x / size.width, y: next.y / size.height };
+  }),
+});
+
+export function moveItem(item, dx, dy, size) {
+  if (hasPoints(item)) {
+    return mapPoints(item, size, (p) => ({ x: p.x + dx, y: p.y + dy }));
+  }
+  const moved = { ...item, x: item.x + dx / size.width, y: item.y + dy / size.height };
+  if (item.anchor) moved.anchor = { x: item.anchor.x + dx / size.width, y: item.anchor.y + dy / size.height };
+  return moved;
+}
+
+/** Moves point `index` of a line shape to `pointer` (display px). */
+export function moveEndpoint(item, index, pointer, size) {
+  const content = item.content.map((p, i) => (i === index ? { x: pointer.x / size.width, y: pointer.y / size.height } : p));
+  return { ...item, content };
+}
+
+/** Moves the point a callout points at to `pointer` (display px). */
+export const moveAnchor = (item, pointer, size) => ({
+  ...item,
+  anchor: { x: pointer.x / size.width, y: pointer.y / size.height },
+});
+
+/**
+ * Resizes `item` by dragging one of its corners to `pointer` (display px),
+ * keeping the opposite corner where it is.
+ */
+export function resizeItem(item, corner, pointer, size, keepAspect) {
+  const { sx, sy } = CORNER_SIGNS[corner];
+  const box = getItemBox(item);
+  const width = Math.max(box.width * size.width, 1);
+  const height = Math.max(box.height * size.height, 1);
+  const center = getItemCenter(item, size);
+
+  const anchorOffset = rotate({ x: (-sx * width) / 2, y: (-sy * height) / 2 }, box.rotation);
+  const anchor = { x: center.x + anchorOffset.x, y: center.y + anchorOffset.y };
+  const diagonal = rotate({ x: pointer.x - anchor.x, y: pointer.y - anchor.y }, -box.rotation);
+
+  let newWidth = Math.max(MIN_ITEM_SIZE, sx * diagonal.x);
+  let newHeight = Math.max(MIN_ITEM_SIZE, sy * diagonal.y);
+  if (keepAspect) {
+    const factor = Math.max(newWidth / width, newHeight / height);
+    newWidth = width * factor;
+    newHeight = height * factor;
+  }
+
+  if (hasPoints(item)) {
+    const kx = newWidth / width;
+    const ky = newHeight / height;
+    return mapPoints(item, size, (p) => ({
+      x: anchor.x + (p.x - anchor.x) * kx,
+      y: anchor.y + (p.y - anchor.y) * ky,
+    }));
+  }
+
+  const centerOffset = rotate({ x: (sx * newWidth) / 2, y: (sy * newHeight) / 2 }, box.rotation);
+  const newCenter = { x: anchor.x + centerOffset.x, y: anchor.y + centerOffset.y };
+  return {
+    ...item,
+    x: (newCenter.x - newWidth / 2) / size.width,
+    y: (newCenter.y - newHeight / 2) / size.height,
+    width: newWidth / size.width,
+    height: newHeight / size.height,
+  };
+}
+
+// Rotates `item` by `delta` degrees (clockwise on screen) around its center.
+export function rotateItem(item, delta, size) {
+  if (hasPoints(item)) {
+    const center = getItemCenter(item, size);
+    return mapPoints(item, size, (p) => {
+      const offset = rotate({ x: p.x - center.x, y: p.y - center.y }, delta);
+      return { x: center.x + offset.x, y: center.y + offset.y };
+    });
+  }
+  const rotation = (((item.rotation || 0) + delta) % 360 + 360) % 360;
+  return { ...item, rotation };
+}
+
+// Where a normalized point or box ends up when its page turns 90° clockwise.
+const turnPoint = (p) => ({ x: 1 - p.y, y: p.x });
+const turnRect = (r) => ({ ...r, x: 1 - r.y - r.height, y: r.x, width: r.height, height: r.width });
+
+/**
+ * `item` on its page turned 90° clockwise, so it stays on the same spot of
+ * the page content. `size` is the page size before turning.
+ */
+export function turnItemWithPage(item, size) {
+  const rotation = ((item.rotation || 0) + 90) % 360;
+  let next;
+  if (hasPoints(item)) {
+    next = { ...item, content: item.content.map((p) => ({ ...p, ...turnPoint(p) })) };
+  } else if (item.quads) {
+    next = { ...turnRect(item), quads: item.quads.map(turnRect), rotation };
+  } else {
+    // the box keeps its size in px, the page width and height swap
+    const width = (item.width * size.width) / size.height;
+    const height = (item.height * size.height) / size.width;
+    const center = turnPoint({ x: item.x + item.width / 2, y: item.y + item.height / 2 });
+    next = { ...item, x: center.x - width / 2, y: center.y - height / 2, width, height, rotation };
+  }
+  if (item.anchor) next.anchor = turnPoint(item.anchor);
+  return next;
+}
+
+/** Normalized box `rect` on its page turned clockwise by `turns` quarter turns. */
+export function turnRectWithPage(rect, turns) {
+  let next = rect;
+  for (let i = 0; i < turns; i++) next = turnRect(next);
+  return next;
+}
+
+/**
+ * `point` (page-normalized) in the coordinates of the item box: px of
+ * `size` from its top-left corner, along its own (rotated) axes.
+ */
+export function toItemLocal(item, point, size) {
+  const center = getItemCenter(item, size);
+  const local = rotate({ x: point.x * size.width - center.x, y: point.y * size.height - center.y }, -(item.rotation || 0));
+  return { x: local.x + (item.width * size.width) / 2, y: local.y + (item.height * size.height) / 2 };
+}
+
+/**
+ * Leader line of a callout in box coordinates (see `toItemLocal`), from its
+ * anchor to the closest point of the box edge. Null when the anchor is inside.
+ */
+export function calloutLeader(item, size) {
+  const anchor = toItemLocal(item, item.anchor, size);
+  const width = item.width * size.width;
+  const height = item.height * size.height;
+  const end = { x: Math.min(Math.max(anchor.x, 0), width), y: Math.min(Math.max(anchor.y, 0), height) };
+  return end.x === anchor.x && end.y === anchor.y ? null : { anchor, end };
+}
+
+// Parameters t in [0, 1] where the segment a→b is inside the circle, or null.
+const segmentInCircle = (a, b, center, radius) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const fx = a.x - center.x;
+  const fy = a.y - center.y;
+  const qa = dx * dx + dy * dy;
+  const qb = 2 * (fx * dx + fy * dy);
+  const qc = fx * fx + fy * fy - radius * radius;
+  if (qa === 0) return qc <= 0 ? [0, 1] : null;
+  const disc = qb * qb - 4 * qa * qc;
+  if (disc < 0) return null;
+  const t1 = Math.max(0, (-qb - Math.sqrt(disc)) / (2 * qa));
+  const t2 = Math.min(1, (-qb + Math.sqrt(disc)) / (2 * qa));
+  return t1 <= t2 ? [t1, t2] : null;
+};
+
+// Pieces of a stroke (display px points) left outside the circle.
+const cutStroke = (points, center, radius) => {
+  const pieces = [];
+  const inside = (p) => Math.hypot(p.x - center.x, p.y - center.y) <= radius;
+  let piece = inside(points[0]) ? [] : [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const cut = segmentInCircle(a, b, center, radius);
+    if (!cut) {
+      piece.push(b);
+      continue;
+    }
+    const at = (t) => ({ ...a, x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    if (cut[0] > 0) piece.push(at(cut[0]));
+    pieces.push(piece);
+    piece = cut[1] < 1 ? [at(cut[1]), b] : [];
+  }
+  pieces.push(piece);
+  return pieces.filter((p) => p.length > 1);
+};
+
+/**
+ * Erases the drawings of `page` under a circle at `center` (display px,
+ * `radius` px). Strokes the circle touches are removed whole, or with
+ * `partial` only the part under it, the rest becoming new strokes with ids
+ * from `newId()`. Returns `items` itself when nothing was hit.
+ */
+export function eraseStrokes(items, page, center, radius, size, partial, newId) {
+  let changed = false;
+  const result = items.flatMap((item) => {
+    if (item.type !== 'drawing' || item.page !== page) return [item];
+    const points = item.content.map((p) => ({ ...p, x: p.x * size.width, y: p.y * size.height }));
+    const pieces = cutStroke(points, center, radius);
+    if (pieces.length === 1 && pieces[0].length === points.length) return [item];
+    changed = true;
+    if (!partial) return [];
+    return pieces.map((piece, i) => ({
+      ...item,
+      id: i === 0 ? item.id : newId(),
+      content: piece.map((p) => ({ ...p, x: p.x / size.width, y: p.y / size.height })),
+    }));
+  });
+  return changed ? result : items;
+}
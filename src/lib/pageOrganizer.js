@@ -0,0 +1,66 @@
+import { turnItemWithPage } from './itemGeometry';
+
+// Page organizer: the pages shown and exported, in order, as a list of
+// `{ id, source, rotation }` entries. `source` is the page number in the
+// original file, or null for an inserted blank page that has its own `width`
+// and `height` (pt). `rotation` is added to the page's own /Rotate. Items keep
+// the 1-based position of their page, so each change of the layout returns
+// the items moved along with it.
+
+export const BLANK_PAGE_SIZE = { width: 595, height: 842 }; // A4, pt
+
+/** Layout of a document as it was opened. */
+export const initialLayout = (pageCount) =>
+  Array.from({ length: pageCount || 0 }, (_, i) => ({ id: i + 1, source: i + 1, rotation: 0 }));
+
+// Items moved to their new position (`positions`: old -> new), the ones on
+// pages that are gone are dropped. Untouched items are kept as they are.
+const moveItems = (items, positions) =>
+  items.flatMap((item) => {
+    const page = positions(item.page);
+    if (!page) return [];
+    return page === item.page ? [item] : [{ ...item, page }];
+  });
+
+/** Moves the page at index `from` to index `to` (0-based). */
+export function movePage({ pages, items }, from, to) {
+  const order = pages.map((_, i) => i);
+  const [moved] = order.splice(from, 1);
+  order.splice(to, 0, moved);
+  const positions = new Map(order.map((old, i) => [old + 1, i + 1]));
+  return { pages: order.map((i) => pages[i]), items: moveItems(items, (page) => positions.get(page)) };
+}
+
+/** Removes the page at `index` with everything placed on it. */
+export function deletePage({ pages, items }, index) {
+  const page = index + 1;
+  return {
+    pages: pages.filter((_, i) => i !== index),
+    items: moveItems(items, (p) => (p === page ? null : p > page ? p - 1 : p)),
+  };
+}
+
+const insertAt = (pages, items, index, entry) => ({
+  pages: [...pages.slice(0, index), entry, ...pages.slice(index)],
+  items: moveItems(items, (p) => (p > index ? p + 1 : p)),
+});
+
+/** Copies the page at `index` right after it, with copies of its items. */
+export function duplicatePage({ pages, items }, index, newId) {
+  const inserted = insertAt(pages, items, index + 1, { ...pages[index], id: newId() });
+  const copies = items.filter((item) => item.page === index + 1).map((item) => ({ ...item, id: newId(), page: index + 2 }));
+  return { pages: inserted.pages, items: [...inserted.items, ...copies] };
+}
+
+/** Inserts a blank page of `size` (pt) at `index`. */
+export function insertBlankPage({ pages, items }, index, size, newId) {
+  return insertAt(pages, items, index, { id: newId(), source: null, rotation: 0, width: size.width, height: size.height });
+}
+
+/** Turns the page at `index` 90° clockwise; `size` is its size before. */
+export function rotatePage({ pages, items }, index, size) {
+  return {
+    pages: pages.map((entry, i) => (i === index ? { ...entry, rotation: (entry.rotation + 90) % 360 } : entry)),
+    items: items.map((item) => (item.page === index + 1 ? turnItemWithPage(item, size) : item)),
+  };
+}
@@ -0,0 +1,198 @@
+import { PDFHexString, PDFName, PDFString } from 'pdf-lib';
+import {
+  drawMarkup,
+  drawShape,
+  drawSignature,
+  drawStroke,
+  drawTextItem,
+  itemCorners,
+  markupQuads,
+  strokePoints,
+} from './drawItems';
+import { itemPointToPdf } from './pageGeometry';
+import { TEXT_ALIGNS, getTextStyle, toDefaultStyle } from '../textStyle';
+import { getStrokeStyle } from '../strokeStyle';
+import { hexToRgb } from '../color';
+import { splinePoints } from '../strokePath';
+import { arrowSize, getShapeStyle } from '../shapeStyle';
+import { calloutLeader } from '../itemGeometry';
+import { MARKUP_TYPES, getMarkupStyle } from '../textMarkup';
+
+// Overlay items written as real annotations (Ink, FreeText, Stamp, Square,
+// Circle, Line and text markup) the recipient can still move, edit or
+// delete. Each carries an appearance stream drawn like the flattened export.
+
+const PRINT_FLAG = 4;
+
+const num = (value) => Number(value.toFixed(3));
+
+const boundsOf = (points, pad = 0) => [
+  Math.min(...points.map((p) => p.x)) - pad,
+  Math.min(...points.map((p) => p.y)) - pad,
+  Math.max(...points.map((p) => p.x)) + pad,
+  Math.max(...points.map((p) => p.y)) + pad,
+];
+
+// Appearance streams are drawn in page user space: the BBox is the annotation
+// Rect and the Matrix is the identity, so no extra mapping is involved. They
+// leave out the opacity, which is the CA entry of the annotation.
+const appearanceTarget = () => {
+  const operators = [];
+  const xObjects = {};
+  const fonts = {};
+  const graphicsStates = {};
+  return {
+    operators,
+    resources: () => ({ XObject: xObjects, Font: fonts, ExtGState: graphicsStates }),
+    imageName: (image) => {
+      const name = `Im${Object.keys(xObjects).length}`;
+      xObjects[name] = image.ref;
+      return PDFName.of(name);
+    },
+    fontName: (font) => {
+      const name = `F${Object.keys(fonts).length}`;
+      fonts[name] = font.ref;
+      return PDFName.of(name);
+    },
+    graphicsStateName: (state) => {
+      const name = `GS${Object.keys(graphicsStates).length}`;
+      graphicsStates[name] = state;
+      return PDFName.of(name);
+    },
+    push: (...ops) => operators.push(...ops),
+  };
+};
+
+const addAnnotation = (pdfDoc, page, item, rect, target, entries) => {
+  const { context } = pdfDoc;
+  const appearance = context.register(
+    context.formXObject(target.operators, { BBox: rect, Resources: target.resources() })
+  );
+  const annot = context.obj({
+    Type: 'Annot',
+    Rect: rect,
+    F: PRINT_FLAG,
+    P: page.ref,
+    NM: PDFString.of(`pdfediter-${item.id}`),
+    M: PDFString.fromDate(new Date()),
+    AP: { N: appearance },
+    ...entries,
+  });
+  page.node.addAnnot(context.register(annot));
+};
+
+export function addInkAnnotation(pdfDoc, page, frame, item) {
+  const points = strokePoints(frame, item);
+  if (points.length < 2) return;
+  const style = getStrokeStyle(item);
+  const target = appearanceTarget();
+  drawStroke(target, frame, item);
+  addAnnotation(pdfDoc, page, item, boundsOf(points, style.width), target, {
+    Subtype: 'Ink',
+    InkList: [splinePoints(points).flatMap((p) => [p.x, p.y])],
+    C: hexToRgb(style.color),
+    CA: style.opacity,
+    BS: { W: style.width },
+  });
+}
+
+export function addFreeTextAnnotation(pdfDoc, page, frame, chars, item) {
+  const style = getTextStyle(item);
+  const target = appearanceTarget();
+  drawTextItem(target, frame, chars, item);
+  addAnnotation(pdfDoc, page, item, boundsOf(itemCorners(frame, item)), target, {
+    Subtype: 'FreeText',
+    Contents: PDFHexString.fromText(item.content),
+    DA: PDFString.of(`/Helv ${style.fontSize} Tf ${hexToRgb(style.color).map(num).join(' ')} rg`),
+    DS: PDFString.of(toDefaultStyle(style)),
+    Q: TEXT_ALIGNS.indexOf(style.align),
+    BS: { W: 0 },
+  });
+}
+
+export function addStampAnnotation(pdfDoc, page, frame, image, item) {
+  const target = appearanceTarget();
+  drawSignature(target, frame, image, item);
+  addAnnotation(pdfDoc, page, item, boundsOf(itemCorners(frame, item)), target, {
+    Subtype: 'Stamp',
+    Contents: PDFHexString.fromText(item.stamp || 'Signature'),
+  });
+}
+
+/**
+ * Normal appearance of a signature field over `rect`: the signature image
+ * of `item`, or nothing for an invisible signature.
+ */
+export function signatureAppearance(pdfDoc, frame, image, item, rect) {
+  const { context } = pdfDoc;
+  const target = appearanceTarget();
+  if (item) drawSignature(target, frame, image, item);
+  return context.register(context.formXObject(target.operators, { BBox: rect, Resources: target.resources() }));
+}
+
+const SHAPE_SUBTYPES = { rect: 'Square', ellipse: 'Circle', line: 'Line', arrow: 'Line', callout: 'FreeText' };
+
+export function addShapeAnnotation(pdfDoc, page, frame, chars, item) {
+  const style = getShapeStyle(item);
+  const target = appearanceTarget();
+  drawShape(target, frame, item, chars);
+  const entries = {
+    Subtype: SHAPE_SUBTYPES[item.shape],
+    C: hexToRgb(style.stroke),
+    CA: style.opacity,
+    BS: { W: style.strokeWidth },
+  };
+  const pad = style.strokeWidth + (item.shape === 'rect' || item.shape === 'ellipse' ? 0 : arrowSize(style.strokeWidth));
+
+  if (Array.isArray(item.content)) {
+    const [from, to] = strokePoints(frame, item);
+    addAnnotation(pdfDoc, page, item, boundsOf([from, to], pad), target, {
+      ...entries,
+      L: [from.x, from.y, to.x, to.y],
+      LE: ['None', item.shape === 'arrow' ? 'ClosedArrow' : 'None'],
+    });
+    return;
+  }
+
+  const corners = itemCorners(frame, item);
+  if (item.shape !== 'callout') {
+    addAnnotation(pdfDoc, page, item, boundsOf(corners, style.strokeWidth / 2), target, {
+      ...entries,
+      ...(style.fill ? { IC: hexToRgb(style.fill) } : {}),
+    });
+    return;
+  }
+
+  // FreeText callout: C is the background, the border color goes in DA
+  const text = getTextStyle(item);
+  const leader = calloutLeader(item, frame);
+  const line = leader ? [leader.anchor, leader.end].map((p) => itemPointToPdf(frame, item, p.x, p.y)) : [];
+  const rect = boundsOf([...corners, ...line], pad);
+  const box = boundsOf(corners);
+  const color = (hex) => hexToRgb(hex).map(num).join(' ');
+  addAnnotation(pdfDoc, page, item, rect, target, {
+    ...entries,
+    IT: 'FreeTextCallout',
+    C: style.fill ? hexToRgb(style.fill) : [],
+    Contents: PDFHexString.fromText(item.content || ''),
+    DA: PDFString.of(`${color(style.stroke)} RG /Helv ${text.fontSize} Tf ${color(text.color)} rg`),
+    DS: PDFString.of(toDefaultStyle(text)),
+    Q: TEXT_ALIGNS.indexOf(text.align),
+    RD: [box[0] - rect[0], box[1] - rect[1], rect[2] - box[2], rect[3] - box[3]].map(num),
+    ...(leader ? { CL: line.flatMap((p) => [p.x, p.y]), LE: 'ClosedArrow' } : {}),
+  });
+}
+
+export function addMarkupAnnotation(pdfDoc, page, frame, item) {
+  const style = getMarkupStyle(item);
+  const quads = markupQuads(frame, item);
+  const target = appearanceTarget();
+  drawMarkup(target, frame, item);
+  addAnnotation(pdfDoc, page, item, boundsOf(quads.flat(), 1), target, {
+    Subtype: MARKUP_TYPES[item.markup].subtype,
+    QuadPoints: quads.flat().flatMap((p) => [num(p.x), num(p.y)]),
+    Contents: PDFHexString.fromText(item.content || ''),
+    C: hexToRgb(style.color),
+    CA: style.opacity,
+  });
+}
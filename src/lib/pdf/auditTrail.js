@@ -0,0 +1,165 @@
+import { PDFDocument } from 'pdf-lib';
+import { saveIncremental, startIncrementalUpdate } from './incrementalUpdate';
+import { getPageFrame } from './pageGeometry';
+import { drawTextItem, pageTarget } from './drawItems';
+import { createTextFonts } from './textFonts';
+
+// Audit trail of a signing session: who added which item, when and on which
+// file. On export the log is attached to the PDF as JSON and can also be
+// listed on certificate-of-completion pages appended after the document.
+
+const AUDIT_LOG_NAME = 'audit-log.json';
+const PAGE_SIZE = [595.28, 841.89]; // A4, pt
+const MARGIN = 50; // pt
+const ROW_HEIGHT = 16; // pt
+const COLUMNS = [
+  { key: 'time', width: 125 },
+  { key: 'signer', width: 150, maxLength: 28 },
+  { key: 'action', width: 220, maxLength: 40 },
+];
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/** SHA-256 of a file or its bytes, in hex. */
+export async function sha256Hex(data) {
+  const bytes = data instanceof Blob ? await data.arrayBuffer() : data;
+  return toHex(new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes)));
+}
+
+/** Log entry for an item just added to the document with hash `documentHash`. */
+export const createAuditEntry = (item, signer, documentHash) => ({
+  at: new Date().toISOString(),
+  signer: signer || 'Unknown',
+  action: 'added',
+  itemId: item.id,
+  itemType: item.stamp ? 'stamp' : item.type,
+  page: item.page,
+  documentHash,
+});
+
+/**
+ * Log entry for `pageCount` pages added to the document from the files
+ * named `fileNames`; `documentHash` is the hash of the merged document.
+ */
+export const createMergeEntry = (fileNames, pageCount, signer, documentHash) => ({
+  at: new Date().toISOString(),
+  signer: signer || 'Unknown',
+  action: 'merged',
+  files: fileNames,
+  pageCount,
+  documentHash,
+});
+
+const describeEntry = (entry) =>
+  entry.action === 'merged'
+    ? `Added ${entry.pageCount} page${entry.pageCount === 1 ? '' : 's'} from ${entry.files.join(', ')}`
+    : `Added ${entry.itemType} on page ${entry.page}`;
+
+const formatTime = (iso) => `${iso.slice(0, 10)} ${iso.slice(11, 19)} UTC`;
+const truncate = (text, maxLength) => (maxLength && text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text);
+
+// One line of text at (x, y) pt from the top-left of an A4 page, as a text item
+const line = (content, x, y, width, style = {}) => ({
+  x: x / PAGE_SIZE[0],
+  y: y / PAGE_SIZE[1],
+  width: width / PAGE_SIZE[0],
+  height: ROW_HEIGHT / PAGE_SIZE[1],
+  rotation: 0,
+  content,
+  fontFamily: 'sans',
+  fontSize: 9,
+  ...style,
+});
+
+// Lines of the certificate pages, each page a list of text items
+const certificateLines = (report) => {
+  const width = PAGE_SIZE[0] - MARGIN * 2;
+  const hash = { fontFamily: 'mono', fontSize: 8 };
+  const header = [
+    line('Certificate of completion', MARGIN, MARGIN, width, { fontSize: 18, bold: true }),
+    line(`Document: ${report.documentName}`, MARGIN, MARGIN + 34, width, { fontSize: 10 }),
+    line(`Completed: ${formatTime(report.completedAt)}`, MARGIN, MARGIN + 50, width, { fontSize: 10 }),
+    line('Original document SHA-256', MARGIN, MARGIN + 72, width, { bold: true }),
+    line(report.originalHash || 'unknown', MARGIN, MARGIN + 86, width, hash),
+    line('Final document SHA-256 (before these pages)', MARGIN, MARGIN + 104, width, { bold: true }),
+    line(report.finalHash, MARGIN, MARGIN + 118, width, hash),
+  ];
+
+  const pages = [];
+  let items = header;
+  let y = MARGIN + 146;
+  const tableHeader = () => {
+    let x = MARGIN;
+    for (const [i, label] of ['Time', 'Signer', 'Action'].entries()) {
+      items.push(line(label, x, y, COLUMNS[i].width, { bold: true }));
+      x += COLUMNS[i].width;
+    }
+    y += ROW_HEIGHT;
+  };
+  tableHeader();
+  if (!report.entries.length) items.push(line('No items were added.', MARGIN, y, width));
+
+  for (const entry of report.entries) {
+    if (y + ROW_HEIGHT > PAGE_SIZE[1] - MARGIN) {
+      pages.push(items);
+      items = [];
+      y = MARGIN;
+      tableHeader();
+    }
+    const cells = {
+      time: formatTime(entry.at),
+      signer: entry.signer,
+      action: describeEntry(entry),
+    };
+    let x = MARGIN;
+    for (const column of COLUMNS) {
+      items.push(line(truncate(cells[column.key], column.maxLength), x, y, column.width));
+      x += column.width;
+    }
+    y += ROW_HEIGHT;
+  }
+  pages.push(items);
+  return pages;
+};
+
+/**
+ * Appends the audit trail to the exported PDF `bytes` as an incremental
+ * update: the log is attached as audit-log.json, `certificatePage` adds
+ * certificate-of-completion pages listing it. The final hash both show is
+ * the one of `bytes`, the document before the trail was added.
+ */
+export async function appendAuditTrail(bytes, audit, { documentName, certificatePage = true } = {}) {
+  const report = {
+    documentName,
+    completedAt: new Date().toISOString(),
+    originalHash: audit.originalHash,
+    finalHash: await sha256Hex(bytes),
+    entries: audit.entries,
+  };
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const snapshot = startIncrementalUpdate(pdfDoc, bytes);
+
+  await pdfDoc.attach(new TextEncoder().encode(JSON.stringify(report, null, 2)), AUDIT_LOG_NAME, {
+    mimeType: 'application/json',
+    description: 'Audit trail of the signing session',
+    creationDate: new Date(report.completedAt),
+  });
+
+  if (certificatePage) {
+    const textFonts = createTextFonts(pdfDoc);
+    for (const items of certificateLines(report)) {
+      const page = pdfDoc.addPage(PAGE_SIZE);
+      const frame = getPageFrame(page);
+      // one font resource per font for the whole page, not one per line
+      const target = pageTarget(page);
+      const fontNames = new Map();
+      const fontName = (font) => {
+        if (!fontNames.has(font)) fontNames.set(font, target.fontName(font));
+        return fontNames.get(font);
+      };
+      for (const item of items) drawTextItem({ ...target, fontName }, frame, await textFonts.layoutText(item), item);
+    }
+  }
+
+  return saveIncremental(pdfDoc, bytes, snapshot);
+}
@@ -0,0 +1,325 @@
+import forge from 'node-forge';
+
+// CMS (PKCS #7) signatures as PAdES embeds them in a PDF: detached, over the
+// SHA-256 digest of the signed byte ranges, with the signing certificate
+// bound by an ESS signing-certificate-v2 attribute (ETSI EN 319 122). forge
+// unwraps the PKCS #12 file and does the ASN.1, Web Crypto signs and
+// verifies, which covers RSA and EC keys alike.
+
+const { asn1 } = forge;
+const { subtle } = globalThis.crypto;
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsassaPss: '1.2.840.113549.1.1.10',
+  ecPublicKey: '1.2.840.10045.2.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  organization: '2.5.4.10',
+};
+
+const HASHES = {
+  '1.3.14.3.2.26': 'SHA-1',
+  '2.16.840.1.101.3.4.2.1': 'SHA-256',
+  '2.16.840.1.101.3.4.2.2': 'SHA-384',
+  '2.16.840.1.101.3.4.2.3': 'SHA-512',
+};
+const SHA256 = '2.16.840.1.101.3.4.2.1';
+
+const CURVES = {
+  '1.2.840.10045.3.1.7': { name: 'P-256', size: 32 },
+  '1.3.132.0.34': { name: 'P-384', size: 48 },
+  '1.3.132.0.35': { name: 'P-521', size: 66 },
+};
+
+const { UNIVERSAL, CONTEXT_SPECIFIC } = asn1.Class;
+const { Type } = asn1;
+
+// ✅ BYTES: forge works on binary strings
+
+const toBinary = (bytes) => {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return out;
+};
+
+const fromBinary = (text) => Uint8Array.from(text, (ch) => ch.charCodeAt(0));
+const der = (node) => fromBinary(asn1.toDer(node).getBytes());
+const parse = (bytes) => asn1.fromDer(toBinary(bytes), { parseAllBytes: false, strict: false });
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const oid = (value) => asn1.create(UNIVERSAL, Type.OID, false, asn1.oidToDer(value).getBytes());
+const readOid = (node) => asn1.derToOid(node.value);
+const sequence = (items) => asn1.create(UNIVERSAL, Type.SEQUENCE, true, items);
+const set = (items) => asn1.create(UNIVERSAL, Type.SET, true, items);
+const octets = (bytes) => asn1.create(UNIVERSAL, Type.OCTETSTRING, false, toBinary(bytes));
+const integer = (value) => asn1.create(UNIVERSAL, Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+const algorithm = (value, params = asn1.create(UNIVERSAL, Type.NULL, false, '')) =>
+  sequence(params ? [oid(value), params] : [oid(value)]);
+const explicit = (tag, items) => asn1.create(CONTEXT_SPECIFIC, tag, true, items);
+const isTagged = (node, tag) => node?.tagClass === CONTEXT_SPECIFIC && node.type === tag;
+
+// Bytes of a primitive or (BER) constructed OCTET STRING
+const octetBytes = (node) =>
+  Array.isArray(node.value) ? node.value.flatMap((part) => Array.from(octetBytes(part))) : fromBinary(node.value);
+
+// DER sorts the members of a SET OF by their encoding
+const derSet = (items) => {
+  const encoded = items.map((item) => ({ item, bytes: der(item) }));
+  encoded.sort((a, b) => {
+    for (let i = 0; i < Math.min(a.bytes.length, b.bytes.length); i++) {
+      if (a.bytes[i] !== b.bytes[i]) return a.bytes[i] - b.bytes[i];
+    }
+    return a.bytes.length - b.bytes.length;
+  });
+  return set(encoded.map(({ item }) => item));
+};
+
+// ✅ CERTIFICATES: read straight from their ASN.1, forge only knows RSA ones
+
+const tbsFields = (certificate) => {
+  const fields = certificate.value[0].value;
+  return isTagged(fields[0], 0) ? fields.slice(1) : fields;
+};
+
+const certificateParts = (certificate) => {
+  const [serial, , issuer, validity, subject, publicKey] = tbsFields(certificate);
+  return { serial, issuer, validity, subject, publicKey };
+};
+
+const nameAttribute = (name, type) => {
+  for (const rdn of name.value) {
+    for (const attribute of rdn.value) {
+      if (readOid(attribute.value[0]) === type) return forge.util.decodeUtf8(attribute.value[1].value);
+    }
+  }
+  return null;
+};
+
+const displayName = (name) => nameAttribute(name, OID.commonName) || nameAttribute(name, OID.organization) || 'Unknown';
+
+const readTime = (node) =>
+  node.type === Type.UTCTIME ? asn1.utcTimeToDate(node.value) : asn1.generalizedTimeToDate(node.value);
+
+/** Who a certificate belongs to, who issued it and when it is valid. */
+export function describeCertificate(certificate) {
+  const { issuer, validity, subject } = certificateParts(certificate);
+  return {
+    name: displayName(subject),
+    issuer: displayName(issuer),
+    validFrom: readTime(validity.value[0]),
+    validTo: readTime(validity.value[1]),
+    selfSigned: sameBytes(der(issuer), der(subject)),
+  };
+}
+
+// ✅ KEYS: Web Crypto parameters of a key, from its algorithm identifier
+
+const keyAlgorithm = (algorithmId, hash) => {
+  const type = readOid(algorithmId.value[0]);
+  if (type === OID.rsaEncryption) return { name: 'RSASSA-PKCS1-v1_5', hash };
+  if (type === OID.ecPublicKey) {
+    const curve = CURVES[readOid(algorithmId.value[1])];
+    if (curve) return { name: 'ECDSA', namedCurve: curve.name, hash, size: curve.size };
+  }
+  throw new Error('Unsupported key type, only RSA and EC (P-256, P-384, P-521) keys work');
+};
+
+// ECDSA signatures are r || s in Web Crypto and a SEQUENCE of two INTEGERs in CMS
+const ecdsaToDer = (raw) => {
+  const half = raw.length / 2;
+  const part = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const trimmed = bytes.subarray(start);
+    return asn1.create(UNIVERSAL, Type.INTEGER, false, toBinary(trimmed[0] & 0x80 ? Uint8Array.of(0, ...trimmed) : trimmed));
+  };
+  return der(sequence([part(raw.subarray(0, half)), part(raw.subarray(half))]));
+};
+
+const ecdsaToRaw = (signature, size) => {
+  const [r, s] = parse(signature).value.map((part) => fromBinary(part.value));
+  const raw = new Uint8Array(size * 2);
+  raw.set(r.subarray(Math.max(0, r.length - size)), size - Math.min(size, r.length));
+  raw.set(s.subarray(Math.max(0, s.length - size)), size * 2 - Math.min(size, s.length));
+  return raw;
+};
+
+const bagsOf = (p12, type) => p12.getBags({ bagType: type })[type] || [];
+
+/**
+ * Opens a PKCS #12 (.p12 / .pfx) file with its passphrase. Returns the
+ * signer: the private key (kept unextractable), the certificate chain and
+ * the certificate description. Throws a message for the user on failure.
+ */
+export async function readPkcs12(bytes, passphrase) {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(parse(bytes), false, passphrase);
+  } catch (err) {
+    if (/password/i.test(err.message)) throw new Error('Wrong passphrase');
+    throw new Error(`Not a readable PKCS#12 file (${err.message})`);
+  }
+  const { oids, pki } = forge;
+  const keyBag = [...bagsOf(p12, oids.pkcs8ShroudedKeyBag), ...bagsOf(p12, oids.keyBag)][0];
+  if (!keyBag) throw new Error('The file holds no private key');
+  const privateKeyInfo = keyBag.key ? pki.wrapRsaPrivateKey(pki.privateKeyToAsn1(keyBag.key)) : keyBag.asn1;
+  const certificates = bagsOf(p12, oids.certBag).map((bag) => (bag.cert ? pki.certificateToAsn1(bag.cert) : bag.asn1));
+
+  const algorithmId = privateKeyInfo.value[1];
+  const params = keyAlgorithm(algorithmId, 'SHA-256');
+  const key = await subtle.importKey('pkcs8', der(privateKeyInfo), params, false, ['sign']);
+
+  // the certificate of the key is the one its public key signs for
+  const probe = new Uint8Array(32);
+  const signature = new Uint8Array(await subtle.sign(params, key, probe));
+  let certificate = null;
+  for (const candidate of certificates) {
+    if (await verifyWithCertificate(candidate, params.name === 'ECDSA' ? ecdsaToDer(signature) : signature, probe, 'SHA-256', null)) {
+      certificate = candidate;
+      break;
+    }
+  }
+  if (!certificate) throw new Error('The file holds no certificate for its private key');
+  const description = describeCertificate(certificate);
+  const now = new Date();
+  if (now < description.validFrom) throw new Error(`The certificate is valid from ${description.validFrom.toLocaleDateString()}`);
+  if (now > description.validTo) throw new Error(`The certificate expired on ${description.validTo.toLocaleDateString()}`);
+
+  return {
+    key,
+    algorithm: params,
+    certificate,
+    chain: [certificate, ...certificates.filter((c) => c !== certificate)],
+    ...description,
+  };
+}
+
+async function verifyWithCertificate(certificate, signature, data, hash, signatureAlgorithm) {
+  const { publicKey } = certificateParts(certificate);
+  const params =
+    signatureAlgorithm && readOid(signatureAlgorithm.value[0]) === OID.rsassaPss
+      ? { name: 'RSA-PSS', hash }
+      : keyAlgorithm(publicKey.value[0], hash);
+  const key = await subtle.importKey('spki', der(publicKey), params, false, ['verify']);
+  if (params.name === 'ECDSA') return subtle.verify(params, key, ecdsaToRaw(signature, params.size), data);
+  if (params.name === 'RSA-PSS') {
+    const saltLength = signatureAlgorithm.value[1]?.value.find((node) => isTagged(node, 2));
+    const salt = saltLength ? asn1.derToInteger(saltLength.value[0].value) : 20;
+    return subtle.verify({ ...params, saltLength: salt }, key, signature, data);
+  }
+  return subtle.verify(params, key, signature, data);
+}
+
+// ✅ SIGNING
+
+const attribute = (type, value) => sequence([oid(type), set([value])]);
+
+/**
+ * Detached CMS SignedData over `digest` (the SHA-256 of the signed byte
+ * ranges), DER encoded.
+ */
+export async function createCmsSignature(signer, digest) {
+  const { certificate, chain, key, algorithm: params } = signer;
+  const { serial, issuer } = certificateParts(certificate);
+  const certificateHash = new Uint8Array(await subtle.digest('SHA-256', der(certificate)));
+
+  const signedAttributes = derSet([
+    attribute(OID.contentType, oid(OID.data)),
+    attribute(OID.messageDigest, octets(digest)),
+    // ESSCertIDv2 with the default hash (SHA-256) left out
+    attribute(OID.signingCertificateV2, sequence([sequence([sequence([octets(certificateHash)])])])),
+  ]);
+  let signature = new Uint8Array(await subtle.sign(params, key, der(signedAttributes)));
+  if (params.name === 'ECDSA') signature = ecdsaToDer(signature);
+
+  // signed as a SET, stored as [0] IMPLICIT
+  signedAttributes.tagClass = CONTEXT_SPECIFIC;
+  signedAttributes.type = 0;
+
+  const signerInfo = sequence([
+    integer(1),
+    sequence([issuer, serial]),
+    algorithm(SHA256),
+    signedAttributes,
+    params.name === 'ECDSA' ? algorithm(OID.ecdsaWithSha256, null) : algorithm(OID.rsaEncryption),
+    octets(signature),
+  ]);
+  const signedData = sequence([
+    integer(1),
+    set([algorithm(SHA256)]),
+    sequence([oid(OID.data)]),
+    asn1.create(CONTEXT_SPECIFIC, 0, true, chain),
+    set([signerInfo]),
+  ]);
+  return der(sequence([oid(OID.signedData), explicit(0, [signedData])]));
+}
+
+// ✅ VERIFYING
+
+const readAttributes = (node) =>
+  new Map(node.value.map((entry) => [readOid(entry.value[0]), entry.value[1].value[0]]));
+
+/**
+ * Checks a CMS signature against the signed `data`: `intact` when the data
+ * matches the digest that was signed, `valid` when the signature checks out
+ * with the public key of its certificate. Also returns the signer and the
+ * signing time the signature claims, if any.
+ */
+export async function verifyCmsSignature(cms, data) {
+  const contentInfo = parse(cms);
+  if (readOid(contentInfo.value[0]) !== OID.signedData) throw new Error('Not a CMS SignedData signature');
+  const fields = contentInfo.value[1].value[0].value;
+  const certificates = fields.find((node) => isTagged(node, 0))?.value || [];
+  const encapsulated = fields.find((node) => node.type === Type.SEQUENCE && node.tagClass === UNIVERSAL).value;
+  const signerInfo = fields[fields.length - 1].value[0].value;
+
+  const [, sid, digestAlgorithm, ...rest] = signerInfo;
+  const signed = isTagged(rest[0], 0) ? rest.shift() : null;
+  const [signatureAlgorithm, signatureValue] = rest;
+  const hash = HASHES[readOid(digestAlgorithm.value[0])];
+  if (!hash) throw new Error('Unsupported digest algorithm');
+  const digest = new Uint8Array(await subtle.digest(hash, data));
+
+  // adbe.pkcs7.sha1 signs the SHA-1 of the data as embedded content
+  const content = encapsulated[1] ? octetBytes(encapsulated[1].value[0]) : null;
+  let signedBytes = content ?? data;
+  let intact = content ? sameBytes(content, new Uint8Array(await subtle.digest('SHA-1', data))) : true;
+  let signedAt = null;
+  if (signed) {
+    const attributes = readAttributes(signed);
+    const claimed = attributes.get(OID.messageDigest);
+    const contentDigest = content ? new Uint8Array(await subtle.digest(hash, content)) : digest;
+    intact = intact && !!claimed && sameBytes(fromBinary(claimed.value), contentDigest);
+    const time = attributes.get(OID.signingTime);
+    if (time) signedAt = readTime(time);
+    signedBytes = der(set(signed.value));
+  } else if (!content) {
+    intact = null; // without attributes only the signature itself vouches for the data
+  }
+
+  // the signer's certificate, by issuer and serial number when given
+  const candidates = certificates.filter((certificate) => {
+    if (sid.type !== Type.SEQUENCE) return true;
+    const { issuer, serial } = certificateParts(certificate);
+    return sameBytes(der(issuer), der(sid.value[0])) && sameBytes(der(serial), der(sid.value[1]));
+  });
+  const signature = fromBinary(signatureValue.value);
+  for (const certificate of candidates.length ? candidates : certificates) {
+    let valid = false;
+    try {
+      valid = await verifyWithCertificate(certificate, signature, signedBytes, hash, signatureAlgorithm);
+    } catch (err) {
+      console.error('Could not check the signature with a certificate', err);
+    }
+    if (valid) return { intact: intact ?? true, valid, signedAt, ...describeCertificate(certificate) };
+  }
+  const certificate = candidates[0] || certificates[0];
+  return { intact: !!intact, valid: false, signedAt, ...(certificate ? describeCertificate(certificate) : {}) };
+}
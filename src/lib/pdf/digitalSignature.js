@@ -0,0 +1,199 @@
+import { PDFDict, PDFDocument, PDFHexString, PDFName, PDFNumber, PDFParser, PDFRef, PDFString } from 'pdf-lib';
+import { saveIncremental, startIncrementalUpdate } from './incrementalUpdate';
+import { getPageFrame } from './pageGeometry';
+import { itemCorners } from './drawItems';
+import { signatureAppearance } from './annotations';
+import { embedImage } from './exportPdf';
+import { createCmsSignature, verifyCmsSignature } from './cms';
+
+// PAdES signatures: the exported PDF gets one more incremental update with a
+// signature field whose value covers every byte of the file except the
+// signature itself. The field is written with a zero-filled placeholder,
+// then the byte ranges and the CMS signature are filled into it in place.
+
+const SIGNATURE_SIZE = 16384; // bytes reserved for the CMS signature
+const RANGE_PLACEHOLDER = 9999999999;
+const PRINT_AND_LOCKED = 4 | 128;
+const SIGN_APPEND_ONLY = 1 | 2; // SigFlags: signatures exist, append only
+
+const encoder = new TextEncoder();
+const latin1 = (bytes) => new TextDecoder('latin1').decode(bytes);
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const concat = (a, b) => {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+};
+
+const boundsOf = (points) => [
+  Math.min(...points.map((p) => p.x)),
+  Math.min(...points.map((p) => p.y)),
+  Math.max(...points.map((p) => p.x)),
+  Math.max(...points.map((p) => p.y)),
+];
+
+const fieldType = (dict) => dict.lookup(PDFName.of('FT')) ?? dict.lookup(PDFName.of('Parent'))?.lookup(PDFName.of('FT'));
+
+// An unsigned signature field of the page the signature image covers the
+// middle of: the signature goes into it instead of a new field.
+const findEmptyField = (pdfDoc, page, rect) => {
+  const x = (rect[0] + rect[2]) / 2;
+  const y = (rect[1] + rect[3]) / 2;
+  for (const ref of page.node.Annots()?.asArray() ?? []) {
+    const widget = pdfDoc.context.lookup(ref);
+    if (!(widget instanceof PDFDict) || fieldType(widget) !== PDFName.of('Sig')) continue;
+    const field = widget.has(PDFName.of('FT')) ? widget : widget.lookup(PDFName.of('Parent'));
+    const [x1, y1, x2, y2] = widget.lookup(PDFName.of('Rect')).asArray().map((n) => n.asNumber());
+    const inside = x >= Math.min(x1, x2) && x <= Math.max(x1, x2) && y >= Math.min(y1, y2) && y <= Math.max(y1, y2);
+    if (inside && !field.has(PDFName.of('V'))) return { field, widget, rect: [x1, y1, x2, y2] };
+  }
+  return null;
+};
+
+const newFieldName = (acroForm) => {
+  const names = new Set(acroForm.getAllFields().map(([field]) => field.getFullyQualifiedName()));
+  let n = 1;
+  while (names.has(`Signature${n}`)) n++;
+  return `Signature${n}`;
+};
+
+/**
+ * Signs the PDF `bytes` with `signer` (see `readPkcs12`). `item` is the
+ * signature item whose image becomes the visible signature; without one the
+ * signature is invisible. Returns the signed file bytes.
+ */
+export async function signPdf(bytes, signer, { item = null, reason = '' } = {}) {
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const snapshot = startIncrementalUpdate(pdfDoc, bytes);
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const page = (item && pages[item.page - 1]) || pages[0];
+  const frame = getPageFrame(page);
+  const image = item ? await embedImage(pdfDoc, item.content) : null;
+  const rect = item ? boundsOf(itemCorners(frame, item)) : [0, 0, 0, 0];
+
+  const signature = context.register(
+    context.obj({
+      Type: 'Sig',
+      Filter: 'Adobe.PPKLite',
+      SubFilter: 'ETSI.CAdES.detached',
+      ByteRange: [0, RANGE_PLACEHOLDER, RANGE_PLACEHOLDER, RANGE_PLACEHOLDER],
+      Contents: PDFHexString.of('0'.repeat(SIGNATURE_SIZE * 2)),
+      M: PDFString.fromDate(new Date()),
+      Name: PDFHexString.fromText(signer.name),
+      ...(reason ? { Reason: PDFHexString.fromText(reason) } : {}),
+    })
+  );
+
+  const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+  const empty = item && findEmptyField(pdfDoc, page, rect);
+  if (empty) {
+    empty.field.set(PDFName.of('V'), signature);
+    empty.widget.set(PDFName.of('AP'), context.obj({ N: signatureAppearance(pdfDoc, frame, image, item, empty.rect) }));
+  } else {
+    const widget = context.register(
+      context.obj({
+        Type: 'Annot',
+        Subtype: 'Widget',
+        FT: 'Sig',
+        T: PDFHexString.fromText(newFieldName(acroForm)),
+        V: signature,
+        Rect: rect,
+        F: PRINT_AND_LOCKED,
+        P: page.ref,
+        AP: { N: signatureAppearance(pdfDoc, frame, image, item, rect) },
+      })
+    );
+    page.node.addAnnot(widget);
+    acroForm.addField(widget);
+  }
+  acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(SIGN_APPEND_ONLY));
+
+  const signed = await saveIncremental(pdfDoc, bytes, snapshot);
+  const added = latin1(signed.subarray(bytes.length));
+  const start = bytes.length + added.indexOf(`<${'0'.repeat(SIGNATURE_SIZE * 2)}>`);
+  const end = start + SIGNATURE_SIZE * 2 + 2;
+  const placeholder = new RegExp(`/ByteRange\\s*\\[\\s*0(\\s+${RANGE_PLACEHOLDER}){3}\\s*\\]`).exec(added);
+  const byteRange = `/ByteRange [0 ${start} ${end} ${signed.length - end}]`.padEnd(placeholder[0].length, ' ');
+  signed.set(encoder.encode(byteRange), bytes.length + placeholder.index);
+
+  const digest = new Uint8Array(
+    await globalThis.crypto.subtle.digest('SHA-256', concat(signed.subarray(0, start), signed.subarray(end)))
+  );
+  const cms = await createCmsSignature(signer, digest);
+  if (cms.length > SIGNATURE_SIZE) throw new Error('The certificate chain is too large to embed');
+  signed.set(encoder.encode(toHex(cms)), start + 1);
+  return signed;
+}
+
+const readDate = (value) => {
+  try {
+    return value?.decodeDate() ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Finds the signatures of a PDF and checks each one against the file bytes.
+ * Returns them oldest first as `{ field, signer, issuer, validFrom, validTo,
+ * selfSigned, signedAt, intact, valid, coversDocument, error }`:
+ * `intact` when the signed bytes are unchanged, `valid` when the signature
+ * matches its certificate, `coversDocument` when nothing was added after it.
+ * The certificates are not checked against any trusted authority.
+ */
+export async function verifyPdfSignatures(bytes) {
+  const context = await PDFParser.forBytesWithOptions(bytes).parseDocument();
+  // field names are encrypted strings in encrypted files
+  const readable = !context.lookup(context.trailerInfo.Encrypt);
+  const values = new Map();
+  const fieldNames = new Map();
+
+  const isSignature = (dict) =>
+    dict instanceof PDFDict &&
+    dict.has(PDFName.of('ByteRange')) &&
+    dict.has(PDFName.of('Contents')) &&
+    dict.get(PDFName.of('Type')) !== PDFName.of('DocTimeStamp');
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFDict)) continue;
+    if (isSignature(object)) values.set(ref.tag, object);
+    const value = object.get(PDFName.of('V'));
+    if (fieldType(object) !== PDFName.of('Sig') || !value) continue;
+    const dict = value instanceof PDFRef ? context.lookup(value) : value;
+    if (!isSignature(dict)) continue;
+    const key = value instanceof PDFRef ? value.tag : ref.tag;
+    values.set(key, dict);
+    if (readable) fieldNames.set(key, object.lookup(PDFName.of('T'))?.decodeText());
+  }
+
+  const results = [];
+  const ends = new Map();
+  for (const [key, dict] of values) {
+    const [a, b, c, d] = dict.lookup(PDFName.of('ByteRange')).asArray().map((n) => n.asNumber());
+    const contents = dict.lookup(PDFName.of('Contents')).asBytes();
+    // the one gap in the ranges must be exactly the signature value
+    const wellFormed = a === 0 && bytes[b] === 0x3c && bytes[c - 1] === 0x3e && c + d <= bytes.length;
+    const result = {
+      field: fieldNames.get(key) || null,
+      signedAt: readable ? readDate(dict.lookup(PDFName.of('M'))) : null,
+      coversDocument: c + d === bytes.length,
+    };
+    try {
+      const { name, ...checked } = await verifyCmsSignature(contents, concat(bytes.subarray(a, a + b), bytes.subarray(c, c + d)));
+      results.push({
+        ...result,
+        ...checked,
+        signer: name,
+        intact: checked.intact && wellFormed,
+        signedAt: checked.signedAt ?? result.signedAt,
+      });
+    } catch (err) {
+      results.push({ ...result, intact: false, valid: false, error: err.message });
+    }
+    ends.set(results[results.length - 1], c + d);
+  }
+  return results.sort((x, y) => ends.get(x) - ends.get(y));
+}
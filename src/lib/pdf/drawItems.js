@@ -0,0 +1,331 @@
+import {
+  LineCapStyle,
+  LineJoinStyle,
+  appendBezierCurve,
+  beginText,
+  closePath,
+  degrees,
+  drawImage,
+  endText,
+  fill,
+  fillAndStroke,
+  lineTo,
+  moveTo,
+  popGraphicsState,
+  pushGraphicsState,
+  setFillingRgbColor,
+  setFontAndSize,
+  setGraphicsState,
+  setLineCap,
+  setLineJoin,
+  setLineWidth,
+  setStrokingRgbColor,
+  setTextMatrix,
+  showText,
+  stroke,
+  toRadians,
+} from 'pdf-lib';
+import { itemPointToPdf, itemRotation, toPdfPoint } from './pageGeometry';
+import { LINE_HEIGHT, TEXT_PADDING, calloutLeader } from '../itemGeometry';
+import { getTextStyle, wrapLines } from '../textStyle';
+import { getStrokeStyle } from '../strokeStyle';
+import { hasPressure, splinePoints, strokeOutline } from '../strokePath';
+import { hexToRgb } from '../color';
+import { arrowHead, arrowSize, getShapeStyle } from '../shapeStyle';
+import { getMarkupStyle, markupLines, quadFrame } from '../textMarkup';
+
+// Content stream operators for each kind of overlay item. They are written
+// to a `target` that hands out resource names, which is either the page
+// itself (flattened export) or an annotation appearance stream. Only the
+// page applies the opacity of an item: an annotation carries it in its CA
+// entry, which readers also use when they redraw an edited annotation.
+
+const NO_SKEW = { xSkew: degrees(0), ySkew: degrees(0) };
+
+/** Target that writes straight into the page content. */
+export const pageTarget = (page) => ({
+  appliesOpacity: true,
+  imageName: (image) => page.node.newXObject('Image', image.ref),
+  fontName: (font) => page.node.newFontDictionary(font.name, font.ref),
+  graphicsStateName: (state) => page.node.newExtGState('GS', page.doc.context.obj(state)),
+  push: (...operators) => page.pushOperators(...operators),
+});
+
+// Opacity (where the target applies it) and the Multiply blend of
+// highlighters
+const setBlend = (target, opacity, multiply = false) => {
+  const state = {
+    ...(target.appliesOpacity && opacity < 1 ? { CA: opacity, ca: opacity } : {}),
+    ...(multiply ? { BM: 'Multiply' } : {}),
+  };
+  if (Object.keys(state).length) target.push(setGraphicsState(target.graphicsStateName(state)));
+};
+
+const ITALIC_SLANT = Math.tan((12 * Math.PI) / 180); // for fonts without an italic face
+
+// Consecutive characters drawn with the same font and slant.
+const textRuns = (chars) => {
+  const runs = [];
+  for (const { ch, font, italic } of chars) {
+    const last = runs[runs.length - 1];
+    if (last && last.font === font && last.italic === italic) last.text += ch;
+    else runs.push({ text: ch, font, italic });
+  }
+  return runs;
+};
+
+const runsWidth = (chars, size) =>
+  textRuns(chars).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+
+/** Corners of an item's box in PDF user space. */
+export const itemCorners = (frame, item) => {
+  const w = item.width * frame.width;
+  const h = item.height * frame.height;
+  return [
+    itemPointToPdf(frame, item, 0, 0),
+    itemPointToPdf(frame, item, w, 0),
+    itemPointToPdf(frame, item, 0, h),
+    itemPointToPdf(frame, item, w, h),
+  ];
+};
+
+export const strokePoints = (frame, item) =>
+  item.content.map((point) => ({ ...toPdfPoint(frame, point.x, point.y), p: point.p }));
+
+const pathOps = (points) => [moveTo(points[0].x, points[0].y), ...points.slice(1).map((p) => lineTo(p.x, p.y))];
+
+export const drawSignature = (target, frame, image, item) => {
+  target.push(
+    ...drawImage(target.imageName(image), {
+      ...itemPointToPdf(frame, item, 0, item.height * frame.height),
+      rotate: itemRotation(frame, item),
+      width: item.width * frame.width,
+      height: item.height * frame.height,
+      ...NO_SKEW,
+    })
+  );
+};
+
+/**
+ * `chars` is the item text with the font of each character, see
+ * `createTextFonts`. Lines wrap and align like the overlay box.
+ */
+export const drawTextItem = (target, frame, chars, item) => {
+  const primary = chars.find((c) => c.font)?.font;
+  if (!primary) return;
+  const style = getTextStyle(item);
+  const size = style.fontSize;
+  const maxWidth = item.width * frame.width - TEXT_PADDING * 2;
+  const lines = wrapLines(chars, maxWidth, (line) => runsWidth(line, size), (c) => c.ch);
+  // baseline where CSS puts it: half the leading, then the ascent
+  const top = (size * LINE_HEIGHT - primary.heightAtSize(size)) / 2 + primary.heightAtSize(size, { descender: false });
+  const angle = toRadians(itemRotation(frame, item));
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const fontNames = new Map();
+  const fontName = (font) => {
+    if (!fontNames.has(font)) fontNames.set(font, target.fontName(font));
+    return fontNames.get(font);
+  };
+
+  target.push(pushGraphicsState(), setFillingRgbColor(...hexToRgb(style.color)));
+  lines.forEach((line, i) => {
+    const free = maxWidth - runsWidth(line, size);
+    let x = TEXT_PADDING + (style.align === 'center' ? free / 2 : style.align === 'right' ? free : 0);
+    const baseline = TEXT_PADDING + top + i * size * LINE_HEIGHT;
+    for (const run of textRuns(line)) {
+      const origin = itemPointToPdf(frame, item, x, baseline);
+      const slant = run.italic ? ITALIC_SLANT : 0;
+      target.push(
+        beginText(),
+        setFontAndSize(fontName(run.font), size),
+        setTextMatrix(cos, sin, slant * cos - sin, slant * sin + cos, origin.x, origin.y),
+        showText(run.font.encodeText(run.text)),
+        endText()
+      );
+      x += run.font.widthOfTextAtSize(run.text, size);
+    }
+  });
+  target.push(popGraphicsState());
+};
+
+// Smoothed like on screen; pressure strokes are filled outlines.
+export const drawStroke = (target, frame, item) => {
+  const points = strokePoints(frame, item);
+  if (points.length < 2) return;
+  const style = getStrokeStyle(item);
+  const highlighter = style.tool === 'highlighter';
+  const [r, g, b] = hexToRgb(style.color);
+  const line = splinePoints(points);
+  target.push(pushGraphicsState());
+  setBlend(target, style.opacity, highlighter);
+  if (hasPressure(points)) {
+    target.push(setFillingRgbColor(r, g, b), ...pathOps(strokeOutline(line, style.width)), closePath(), fill());
+  } else {
+    target.push(
+      setStrokingRgbColor(r, g, b),
+      setLineWidth(style.width),
+      setLineCap(LineCapStyle.Round),
+      setLineJoin(LineJoinStyle.Round),
+      ...pathOps(line),
+      stroke()
+    );
+  }
+  target.push(popGraphicsState());
+};
+
+const ELLIPSE_KAPPA = 0.5523; // control point distance of a quarter circle bezier
+
+// Outline of a box shape in item coordinates (pt from its top-left corner),
+// inset by half the line width so the stroke stays inside like on screen.
+const boxPath = (shape, width, height, inset) => {
+  if (shape === 'ellipse') {
+    const cx = width / 2;
+    const cy = height / 2;
+    const rx = Math.max(0, cx - inset);
+    const ry = Math.max(0, cy - inset);
+    const kx = rx * ELLIPSE_KAPPA;
+    const ky = ry * ELLIPSE_KAPPA;
+    return [
+      { move: [cx + rx, cy] },
+      { curve: [cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry] },
+      { curve: [cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy] },
+      { curve: [cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry] },
+      { curve: [cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy] },
+    ];
+  }
+  const right = Math.max(inset, width - inset);
+  const bottom = Math.max(inset, height - inset);
+  return [{ move: [inset, inset] }, { line: [right, inset] }, { line: [right, bottom] }, { line: [inset, bottom] }];
+};
+
+const boxPathOps = (frame, item, segments) => {
+  const at = (u, v) => itemPointToPdf(frame, item, u, v);
+  return segments.map(({ move, line, curve }) => {
+    if (move) return moveTo(at(...move).x, at(...move).y);
+    if (line) return lineTo(at(...line).x, at(...line).y);
+    const [c1, c2, end] = [at(curve[0], curve[1]), at(curve[2], curve[3]), at(curve[4], curve[5])];
+    return appendBezierCurve(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
+  });
+};
+
+const arrowOps = (tip, from, size) => [...pathOps(arrowHead(tip, from, size)), closePath(), fill()];
+
+/**
+ * Rectangle, ellipse, line, arrow or callout as vector paths. `chars` is the
+ * laid out text of a callout (see `drawTextItem`).
+ */
+export const drawShape = (target, frame, item, chars) => {
+  const style = getShapeStyle(item);
+  const width = style.strokeWidth;
+  target.push(
+    pushGraphicsState(),
+    setStrokingRgbColor(...hexToRgb(style.stroke)),
+    setFillingRgbColor(...hexToRgb(style.stroke)),
+    setLineWidth(width)
+  );
+  setBlend(target, style.opacity);
+
+  if (Array.isArray(item.content)) {
+    const [from, to] = strokePoints(frame, item);
+    target.push(setLineCap(item.shape === 'arrow' ? LineCapStyle.Butt : LineCapStyle.Round), ...pathOps([from, to]), stroke());
+    if (item.shape === 'arrow') target.push(...arrowOps(to, from, arrowSize(width)));
+    target.push(popGraphicsState());
+    return;
+  }
+
+  if (item.shape === 'callout') {
+    const leader = calloutLeader(item, frame);
+    if (leader) {
+      const anchor = itemPointToPdf(frame, item, leader.anchor.x, leader.anchor.y);
+      const end = itemPointToPdf(frame, item, leader.end.x, leader.end.y);
+      target.push(...pathOps([end, anchor]), stroke(), ...arrowOps(anchor, end, arrowSize(width)));
+    }
+  }
+  const outline = boxPathOps(frame, item, boxPath(item.shape, item.width * frame.width, item.height * frame.height, width / 2));
+  if (style.fill) target.push(setFillingRgbColor(...hexToRgb(style.fill)));
+  target.push(...outline, closePath(), style.fill ? fillAndStroke() : stroke());
+  if (item.shape === 'callout' && chars) {
+    // the text sits inside the border, as in the viewer
+    drawTextItem(target, frame, chars, {
+      ...item,
+      x: item.x + width / frame.width,
+      y: item.y + width / frame.height,
+      width: item.width - (width * 2) / frame.width,
+      height: item.height - (width * 2) / frame.height,
+    });
+  }
+  target.push(popGraphicsState());
+};
+
+/**
+ * Corners of each markup quad in PDF user space, in QuadPoints order:
+ * top-left, top-right, bottom-left, bottom-right of the text.
+ */
+export const markupQuads = (frame, item) =>
+  item.quads.map((quad) => {
+    const { length, thickness, at } = quadFrame(quad, item.rotation);
+    return [at(0, 0), at(length, 0), at(0, thickness), at(length, thickness)].map((p) => toPdfPoint(frame, p.x, p.y));
+  });
+
+// Highlights multiply with the page like the highlighter, the other marks
+// are lines along each quad.
+export const drawMarkup = (target, frame, item) => {
+  const style = getMarkupStyle(item);
+  const [r, g, b] = hexToRgb(style.color);
+  const highlight = item.markup === 'highlight';
+  target.push(pushGraphicsState());
+  setBlend(target, style.opacity, highlight);
+  target.push(setFillingRgbColor(r, g, b), setStrokingRgbColor(r, g, b), setLineJoin(LineJoinStyle.Round));
+  for (const quad of item.quads) {
+    // in pt so line widths come out right, then back to the page
+    const { length, thickness, at } = quadFrame(quad, item.rotation, frame);
+    const toPdf = (p) => {
+      const point = at(p.x, p.y);
+      return toPdfPoint(frame, point.x / frame.width, point.y / frame.height);
+    };
+    if (highlight) {
+      const corners = [{ x: 0, y: 0 }, { x: length, y: 0 }, { x: length, y: thickness }, { x: 0, y: thickness }];
+      target.push(...pathOps(corners.map(toPdf)), closePath(), fill());
+      continue;
+    }
+    const markup = markupLines(item.markup, length, thickness);
+    target.push(setLineWidth(markup.thickness));
+    for (const line of markup.lines) target.push(...pathOps(line.map(toPdf)), stroke());
+  }
+  target.push(popGraphicsState());
+};
+
+const REDACTION_LABEL_FILL = 0.9; // of the box width the label may take
+
+/**
+ * Opaque black box of an applied redaction, with its label (`content`) in
+ * white `font` centered in the box.
+ */
+export const drawRedaction = (target, frame, item, font) => {
+  const [topLeft, topRight, bottomLeft, bottomRight] = itemCorners(frame, item);
+  target.push(
+    pushGraphicsState(),
+    setFillingRgbColor(0, 0, 0),
+    ...pathOps([topLeft, topRight, bottomRight, bottomLeft]),
+    closePath(),
+    fill()
+  );
+  const label = (item.content || '').trim();
+  const width = item.width * frame.width;
+  const height = item.height * frame.height;
+  const size = label && Math.min(height * 0.6, (width * REDACTION_LABEL_FILL) / font.widthOfTextAtSize(label, 1));
+  if (size >= 2) {
+    const origin = itemPointToPdf(frame, item, (width - font.widthOfTextAtSize(label, size)) / 2, height / 2 + size * 0.35);
+    const angle = toRadians(itemRotation(frame, item));
+    target.push(
+      setFillingRgbColor(1, 1, 1),
+      beginText(),
+      setFontAndSize(target.fontName(font), size),
+      setTextMatrix(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), origin.x, origin.y),
+      showText(font.encodeText(label)),
+      endText()
+    );
+  }
+  target.push(popGraphicsState());
+};
@@ -0,0 +1,455 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFInvalidObject,
+  PDFName,
+  PDFObjectParser,
+  PDFObjectStreamParser,
+  PDFParser,
+  PDFRawStream,
+  PDFRef,
+  PDFString,
+  PDFWriter,
+} from 'pdf-lib';
+
+// Standard security handler (ISO 32000-2, 7.6.4). pdf-lib reads and writes
+// no encryption, so the objects are decrypted here before it sees a file and
+// encrypted after it wrote one. Files encrypted with RC4 or AES (revisions 2
+// to 6) can be opened; exported files are protected with AES-256 (revision 6).
+
+const { subtle } = globalThis.crypto;
+
+const PASSWORD_PADDING = Uint8Array.from([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08, 0x2e, 0x2e, 0x00,
+  0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a,
+]);
+const EMPTY = new Uint8Array(0);
+const ZERO_IV = new Uint8Array(16);
+
+// Permission bits (1-based) each restriction clears in /P
+const RESTRICTED_BITS = {
+  noPrint: [3, 12],
+  noCopy: [5],
+  noEdit: [4, 6, 9, 11],
+};
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+const equalBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+const int32 = (value) => Uint8Array.from([value, value >> 8, value >> 16, value >> 24]);
+const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length));
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+const hexString = (bytes) => PDFHexString.of(toHex(bytes));
+
+// ✅ DIGESTS AND CIPHERS: MD5 and RC4 are not in Web Crypto, AES and SHA-2 are
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_SINES = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+function md5(data) {
+  const padded = new Uint8Array((((data.length + 8) >> 6) + 1) << 6);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (data.length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(data.length / 0x20000000), true);
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + MD5_SINES[i] + view.getUint32(offset + g * 4, true)) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+  const digest = new Uint8Array(16);
+  const out = new DataView(digest.buffer);
+  state.forEach((word, i) => out.setUint32(i * 4, word, true));
+  return digest;
+}
+
+function rc4(key, data) {
+  const s = Uint8Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 255;
+    const swap = s[i];
+    s[i] = s[j];
+    s[j] = swap;
+  }
+  const out = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 255;
+    j = (j + s[i]) & 255;
+    const swap = s[i];
+    s[i] = s[j];
+    s[j] = swap;
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+}
+
+const sha = async (bits, data) => new Uint8Array(await subtle.digest(`SHA-${bits}`, data));
+
+const aesKey = (key, usage) => subtle.importKey('raw', key, 'AES-CBC', false, [usage]);
+
+// CBC with PKCS #7 padding, as PDF strings and streams use it
+const aesEncrypt = async (key, iv, data) =>
+  new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv }, await aesKey(key, 'encrypt'), data));
+
+const aesDecrypt = async (key, iv, data) =>
+  new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, await aesKey(key, 'decrypt'), data));
+
+// CBC without padding: the padding block Web Crypto adds is cut off.
+const aesEncryptBlocks = async (key, iv, data) => (await aesEncrypt(key, iv, data)).subarray(0, data.length);
+
+// CBC without padding: a block that decrypts to a full padding block is
+// appended, so Web Crypto finds the padding it expects.
+const aesDecryptBlocks = async (key, iv, data) => {
+  const last = data.length ? data.subarray(data.length - 16) : iv;
+  const padding = (await aesEncrypt(key, last, new Uint8Array(16).fill(16))).subarray(0, 16);
+  return aesDecrypt(key, iv, concat(data, padding));
+};
+
+// ✅ KEYS: from the password to the file key
+
+// Revisions 2 to 4 take the password in PDFDocEncoding, padded to 32 bytes.
+const paddedPassword = (password) => {
+  const bytes = Uint8Array.from(Array.from(password).slice(0, 32), (ch) => ch.charCodeAt(0) & 255);
+  return concat(bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length));
+};
+
+// The password a padded one was made from, null when it is not padded.
+const unpaddedPassword = (padded) => {
+  for (let length = 0; length <= 32; length++) {
+    if (equalBytes(padded.subarray(length, 32), PASSWORD_PADDING.subarray(0, 32 - length))) {
+      return String.fromCharCode(...padded.subarray(0, length));
+    }
+  }
+  return null;
+};
+
+// Revisions 5 and 6 take it in UTF-8, at most 127 bytes.
+const utf8Password = (password) => new TextEncoder().encode(password.normalize('NFKC')).subarray(0, 127);
+
+// Algorithm 2.B (2.A for revision 5): the hash checking a password and
+// giving the key that unwraps the file key.
+async function passwordHash(password, salt, userData, revision) {
+  let k = await sha(256, concat(password, salt, userData));
+  if (revision < 6) return k;
+  for (let round = 0; ; round++) {
+    const block = concat(password, k, userData);
+    const k1 = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+    const e = await aesEncryptBlocks(k.subarray(0, 16), k.subarray(16, 32), k1);
+    const remainder = e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    k = await sha([256, 384, 512][remainder], e);
+    if (round >= 63 && e[e.length - 1] <= round - 31) break;
+  }
+  return k.subarray(0, 32);
+}
+
+const readHandler = (encrypt, id) => {
+  const number = (key, fallback) => encrypt.lookup(PDFName.of(key))?.asNumber() ?? fallback;
+  const bytes = (key) => encrypt.lookup(PDFName.of(key))?.asBytes() ?? EMPTY;
+  const version = number('V', 0);
+  // crypt filter methods of streams and strings
+  const method = (key) => {
+    if (version < 4) return 'V2';
+    const name = encrypt.lookup(PDFName.of(key))?.decodeText?.() ?? 'Identity';
+    if (name === 'Identity') return 'None';
+    const filter = encrypt.lookup(PDFName.of('CF'))?.lookup(PDFName.of(name));
+    return filter?.lookup(PDFName.of('CFM'))?.decodeText() ?? 'None';
+  };
+  const filter = encrypt.lookup(PDFName.of('Filter'))?.decodeText();
+  if (filter !== 'Standard') throw new Error(`Unsupported security handler ${filter || ''}`.trim());
+  return {
+    revision: number('R', 2),
+    length: number('Length', 40),
+    o: bytes('O'),
+    u: bytes('U'),
+    oe: bytes('OE'),
+    ue: bytes('UE'),
+    p: number('P', 0),
+    encryptMetadata: encrypt.lookup(PDFName.of('EncryptMetadata'))?.asBoolean() ?? true,
+    id: id instanceof PDFArray && id.size() ? id.lookup(0).asBytes() : EMPTY,
+    streams: method('StmF'),
+    strings: method('StrF'),
+  };
+};
+
+// Algorithm 2: the RC4 / AES-128 file key of a (padded) user password.
+const legacyKey = (handler, password) => {
+  const size = handler.revision === 2 ? 5 : handler.length / 8;
+  const skipMetadata = handler.revision >= 4 && !handler.encryptMetadata ? [0xff, 0xff, 0xff, 0xff] : [];
+  let digest = md5(concat(password, handler.o, int32(handler.p), handler.id, skipMetadata));
+  if (handler.revision >= 3) for (let i = 0; i < 50; i++) digest = md5(digest.subarray(0, size));
+  return digest.subarray(0, size);
+};
+
+// Algorithms 6 and 5: `key` is right when it reproduces /U.
+const isUserKey = (handler, key) => {
+  if (handler.revision === 2) return equalBytes(rc4(key, PASSWORD_PADDING), handler.u);
+  let check = rc4(key, md5(concat(PASSWORD_PADDING, handler.id)));
+  for (let i = 1; i <= 19; i++) check = rc4(key.map((byte) => byte ^ i), check);
+  return equalBytes(check, handler.u.subarray(0, 16));
+};
+
+// Algorithm 7: the owner password unwraps the user password from /O.
+const userFromOwner = (handler, password) => {
+  let digest = md5(password);
+  if (handler.revision >= 3) for (let i = 0; i < 50; i++) digest = md5(digest);
+  const key = digest.subarray(0, handler.revision === 2 ? 5 : handler.length / 8);
+  if (handler.revision === 2) return rc4(key, handler.o);
+  let user = handler.o;
+  for (let i = 19; i >= 0; i--) user = rc4(key.map((byte) => byte ^ i), user);
+  return user;
+};
+
+/**
+ * File key for `password` as `{ key, owner, user }`, `owner` when it is the
+ * owner password and `user` the padded user password it unwraps (revisions
+ * 2 to 4). Null when the password is wrong.
+ */
+async function fileKey(handler, password) {
+  if (handler.revision >= 5) {
+    const bytes = utf8Password(password);
+    const { o, u, revision } = handler;
+    if (equalBytes(await passwordHash(bytes, o.subarray(32, 40), u.subarray(0, 48), revision), o.subarray(0, 32))) {
+      const key = await aesDecryptBlocks(await passwordHash(bytes, o.subarray(40, 48), u.subarray(0, 48), revision), ZERO_IV, handler.oe);
+      return { key, owner: true, user: null };
+    }
+    if (equalBytes(await passwordHash(bytes, u.subarray(32, 40), EMPTY, revision), u.subarray(0, 32))) {
+      const key = await aesDecryptBlocks(await passwordHash(bytes, u.subarray(40, 48), EMPTY, revision), ZERO_IV, handler.ue);
+      return { key, owner: false, user: null };
+    }
+    return null;
+  }
+  const padded = paddedPassword(password);
+  const unwrapped = userFromOwner(handler, padded);
+  for (const [candidate, owner] of [[padded, false], [unwrapped, true]]) {
+    const key = legacyKey(handler, candidate);
+    if (isUserKey(handler, key)) return { key, owner, user: owner ? unwrapped : null };
+  }
+  return null;
+}
+
+// Passwords and restrictions of an encrypted file in the form `encryptPdf`
+// takes; a password that cannot be worked out from `password` is null. A
+// restriction counts as set when any of its permission bits is cleared.
+async function readProtection(handler, password, match) {
+  const restrictions = Object.fromEntries(
+    Object.entries(RESTRICTED_BITS).map(([name, bits]) => [name, bits.some((bit) => !(handler.p & (1 << (bit - 1))))])
+  );
+  if (!match.owner) return { userPassword: password, ownerPassword: null, ...restrictions };
+  let userPassword = match.user ? unpaddedPassword(match.user) : null;
+  if (userPassword === null && (await fileKey(handler, ''))?.owner === false) userPassword = '';
+  return { userPassword, ownerPassword: password, ...restrictions };
+}
+
+// ✅ OBJECTS: strings and streams are encrypted one by one
+
+// Key of one object; AES-256 uses the file key for all of them.
+const objectKey = (key, ref, method) => {
+  if (method === 'AESV3') return key;
+  const { objectNumber: n, generationNumber: g } = ref;
+  const salt = method === 'AESV2' ? [0x73, 0x41, 0x6c, 0x54] : [];
+  return md5(concat(key, [n, n >> 8, n >> 16, g, g >> 8], salt)).subarray(0, Math.min(key.length + 5, 16));
+};
+
+async function decryptBytes(method, key, data) {
+  if (method === 'V2') return rc4(key, data);
+  if (method !== 'AESV2' && method !== 'AESV3') return data;
+  if (data.length < 32) return EMPTY;
+  const iv = data.subarray(0, 16);
+  const cipher = data.subarray(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+  try {
+    return await aesDecrypt(key, iv, cipher);
+  } catch {
+    return aesDecryptBlocks(key, iv, cipher); // broken padding, keep what there is
+  }
+}
+
+const encryptBytes = async (key, data) => {
+  const iv = randomBytes(16);
+  return concat(iv, await aesEncrypt(key, iv, data));
+};
+
+// Signature values are left as they are, they sign the encrypted bytes.
+const isSignatureValue = (dict, key) => key === PDFName.of('Contents') && dict.has(PDFName.of('ByteRange'));
+
+// Runs `transform` over every string in `object`, replacing them in place.
+async function mapStrings(object, transform) {
+  if (object instanceof PDFString || object instanceof PDFHexString) return hexString(await transform(object.asBytes()));
+  if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) object.set(i, await mapStrings(object.get(i), transform));
+  } else if (object instanceof PDFDict) {
+    for (const key of object.keys()) {
+      if (!isSignatureValue(object, key)) object.set(key, await mapStrings(object.get(key), transform));
+    }
+  }
+  return object;
+}
+
+// Streams that stay in the clear: cross-reference streams, and the XMP
+// metadata when /EncryptMetadata is false.
+const isClearStream = (stream, encryptMetadata) => {
+  const type = stream.dict.get(PDFName.of('Type'));
+  return type === PDFName.of('XRef') || (!encryptMetadata && type === PDFName.of('Metadata'));
+};
+
+/**
+ * Decrypts a PDF with its user or owner password. Resolves with `{ bytes,
+ * protection }`: the same document without encryption and its passwords
+ * and restrictions (see `encryptPdf`, null passwords could not be worked
+ * out). Files that are not encrypted come back unchanged with a null
+ * `protection`. Throws when the password is wrong.
+ */
+export async function decryptPdf(bytes, password = '') {
+  const context = await PDFParser.forBytesWithOptions(bytes).parseDocument();
+  const encryptRef = context.trailerInfo.Encrypt;
+  const encrypt = context.lookup(encryptRef);
+  if (!(encrypt instanceof PDFDict)) return { bytes, protection: null };
+  const handler = readHandler(encrypt, context.lookup(context.trailerInfo.ID));
+  const match = await fileKey(handler, password);
+  if (!match) throw new Error('Wrong password');
+  const { key } = match;
+
+  const objects = context.enumerateIndirectObjects();
+  for (const [ref, object] of objects) {
+    if (ref === encryptRef || object instanceof PDFInvalidObject) continue;
+    const decryptString = (data) => decryptBytes(handler.strings, objectKey(key, ref, handler.strings), data);
+    if (object instanceof PDFRawStream) {
+      await mapStrings(object.dict, decryptString);
+      if (isClearStream(object, handler.encryptMetadata)) continue;
+      const contents = await decryptBytes(handler.streams, objectKey(key, ref, handler.streams), object.contents);
+      context.assign(ref, PDFRawStream.of(object.dict, contents));
+    } else {
+      await mapStrings(object, decryptString);
+    }
+  }
+
+  // pdf-lib could not unpack the object streams while they were encrypted;
+  // the objects inside them have no encryption of their own
+  for (const [ref, object] of objects) {
+    if (!(object instanceof PDFInvalidObject)) continue;
+    const raw = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(raw, 0);
+    let stream;
+    try {
+      stream = PDFObjectParser.forBytes(raw, context).parseObject();
+    } catch {
+      continue;
+    }
+    if (!(stream instanceof PDFRawStream) || stream.dict.get(PDFName.of('Type')) !== PDFName.of('ObjStm')) continue;
+    const contents = await decryptBytes(handler.streams, objectKey(key, ref, handler.streams), stream.contents);
+    context.delete(ref);
+    await PDFObjectStreamParser.forStream(PDFRawStream.of(stream.dict, contents)).parseIntoContext();
+  }
+
+  if (encryptRef instanceof PDFRef) context.delete(encryptRef);
+  context.trailerInfo.Encrypt = undefined;
+  return {
+    bytes: await PDFWriter.forContext(context, Infinity).serializeToBuffer(),
+    protection: await readProtection(handler, password, match),
+  };
+}
+
+/** /P value allowing everything but the `restrictions` set. */
+const permissionFlags = (restrictions) => {
+  let flags = ~3;
+  for (const [name, bits] of Object.entries(RESTRICTED_BITS)) {
+    if (restrictions[name]) for (const bit of bits) flags &= ~(1 << (bit - 1));
+  }
+  return flags | 0;
+};
+
+/**
+ * Encrypts a PDF with AES-256. `userPassword` is asked for to open it (none
+ * when empty); `ownerPassword` lifts the `noPrint`, `noCopy` and `noEdit`
+ * restrictions, a random one is used when it is empty so they cannot be
+ * lifted at all.
+ */
+export async function encryptPdf(bytes, { userPassword = '', ownerPassword = '', noPrint = false, noCopy = false, noEdit = false } = {}) {
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const key = randomBytes(32);
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encryptString = (data) => encryptBytes(key, data);
+    if (object instanceof PDFRawStream) {
+      await mapStrings(object.dict, encryptString);
+      if (!isClearStream(object, true)) context.assign(ref, PDFRawStream.of(object.dict, await encryptBytes(key, object.contents)));
+    } else {
+      await mapStrings(object, encryptString);
+    }
+  }
+
+  // Algorithms 8 to 10
+  const user = utf8Password(userPassword);
+  const owner = ownerPassword ? utf8Password(ownerPassword) : randomBytes(32);
+  const userSalts = randomBytes(16);
+  const u = concat(await passwordHash(user, userSalts.subarray(0, 8), EMPTY, 6), userSalts);
+  const ue = await aesEncryptBlocks(await passwordHash(user, userSalts.subarray(8), EMPTY, 6), ZERO_IV, key);
+  const ownerSalts = randomBytes(16);
+  const o = concat(await passwordHash(owner, ownerSalts.subarray(0, 8), u, 6), ownerSalts);
+  const oe = await aesEncryptBlocks(await passwordHash(owner, ownerSalts.subarray(8), u, 6), ZERO_IV, key);
+  const p = permissionFlags({ noPrint, noCopy, noEdit });
+  // one block, ECB being CBC with a zero IV
+  const perms = await aesEncryptBlocks(key, ZERO_IV, concat(int32(p), [0xff, 0xff, 0xff, 0xff], [0x54, 0x61, 0x64, 0x62], randomBytes(4)));
+
+  const encrypt = context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    P: p,
+    EncryptMetadata: true,
+  });
+  encrypt.set(PDFName.of('O'), hexString(o));
+  encrypt.set(PDFName.of('U'), hexString(u));
+  encrypt.set(PDFName.of('OE'), hexString(oe));
+  encrypt.set(PDFName.of('UE'), hexString(ue));
+  encrypt.set(PDFName.of('Perms'), hexString(perms));
+  context.trailerInfo.Encrypt = context.register(encrypt);
+  if (!context.trailerInfo.ID) {
+    const id = hexString(randomBytes(16));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  // objects inside object streams would have to be left unencrypted
+  return pdfDoc.save({ useObjectStreams: false });
+}
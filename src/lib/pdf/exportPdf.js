@@ -0,0 +1,103 @@
+import { PDFDocument } from 'pdf-lib';
+import { saveIncremental, startIncrementalUpdate } from './incrementalUpdate';
+import { getPageFrame } from './pageGeometry';
+import { drawMarkup, drawShape, drawSignature, drawStroke, drawTextItem, pageTarget } from './drawItems';
+import {
+  addFreeTextAnnotation,
+  addInkAnnotation,
+  addMarkupAnnotation,
+  addShapeAnnotation,
+  addStampAnnotation,
+} from './annotations';
+import { fillForm } from './formFields';
+import { createTextFonts } from './textFonts';
+import { applyPageLayout } from './pageLayout';
+
+const isPng = (bytes) => bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+const isJpeg = (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8;
+
+// Anything that is not PNG/JPEG (webp, gif, svg...) goes through a canvas.
+const rasterizeToPng = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      canvas.toBlob((blob) => (blob ? blob.arrayBuffer().then(resolve, reject) : reject(new Error('Could not convert image'))), 'image/png');
+    };
+    img.onerror = () => reject(new Error('Could not load image'));
+    img.src = src;
+  });
+
+/** Embeds an image from its URL, PNG and JPEG as they are. */
+export const embedImage = async (pdfDoc, src) => {
+  const bytes = new Uint8Array(await (await fetch(src)).arrayBuffer());
+  if (isPng(bytes)) return pdfDoc.embedPng(bytes);
+  if (isJpeg(bytes)) return pdfDoc.embedJpg(bytes);
+  return pdfDoc.embedPng(await rasterizeToPng(src));
+};
+
+/**
+ * Writes the overlay items on top of the original PDF and returns the new
+ * file bytes. The original file is kept as-is and the additions are appended
+ * as an incremental update, so text, links, bookmarks and forms survive.
+ *
+ * `mode` is 'flatten' to burn the items into the page content, or
+ * 'annotations' to add them as annotations the recipient can still edit.
+ * `formValues` (see `readFormValues`) are written into the AcroForm first,
+ * `flattenForm` then merges the form fields into the pages. `layout` is the
+ * page order from the page organizer, items are placed by their position in it.
+ */
+export async function exportAnnotatedPdf(
+  file,
+  signatures,
+  { mode = 'flatten', formValues = [], flattenForm = false, layout = null } = {}
+) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const snapshot = startIncrementalUpdate(pdfDoc, bytes);
+  const asAnnotations = mode === 'annotations';
+
+  fillForm(pdfDoc, formValues, { flatten: flattenForm });
+  if (layout) applyPageLayout(pdfDoc, layout);
+  const pages = pdfDoc.getPages();
+
+  const images = new Map();
+  let textFonts = null;
+
+  for (const item of signatures) {
+    const page = pages[item.page - 1];
+    if (!page) continue;
+    const frame = getPageFrame(page);
+
+    if (item.type === 'signature') {
+      if (!images.has(item.content)) images.set(item.content, await embedImage(pdfDoc, item.content));
+      const image = images.get(item.content);
+      if (asAnnotations) addStampAnnotation(pdfDoc, page, frame, image, item);
+      else drawSignature(pageTarget(page), frame, image, item);
+    } else if (item.type === 'text') {
+      textFonts ??= createTextFonts(pdfDoc);
+      const chars = await textFonts.layoutText(item);
+      if (asAnnotations) addFreeTextAnnotation(pdfDoc, page, frame, chars, item);
+      else drawTextItem(pageTarget(page), frame, chars, item);
+    } else if (item.type === 'drawing') {
+      if (asAnnotations) addInkAnnotation(pdfDoc, page, frame, item);
+      else drawStroke(pageTarget(page), frame, item);
+    } else if (item.type === 'shape') {
+      let chars = null;
+      if (item.shape === 'callout' && item.content) {
+        textFonts ??= createTextFonts(pdfDoc);
+        chars = await textFonts.layoutText(item);
+      }
+      if (asAnnotations) addShapeAnnotation(pdfDoc, page, frame, chars, item);
+      else drawShape(pageTarget(page), frame, item, chars);
+    } else if (item.type === 'markup') {
+      if (asAnnotations) addMarkupAnnotation(pdfDoc, page, frame, item);
+      else drawMarkup(pageTarget(page), frame, item);
+    }
+  }
+
+  return saveIncremental(pdfDoc, bytes, snapshot);
+}
@@ -0,0 +1,137 @@
+import { PDFCheckBox, PDFDropdown, PDFName, PDFOptionList, PDFRadioGroup, PDFTextField } from 'pdf-lib';
+
+// AcroForm filling. The viewer lets pdf.js render the form widgets and keeps
+// what the user types in its annotation storage; on export the values are
+// read back from there and written into the file with pdf-lib.
+
+const FILLABLE_TYPES = ['text', 'checkbox', 'radiobutton', 'combobox', 'listbox'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+// Value of one field as pdf.js stores it, or undefined when nobody touched it.
+// Radio groups are identified by the index of the selected button, pdf.js
+// and pdf-lib do not agree on their export values when /Opt is used.
+const fieldValue = (type, widgets, storage) => {
+  const stored = widgets.map((widget) => storage.getRawValue(widget.id)?.value);
+  if (stored.every((value) => value === undefined)) return undefined;
+
+  if (type === 'checkbox') return stored.some(Boolean);
+  if (type === 'radiobutton') {
+    const index = stored.findIndex((value) => value === true);
+    return index === -1 ? null : index;
+  }
+  return stored.find((value) => value !== undefined);
+};
+
+const originalValue = (type, widgets) => {
+  const { value, exportValues } = widgets[0];
+  if (type === 'checkbox') return value === exportValues;
+  if (type === 'radiobutton') {
+    const index = widgets.findIndex((widget) => widget.exportValues === value);
+    return index === -1 ? null : index;
+  }
+  return value;
+};
+
+/** True when the document loaded in pdf.js has form fields. */
+export async function hasFormFields(pdfProxy) {
+  const fields = await pdfProxy.getFieldObjects();
+  return !!fields && Object.keys(fields).length > 0;
+}
+
+/**
+ * Collects the form values the user changed in the viewer as
+ * `[{ name, type, value }]`. Signature fields are not included, they are
+ * filled by placing a signature image on them.
+ */
+export async function readFormValues(pdfProxy) {
+  const fields = (await pdfProxy.getFieldObjects()) || {};
+  const storage = pdfProxy.annotationStorage;
+  const values = [];
+
+  for (const [name, entries] of Object.entries(fields)) {
+    // parent field dictionaries are listed too, with an empty type
+    const widgets = entries.filter((entry) => entry.type);
+    const type = widgets[0]?.type;
+    if (!FILLABLE_TYPES.includes(type)) continue;
+    const value = fieldValue(type, widgets, storage);
+    if (value !== undefined && !sameValue(value, originalValue(type, widgets))) {
+      values.push({ name, type, value });
+    }
+  }
+  return values;
+}
+
+const applyValue = (field, value) => {
+  if (field instanceof PDFTextField) {
+    field.setText(value || undefined);
+  } else if (field instanceof PDFCheckBox) {
+    if (value) field.check();
+    else field.uncheck();
+  } else if (field instanceof PDFRadioGroup) {
+    const option = field.getOptions()[value];
+    if (option !== undefined) field.select(option);
+    else field.clear();
+  } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const selected = (Array.isArray(value) ? value : [value]).filter(Boolean);
+    if (selected.length === 0) {
+      field.clear();
+      return;
+    }
+    if (field instanceof PDFDropdown && selected.some((option) => !field.getOptions().includes(option))) {
+      field.enableEditing();
+    }
+    field.select(selected);
+  }
+};
+
+// pdf-lib 1.17 flattens the widgets but leaves their references in the page
+// /Annots. In a full rewrite they dangle, with an incremental update the old
+// widgets would still be there, so they are removed here. It also fails on
+// widgets without an appearance (unsigned signature fields), those get an
+// empty one first.
+const flattenForm = (pdfDoc, form) => {
+  const { context } = pdfDoc;
+  form.updateFieldAppearances();
+  const widgets = form.getFields().flatMap((field) => field.acroField.getWidgets());
+  for (const widget of widgets) {
+    if (widget.AP()?.get(PDFName.of('N'))) continue;
+    const { width, height } = widget.getRectangle();
+    widget.setNormalAppearance(context.register(context.formXObject([], { BBox: [0, 0, width, height] })));
+  }
+  const widgetRefs = new Set(widgets.map((widget) => context.getObjectRef(widget.dict)));
+  form.flatten({ updateFieldAppearances: false });
+
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      if (widgetRefs.has(annots.get(i))) annots.remove(i);
+    }
+  }
+};
+
+/**
+ * Writes `values` (from `readFormValues`) into the AcroForm of `pdfDoc`.
+ * With `flatten` the fields are merged into the page content afterwards, so
+ * the result can no longer be edited.
+ */
+export function fillForm(pdfDoc, values, { flatten = false } = {}) {
+  if (!pdfDoc.catalog.getAcroForm() || (values.length === 0 && !flatten)) return;
+  const form = pdfDoc.getForm();
+  // readers prefer XFA data over the AcroForm values when both exist
+  if (values.length > 0 && form.hasXFA()) form.deleteXFA();
+
+  for (const { name, value } of values) {
+    const field = form.getFieldMaybe(name);
+    if (!field) continue;
+    try {
+      applyValue(field, value);
+    } catch (err) {
+      throw new Error(`Could not fill the field "${name}": ${err.message}`);
+    }
+  }
+
+  if (flatten) flattenForm(pdfDoc, form);
+  else form.updateFieldAppearances();
+}
@@ -0,0 +1,154 @@
+import {
+  PDFArray,
+  PDFCrossRefSection,
+  PDFCrossRefStream,
+  PDFHexString,
+  PDFNumber,
+  PDFRef,
+  PDFStream,
+  PDFTrailer,
+  PDFTrailerDict,
+} from 'pdf-lib';
+
+const encoder = new TextEncoder();
+
+// Fingerprint of an object, used to tell later which ones were touched.
+// Streams are compared by identity (their bytes are never edited in place),
+// everything else by its serialized form.
+const fingerprint = (object) =>
+  object instanceof PDFStream ? object.dict.toString() : object.toString();
+
+const latin1 = (bytes) => new TextDecoder('latin1').decode(bytes);
+
+const readLastXRefOffset = (bytes) => {
+  const tail = latin1(bytes.subarray(Math.max(0, bytes.length - 1024)));
+  const match = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail) || /startxref\s+(\d+)(?![\s\S]*startxref)/.exec(tail);
+  if (!match) throw new Error('Could not find the cross-reference table of the original PDF');
+  return Number(match[1]);
+};
+
+// /Size of the last trailer (or xref stream) = highest object number + 1.
+const readTrailerSize = (bytes, xrefOffset) => {
+  const match = /\/Size\s+(\d+)/.exec(latin1(bytes.subarray(xrefOffset)));
+  return match ? Number(match[1]) : 0;
+};
+
+/**
+ * Prepares a freshly loaded document for `saveIncremental`: reserves every
+ * object number already used by the original file and records the state of
+ * all objects, so that only what changes afterwards gets appended.
+ */
+export function startIncrementalUpdate(pdfDoc, originalBytes) {
+  const { context } = pdfDoc;
+  // pdf-lib does not register object and xref streams, new objects must not reuse their numbers
+  const size = readTrailerSize(originalBytes, readLastXRefOffset(originalBytes));
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, size - 1);
+
+  const objects = new Map();
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    objects.set(ref.tag, { object, print: fingerprint(object) });
+  }
+  return objects;
+}
+
+const collectChangedObjects = (pdfDoc, snapshot) =>
+  pdfDoc.context
+    .enumerateIndirectObjects()
+    .filter(([ref, object]) => {
+      const before = snapshot.get(ref.tag);
+      if (!before) return true;
+      if (before.object !== object) return true;
+      return before.print !== fingerprint(object);
+    })
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+
+const usesXRefStream = (bytes, xrefOffset) =>
+  latin1(bytes.subarray(xrefOffset, xrefOffset + 4)) !== 'xref';
+
+const serialize = (object) => {
+  const buffer = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(buffer, 0);
+  return buffer;
+};
+
+const randomHexId = () => {
+  const id = new Uint8Array(16);
+  crypto.getRandomValues(id);
+  return Array.from(id, (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// First half of /ID identifies the document and must survive the update,
+// the second half identifies this revision.
+const nextDocumentId = (context) => {
+  const id = context.lookupMaybe(context.trailerInfo.ID, PDFArray);
+  if (!id || id.size() < 1) return undefined;
+  return context.obj([id.get(0), PDFHexString.of(randomHexId())]);
+};
+
+/**
+ * Appends every new or modified object of `pdfDoc` to `originalBytes` as a
+ * PDF incremental update. The original bytes are kept untouched, so existing
+ * content, signatures and structure stay exactly as they were.
+ */
+export async function saveIncremental(pdfDoc, originalBytes, snapshot) {
+  await pdfDoc.flush();
+
+  const { context } = pdfDoc;
+  const original = originalBytes instanceof Uint8Array ? originalBytes : new Uint8Array(originalBytes);
+  const prevOffset = readLastXRefOffset(original);
+  const changed = collectChangedObjects(pdfDoc, snapshot);
+  if (changed.length === 0) return original;
+
+  const chunks = [original, encoder.encode('\n')];
+  let offset = original.length + 1;
+  const offsets = [];
+
+  const writeObject = (ref, object) => {
+    offsets.push([ref, offset]);
+    const head = encoder.encode(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+    const body = serialize(object);
+    const tail = encoder.encode('\nendobj\n');
+    chunks.push(head, body, tail);
+    offset += head.length + body.length + tail.length;
+  };
+
+  changed.forEach(([ref, object]) => writeObject(ref, object));
+
+  const trailerEntries = {
+    Root: context.trailerInfo.Root,
+    Encrypt: context.trailerInfo.Encrypt,
+    Info: context.trailerInfo.Info,
+    ID: nextDocumentId(context),
+    Prev: PDFNumber.of(prevOffset),
+  };
+
+  let xrefOffset;
+  if (usesXRefStream(original, prevOffset)) {
+    const xrefRef = PDFRef.of(context.largestObjectNumber + 1);
+    const xrefStream = PDFCrossRefStream.create(
+      context.obj({ ...trailerEntries, Size: xrefRef.objectNumber + 1 }),
+    );
+    offsets.forEach(([ref, at]) => xrefStream.addUncompressedEntry(ref, at));
+    xrefStream.addUncompressedEntry(xrefRef, offset);
+    xrefOffset = offset;
+    writeObject(xrefRef, xrefStream);
+  } else {
+    const xref = PDFCrossRefSection.createEmpty();
+    offsets.forEach(([ref, at]) => xref.addEntry(ref, at));
+    const trailerDict = PDFTrailerDict.of(
+      context.obj({ ...trailerEntries, Size: context.largestObjectNumber + 1 }),
+    );
+    xrefOffset = offset;
+    chunks.push(serialize(xref), encoder.encode('\n'), serialize(trailerDict), encoder.encode('\n'));
+  }
+
+  chunks.push(serialize(PDFTrailer.forLastCrossRefSectionOffset(xrefOffset)), encoder.encode('\n'));
+
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+}
@@ -0,0 +1,110 @@
+import { PDFDict, PDFDocument, PDFHexString, PDFName, PDFObjectCopier, PDFRef } from 'pdf-lib';
+import { BLANK_PAGE_SIZE } from '../pageOrganizer';
+
+// Combines PDFs and image scans into one working document, in the given
+// order. The first PDF (when it comes first) is the base the others are
+// added to, so its form, outline and metadata are kept; the form fields of
+// the others join its form.
+
+export const MERGEABLE_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+export const isMergeable = (file) => MERGEABLE_TYPES.includes(file.type);
+
+const loadPdf = async (file) => PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+
+// A scan becomes a page of its own shape, fitted into A4 turned the same way.
+async function addImagePage(pdfDoc, file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const image = file.type === 'image/png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+  const landscape = image.width > image.height;
+  const box = landscape ? { width: BLANK_PAGE_SIZE.height, height: BLANK_PAGE_SIZE.width } : BLANK_PAGE_SIZE;
+  const scale = Math.min(box.width / image.width, box.height / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+  pdfDoc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+}
+
+const fieldName = (field) => field.lookup(PDFName.of('T'))?.decodeText();
+
+// The widgets of copied pages only work as form fields once their field
+// trees are in the AcroForm of the document; a field whose name is taken
+// gets a suffix, the fonts its appearance strings use are copied along.
+function addCopiedFields(pdfDoc, source, pages) {
+  const sourceForm = source.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!sourceForm) return;
+  const { context } = pdfDoc;
+  const roots = new Map();
+  for (const page of pages) {
+    for (const ref of page.node.Annots()?.asArray() ?? []) {
+      let dict = ref instanceof PDFRef && context.lookup(ref);
+      if (!(dict instanceof PDFDict) || dict.get(PDFName.of('Subtype')) !== PDFName.of('Widget')) continue;
+      // the widgets point at their page in the source file
+      dict.set(PDFName.of('P'), page.ref);
+      let root = ref;
+      while (dict.get(PDFName.of('Parent')) instanceof PDFRef) {
+        root = dict.get(PDFName.of('Parent'));
+        dict = context.lookup(root, PDFDict);
+      }
+      if (dict.has(PDFName.of('FT')) || dict.has(PDFName.of('Kids'))) roots.set(root.tag, root);
+    }
+  }
+  if (!roots.size) return;
+
+  const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+  const names = new Set(acroForm.getFields().map(([, ref]) => fieldName(context.lookup(ref, PDFDict))));
+  for (const root of roots.values()) {
+    const field = context.lookup(root, PDFDict);
+    let name = fieldName(field);
+    if (name !== undefined && names.has(name)) {
+      let n = 2;
+      while (names.has(`${name}_${n}`)) n++;
+      name = `${name}_${n}`;
+      field.set(PDFName.of('T'), PDFHexString.fromText(name));
+    }
+    names.add(name);
+    acroForm.addField(root);
+  }
+
+  const sourceFonts = sourceForm.lookupMaybe(PDFName.of('DR'), PDFDict)?.lookupMaybe(PDFName.of('Font'), PDFDict);
+  if (!sourceFonts) return;
+  if (!acroForm.dict.has(PDFName.of('DA')) && sourceForm.has(PDFName.of('DA'))) {
+    acroForm.dict.set(PDFName.of('DA'), sourceForm.get(PDFName.of('DA')));
+  }
+  if (!acroForm.dict.lookupMaybe(PDFName.of('DR'), PDFDict)) acroForm.dict.set(PDFName.of('DR'), context.obj({}));
+  const resources = acroForm.dict.lookup(PDFName.of('DR'), PDFDict);
+  if (!resources.lookupMaybe(PDFName.of('Font'), PDFDict)) resources.set(PDFName.of('Font'), context.obj({}));
+  const fonts = resources.lookup(PDFName.of('Font'), PDFDict);
+  const copier = PDFObjectCopier.for(source.context, context);
+  for (const [key, font] of sourceFonts.entries()) {
+    if (!fonts.has(key)) fonts.set(key, copier.copy(font));
+  }
+}
+
+/**
+ * One PDF made of all the pages of `files` (PDF, JPG or PNG `File`s), named
+ * `name`. Resolves with `{ file, pageCount }`, throws if a file cannot be
+ * read (an encrypted PDF, a broken image...).
+ */
+export async function mergeFiles(files, name) {
+  const [first, ...rest] = files;
+  const isPdf = first.type === 'application/pdf';
+  const pdfDoc = isPdf ? await loadPdf(first) : await PDFDocument.create();
+
+  for (const file of isPdf ? rest : files) {
+    try {
+      if (file.type === 'application/pdf') {
+        const source = await loadPdf(file);
+        const pages = await pdfDoc.copyPages(source, source.getPageIndices());
+        pages.forEach((page) => pdfDoc.addPage(page));
+        addCopiedFields(pdfDoc, source, pages);
+      } else {
+        await addImagePage(pdfDoc, file);
+      }
+    } catch (err) {
+      throw new Error(`${file.name}: ${err.message}`);
+    }
+  }
+
+  const bytes = await pdfDoc.save();
+  return { file: new File([bytes], name, { type: 'application/pdf' }), pageCount: pdfDoc.getPageCount() };
+}
@@ -0,0 +1,104 @@
+import { degrees } from 'pdf-lib';
+
+const normalizeBox = ({ x, y, width, height }) => ({
+  left: Math.min(x, x + width),
+  bottom: Math.min(y, y + height),
+  right: Math.max(x, x + width),
+  top: Math.max(y, y + height),
+});
+
+// Same rule as pdf.js: the visible area is the CropBox clipped to the MediaBox.
+const visibleBox = (page) => {
+  const media = normalizeBox(page.getMediaBox());
+  const crop = normalizeBox(page.getCropBox());
+  const box = {
+    left: Math.max(media.left, crop.left),
+    bottom: Math.max(media.bottom, crop.bottom),
+    right: Math.min(media.right, crop.right),
+    top: Math.min(media.top, crop.top),
+  };
+  return box.right > box.left && box.top > box.bottom ? box : media;
+};
+
+/**
+ * Describes a page the way the viewer displays it: the visible box in PDF
+ * user space, its /Rotate and the size of the page once rotated.
+ */
+export function getPageFrame(page) {
+  const box = visibleBox(page);
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const boxWidth = box.right - box.left;
+  const boxHeight = box.top - box.bottom;
+  const sideways = rotation === 90 || rotation === 270;
+
+  return {
+    box,
+    rotation,
+    width: sideways ? boxHeight : boxWidth,
+    height: sideways ? boxWidth : boxHeight,
+  };
+}
+
+/**
+ * Maps a normalized viewer point (0..1, origin at the top-left of the page
+ * as displayed) to PDF user space.
+ */
+export function toPdfPoint(frame, u, v) {
+  const { box, rotation } = frame;
+  const w = box.right - box.left;
+  const h = box.top - box.bottom;
+
+  switch (rotation) {
+    case 90:
+      return { x: box.left + v * w, y: box.bottom + u * h };
+    case 180:
+      return { x: box.right - u * w, y: box.bottom + v * h };
+    case 270:
+      return { x: box.right - v * w, y: box.top - u * h };
+    default:
+      return { x: box.left + u * w, y: box.top - v * h };
+  }
+}
+
+/** Inverse of `toPdfPoint`: PDF user space to a normalized viewer point. */
+export function fromPdfPoint(frame, x, y) {
+  const { box, rotation } = frame;
+  const w = box.right - box.left;
+  const h = box.top - box.bottom;
+
+  switch (rotation) {
+    case 90:
+      return { u: (y - box.bottom) / h, v: (x - box.left) / w };
+    case 180:
+      return { u: (box.right - x) / w, v: (y - box.bottom) / h };
+    case 270:
+      return { u: (box.top - y) / h, v: (box.right - x) / w };
+    default:
+      return { u: (x - box.left) / w, v: (box.top - y) / h };
+  }
+}
+
+/**
+ * Maps a point given in an item's own box (pt, origin at the box's top-left
+ * corner, y down) to PDF user space. Both the item rotation and the page
+ * /Rotate are taken into account.
+ */
+export function itemPointToPdf(frame, item, px, py) {
+  const width = item.width * frame.width;
+  const height = item.height * frame.height;
+  const cx = (item.x + item.width / 2) * frame.width;
+  const cy = (item.y + item.height / 2) * frame.height;
+  const r = ((item.rotation || 0) * Math.PI) / 180;
+  const dx = px - width / 2;
+  const dy = py - height / 2;
+  const x = cx + dx * Math.cos(r) - dy * Math.sin(r);
+  const y = cy + dx * Math.sin(r) + dy * Math.cos(r);
+  return toPdfPoint(frame, x / frame.width, y / frame.height);
+}
+
+/**
+ * Rotation to pass to pdf-lib draw calls so an item shows up as in the
+ * viewer: pdf-lib turns counter-clockwise, the item rotation is clockwise on
+ * screen, and /Rotate turns the whole page clockwise.
+ */
+export const itemRotation = (frame, item) => degrees(frame.rotation - (item.rotation || 0));
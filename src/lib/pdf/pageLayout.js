@@ -0,0 +1,79 @@
+import { PDFName, PDFPage, degrees } from 'pdf-lib';
+
+// Applies the page organizer layout (see `pageOrganizer`) to a PDF, and
+// gives the page frames the reorganized document will have.
+
+const INHERITED = ['MediaBox', 'CropBox', 'Rotate', 'Resources'].map((key) => PDFName.of(key));
+
+// Copies inherited attributes onto the page, they would be lost once it
+// moves to another branch of the page tree.
+const pinAttributes = (page) => {
+  for (const key of INHERITED) {
+    const value = page.node.getInheritableAttribute(key);
+    if (value) page.node.set(key, value);
+  }
+};
+
+// A second page showing the same content. It gets its own content list and
+// resource dictionaries, as the export adds to both page by page.
+// Annotations belong to one page only, so the copy has none.
+const duplicate = (pdfDoc, page) => {
+  const { context } = pdfDoc;
+  page.node.normalize();
+  const node = page.node.clone();
+  node.delete(PDFName.of('Annots'));
+  node.delete(PDFName.of('StructParents'));
+  node.set(PDFName.of('Contents'), page.node.Contents().clone(context));
+  const resources = page.node.Resources().clone(context);
+  for (const key of ['Font', 'XObject', 'ExtGState'].map((name) => PDFName.of(name))) {
+    const dict = resources.lookup(key);
+    if (dict) resources.set(key, dict.clone(context));
+  }
+  node.set(PDFName.of('Resources'), resources);
+  return PDFPage.of(node, context.register(node), pdfDoc);
+};
+
+/**
+ * Rebuilds the page tree of `pdfDoc` in the order of `layout`: pages left
+ * out are removed, repeated ones duplicated, blank ones created and the
+ * extra rotation added to /Rotate.
+ */
+export function applyPageLayout(pdfDoc, layout) {
+  const originals = pdfDoc.getPages();
+  originals.forEach(pinAttributes);
+  const rotations = originals.map((page) => page.getRotation().angle);
+  const used = new Set();
+
+  const pages = layout.map((entry) => {
+    if (!entry.source) {
+      const blank = PDFPage.create(pdfDoc);
+      blank.setSize(entry.width, entry.height);
+      blank.setRotation(degrees(entry.rotation));
+      return blank;
+    }
+    const original = originals[entry.source - 1];
+    const page = used.has(entry.source) ? duplicate(pdfDoc, original) : original;
+    used.add(entry.source);
+    page.setRotation(degrees((rotations[entry.source - 1] + entry.rotation) % 360));
+    return page;
+  });
+
+  for (let i = originals.length - 1; i >= 0; i--) pdfDoc.removePage(i);
+  pages.forEach((page) => pdfDoc.addPage(page));
+}
+
+/** Frames (see `getPageFrame`) of the original pages once `layout` is applied. */
+export const layoutFrames = (frames, layout) =>
+  layout.map((entry) => {
+    const frame = entry.source
+      ? frames[entry.source - 1]
+      : { box: { left: 0, bottom: 0, right: entry.width, top: entry.height }, rotation: 0, width: entry.width, height: entry.height };
+    if (!frame) return null;
+    const sideways = entry.rotation % 180 !== 0;
+    return {
+      ...frame,
+      rotation: (frame.rotation + entry.rotation) % 360,
+      width: sideways ? frame.height : frame.width,
+      height: sideways ? frame.width : frame.height,
+    };
+  });
@@ -0,0 +1,325 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  degrees,
+  endText,
+  setCharacterSqueeze,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+} from 'pdf-lib';
+import { applyPageLayout } from './pageLayout';
+import { getPageFrame } from './pageGeometry';
+import { drawRedaction, pageTarget } from './drawItems';
+import { searchPattern, textItemRect } from '../textSearch';
+
+// True redaction. A page with redaction marks is rendered to an image with
+// the marked areas painted black, so no text, image or vector content under
+// a mark survives, and the page content is replaced by that image. The text
+// outside the marks is put back as invisible text so the page can still be
+// searched and selected. The document is then written anew, without the
+// objects the old page content used, and the removed text is taken out of
+// the document metadata and the bookmark titles. Links and annotations of
+// the page do not survive, `countLostAnnotations` tells what goes.
+
+const RENDER_SCALE = 2; // ~144 dpi
+const JPEG_QUALITY = 0.92;
+const ENABLE_STORAGE = 3; // pdf.js AnnotationMode: annotations and form fields as filled in the viewer
+
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu; // "Smith," is searched for as "Smith"
+
+// Page attributes that belong to the old content or could carry its text.
+const STALE_PAGE_KEYS = ['Annots', 'Group', 'Thumb', 'PieceInfo', 'StructParents', 'Metadata', 'AA', 'B', 'SeparationInfo', 'VP'];
+
+// `[a, b, c, d, e, f]` matrices: `m` applied after `n`.
+const multiply = ([a, b, c, d, e, f], [g, h, i, j, k, l]) => [
+  a * g + c * h,
+  b * g + d * h,
+  a * i + c * j,
+  b * i + d * j,
+  a * k + c * l + e,
+  b * k + d * l + f,
+];
+
+// Corners of a mark on a page of `width` x `height` pt, y down.
+const markCorners = (mark, width, height) => {
+  const cx = (mark.x + mark.width / 2) * width;
+  const cy = (mark.y + mark.height / 2) * height;
+  const r = ((mark.rotation || 0) * Math.PI) / 180;
+  return [
+    [-1, -1],
+    [1, -1],
+    [1, 1],
+    [-1, 1],
+  ].map(([sx, sy]) => {
+    const dx = (sx * mark.width * width) / 2;
+    const dy = (sy * mark.height * height) / 2;
+    return { x: cx + dx * Math.cos(r) - dy * Math.sin(r), y: cy + dx * Math.sin(r) + dy * Math.cos(r) };
+  });
+};
+
+const boundsOf = (points) => ({
+  left: Math.min(...points.map((p) => p.x)),
+  top: Math.min(...points.map((p) => p.y)),
+  right: Math.max(...points.map((p) => p.x)),
+  bottom: Math.max(...points.map((p) => p.y)),
+});
+
+const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+const canvasJpeg = (canvas) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject) : reject(new Error('Could not render the page'))),
+      'image/jpeg',
+      JPEG_QUALITY
+    )
+  );
+
+/**
+ * Renders a pdf.js page, turned by `rotation` degrees in all, with the
+ * `marks` (normalized boxes on the page as displayed) painted over, and
+ * sorts its text into what stays and what is removed. Resolves with
+ * `{ image, width, height, text, removed }`: a JPEG of the page, its size in
+ * pt, the text runs left to put back (see `applyRedactions`) and the removed
+ * strings.
+ */
+export async function redactPage(pdfPage, rotation, marks) {
+  const viewport = pdfPage.getViewport({ scale: 1, rotation });
+  const { width, height } = viewport;
+  const areas = marks.map((mark) => markCorners(mark, width, height));
+  const bounds = areas.map(boundsOf);
+
+  const view = pdfPage.getViewport({ scale: RENDER_SCALE, rotation });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(view.width);
+  canvas.height = Math.ceil(view.height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await pdfPage.render({ canvas, viewport: view, annotationMode: ENABLE_STORAGE }).promise;
+  context.fillStyle = '#000000';
+  for (const corners of areas) {
+    context.beginPath();
+    corners.forEach((p, i) => context[i ? 'lineTo' : 'moveTo'](p.x * RENDER_SCALE, p.y * RENDER_SCALE));
+    context.closePath();
+    context.fill();
+  }
+  const image = await canvasJpeg(canvas);
+  canvas.width = canvas.height = 0; // frees the bitmap right away
+
+  // text space of the items to the new page: pdf.js viewport (y down), then y up
+  const toPage = multiply([1, 0, 0, -1, 0, height], viewport.transform);
+  const text = [];
+  const removed = [];
+  const { items } = await pdfPage.getTextContent();
+  for (const item of items) {
+    if (!item.str) continue;
+    const along = Math.hypot(item.transform[0], item.transform[1]) || 1;
+    const advance = item.width / item.str.length / along; // per character, in text space
+    const matrix = multiply(toPage, item.transform);
+    let run = null;
+    let cut = '';
+    for (let i = 0; i < item.str.length; i++) {
+      const rect = textItemRect(item, i, i + 1, viewport);
+      const box = { left: rect.x * width, top: rect.y * height, right: (rect.x + rect.width) * width, bottom: (rect.y + rect.height) * height };
+      if (bounds.some((mark) => overlaps(box, mark))) {
+        cut += item.str[i];
+        run = null;
+        continue;
+      }
+      if (cut) removed.push(cut);
+      cut = '';
+      if (!run) {
+        run = { text: '', matrix: multiply(matrix, [1, 0, 0, 1, i * advance, 0]), width: 0 };
+        text.push(run);
+      }
+      run.text += item.str[i];
+      run.width += advance;
+    }
+    if (cut) removed.push(cut);
+  }
+  return { image, width, height, text, removed };
+}
+
+/**
+ * What of a pdf.js page is lost when it is redacted, as `{ links,
+ * annotations, fields }` counts: links stop working, comments and other
+ * annotations and form fields are only kept as part of the page image.
+ */
+export async function countLostAnnotations(pdfPage) {
+  const counts = { links: 0, annotations: 0, fields: 0 };
+  for (const annotation of await pdfPage.getAnnotations()) {
+    if (annotation.subtype === 'Link') counts.links++;
+    else if (annotation.subtype === 'Widget') counts.fields++;
+    else if (annotation.subtype !== 'Popup') counts.annotations++;
+  }
+  return counts;
+}
+
+// Widgets of the page leave the form, their values are part of the image.
+const removeWidgets = (pdfDoc, page) => {
+  const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+  const form = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fields = form?.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!annots || !fields) return;
+  const widgets = new Set(annots.asArray().filter((annot) => annot instanceof PDFRef));
+  const prune = (list) => {
+    for (let i = list.size() - 1; i >= 0; i--) {
+      if (widgets.has(list.get(i))) {
+        list.remove(i);
+        continue;
+      }
+      const kids = list.lookup(i) instanceof PDFDict ? list.lookup(i).lookupMaybe(PDFName.of('Kids'), PDFArray) : null;
+      if (!kids) continue;
+      prune(kids);
+      if (!kids.size()) list.remove(i);
+    }
+  };
+  prune(fields);
+};
+
+// The page keeps its dictionary (bookmarks and links point at it), all the
+// rest is replaced by the image and the invisible text.
+const rebuildPage = async (pdfDoc, page, redacted, font) => {
+  const { context } = pdfDoc;
+  const { node } = page;
+  removeWidgets(pdfDoc, page);
+  for (const key of STALE_PAGE_KEYS) node.delete(PDFName.of(key));
+  const box = context.obj([0, 0, redacted.width, redacted.height]);
+  for (const key of ['BleedBox', 'TrimBox', 'ArtBox']) node.delete(PDFName.of(key));
+  // set, not deleted: the page tree could hand down old boxes
+  node.set(PDFName.of('MediaBox'), box);
+  node.set(PDFName.of('CropBox'), box);
+  node.set(PDFName.of('Resources'), context.obj({}));
+  node.set(PDFName.of('Contents'), context.obj([]));
+  page.setRotation(degrees(0));
+
+  const image = await pdfDoc.embedJpg(redacted.image);
+  page.drawImage(image, { x: 0, y: 0, width: redacted.width, height: redacted.height });
+
+  const charset = new Set(font.getCharacterSet());
+  const target = pageTarget(page);
+  const operators = [];
+  for (const run of redacted.text) {
+    // invisible, so characters Helvetica lacks only need to keep their place
+    const text = Array.from(run.text, (ch) => (charset.has(ch.codePointAt(0)) ? ch : ' ')).join('');
+    const natural = font.widthOfTextAtSize(text, 1);
+    if (!text.trim() || !natural) continue;
+    operators.push(setTextMatrix(...run.matrix), setCharacterSqueeze((100 * run.width) / natural), showText(font.encodeText(text)));
+  }
+  if (operators.length) {
+    target.push(
+      beginText(),
+      setFontAndSize(target.fontName(font), 1),
+      setTextRenderingMode(TextRenderingMode.Invisible),
+      ...operators,
+      endText()
+    );
+  }
+};
+
+// Removed text out of the document info and the bookmark titles; XMP
+// metadata repeats it and goes.
+const scrubMetadata = (pdfDoc, removed) => {
+  pdfDoc.catalog.delete(PDFName.of('Metadata'));
+  const terms = [...new Set(removed.map((term) => term.replace(EDGE_PUNCTUATION, '')).filter((term) => term.length > 1))];
+  const patterns = terms.map(searchPattern).filter(Boolean);
+  const scrub = (dict, key) => {
+    const value = dict.lookup(key);
+    if (!(value instanceof PDFString || value instanceof PDFHexString)) return;
+    const text = value.decodeText();
+    const cleaned = patterns.reduce((rest, pattern) => rest.replace(pattern, ''), text).replace(/\s+/g, ' ').trim();
+    if (cleaned !== text) dict.set(key, PDFHexString.fromText(cleaned));
+  };
+
+  const info = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+  if (info instanceof PDFDict) for (const key of info.keys()) scrub(info, key);
+
+  // outline items are chained by First and Next, a broken file could loop
+  const seen = new Set();
+  const pending = [pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict)?.lookupMaybe(PDFName.of('First'), PDFDict)];
+  while (pending.length) {
+    const item = pending.pop();
+    if (!item || seen.has(item)) continue;
+    seen.add(item);
+    scrub(item, PDFName.of('Title'));
+    pending.push(item.lookupMaybe(PDFName.of('First'), PDFDict), item.lookupMaybe(PDFName.of('Next'), PDFDict));
+  }
+};
+
+// pdf-lib writes every object it has loaded; the ones nothing points at any
+// more (the old page content among them) are dropped first.
+const dropUnreachable = (pdfDoc) => {
+  const { context } = pdfDoc;
+  const reached = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info];
+  while (pending.length) {
+    const object = pending.pop();
+    if (object instanceof PDFRef) {
+      if (reached.has(object)) continue;
+      reached.add(object);
+      pending.push(context.lookup(object));
+    } else if (object instanceof PDFDict) {
+      pending.push(...object.values());
+    } else if (object instanceof PDFArray) {
+      pending.push(...object.asArray());
+    } else if (object instanceof PDFStream) {
+      pending.push(object.dict);
+    }
+  }
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reached.has(ref)) context.delete(ref);
+  }
+};
+
+/**
+ * Applies redaction `marks` (overlay items of type 'redaction', placed by
+ * their position in `layout`) to `file` and returns the bytes of the new,
+ * fully rewritten PDF, its pages in the order of `layout`. `redacted` maps
+ * page indices to what `redactPage` gave for them; marked pages without an
+ * entry (blank pages) only get the boxes.
+ */
+export async function applyRedactions(file, marks, redacted, layout = null) {
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  if (layout) applyPageLayout(pdfDoc, layout);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const charset = new Set(font.getCharacterSet());
+  const removed = [];
+
+  const pages = pdfDoc.getPages();
+  for (let index = 0; index < pages.length; index++) {
+    const onPage = marks.filter((mark) => mark.page === index + 1);
+    if (!onPage.length) continue;
+    const page = pages[index];
+    if (redacted.has(index)) {
+      await rebuildPage(pdfDoc, page, redacted.get(index), font);
+      removed.push(...redacted.get(index).removed);
+    }
+    const frame = getPageFrame(page);
+    const target = pageTarget(page);
+    for (const mark of onPage) {
+      const label = Array.from(mark.content || '').filter((ch) => charset.has(ch.codePointAt(0))).join('');
+      drawRedaction(target, frame, { ...mark, content: label }, font);
+    }
+  }
+
+  if (redacted.size) {
+    // the structure tree describes the old content, alternate texts included
+    pdfDoc.catalog.delete(PDFName.of('StructTreeRoot'));
+    pdfDoc.catalog.delete(PDFName.of('MarkInfo'));
+  }
+  scrubMetadata(pdfDoc, removed);
+  dropUnreachable(pdfDoc);
+  return pdfDoc.save();
+}
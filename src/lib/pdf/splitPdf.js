@@ -0,0 +1,56 @@
+import { PDFDocument } from 'pdf-lib';
+import { zipSync } from 'fflate';
+
+// Split export: the finished PDF cut into several files by page ranges, all
+// bundled into one ZIP. Ranges are 1-based and inclusive, `{ start, end }`.
+
+/**
+ * Parses a list of ranges such as "1-3, 4, 5-8" (an open end runs to the
+ * last page: "9-"). Throws with a message for the user on bad input.
+ */
+export function parsePageRanges(text, pageCount) {
+  const parts = text.split(/[,;]/).map((part) => part.trim()).filter(Boolean);
+  if (!parts.length) throw new Error('Enter at least one page range, e.g. 1-3, 4');
+  return parts.map((part) => {
+    const match = part.match(/^(\d+)\s*(?:-\s*(\d*))?$/);
+    if (!match) throw new Error(`"${part}" is not a page range`);
+    const start = Number(match[1]);
+    const end = match[2] === undefined ? start : match[2] === '' ? pageCount : Number(match[2]);
+    if (start < 1 || end > pageCount || start > end) {
+      throw new Error(`"${part}" is outside pages 1-${pageCount}`);
+    }
+    return { start, end };
+  });
+}
+
+/** Ranges of `size` pages each, the last one may be shorter. */
+export function everyNPages(size, pageCount) {
+  if (!Number.isInteger(size) || size < 1) throw new Error('Enter a number of pages per file');
+  return Array.from({ length: Math.ceil(pageCount / size) }, (_, i) => ({
+    start: i * size + 1,
+    end: Math.min(pageCount, (i + 1) * size),
+  }));
+}
+
+const rangeLabel = ({ start, end }) => (start === end ? `p${start}` : `p${start}-${end}`);
+
+/**
+ * Cuts the PDF `bytes` into one file per range and returns the ZIP bytes.
+ * Files are named `<baseName>_<n>_p<start>-<end>.pdf`; `finishPart` may
+ * change the bytes of each (encryption).
+ */
+export async function splitToZip(bytes, ranges, baseName, finishPart = (part) => part) {
+  const source = await PDFDocument.load(bytes, { updateMetadata: false });
+  const files = {};
+
+  for (const [i, range] of ranges.entries()) {
+    const part = await PDFDocument.create();
+    const indices = Array.from({ length: range.end - range.start + 1 }, (_, j) => range.start - 1 + j);
+    const pages = await part.copyPages(source, indices);
+    pages.forEach((page) => part.addPage(page));
+    files[`${baseName}_${i + 1}_${rangeLabel(range)}.pdf`] = await finishPart(await part.save());
+  }
+
+  // PDF streams are compressed already
+  return zipSync(files, { level: 0 });
+}
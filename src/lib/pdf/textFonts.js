@@ -0,0 +1,124 @@
+// fontkit's Indic shaper (Devanagari...) expects a global regenerator runtime
+import 'regenerator-runtime/runtime';
+import fontkit from '@pdf-lib/fontkit';
+import { StandardFonts } from 'pdf-lib';
+import { fontFamilyChain, getTextStyle } from '../textStyle';
+
+// Fonts of exported text items. The viewer shows text with the @font-face
+// rules of TEXT_FONTS; on export the same font files are fetched, picked per
+// character by family, weight, style and unicode-range like the browser does,
+// and embedded as subsets so any script the fonts cover ends up in the PDF.
+
+const parseUnicodeRange = (value) =>
+  (value || 'U+0-10FFFF').split(',').map((part) => {
+    const [start, end = start] = part.trim().replace(/^u\+/i, '').split('-');
+    if (start.includes('?')) {
+      return [parseInt(start.replace(/\?/g, '0'), 16), parseInt(start.replace(/\?/g, 'f'), 16)];
+    }
+    return [parseInt(start, 16), parseInt(end, 16)];
+  });
+
+const parseWeight = (value) => ({ normal: 400, bold: 700 })[value] || parseInt(value, 10) || 400;
+
+/**
+ * The @font-face rules of the page stylesheets, as
+ * `{ family, weight, italic, ranges, url }`. fontkit cannot read WOFF2, so
+ * only rules that also list a WOFF (or TTF/OTF) source are kept.
+ */
+export function readFontFaces() {
+  const faces = [];
+  for (const sheet of Array.from(document.styleSheets)) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      continue; // cross-origin stylesheet
+    }
+    for (const rule of Array.from(rules)) {
+      if (!(rule instanceof CSSFontFaceRule)) continue;
+      const { style } = rule;
+      const src = style.getPropertyValue('src').match(/url\((["']?)([^"')]+\.(?:woff|ttf|otf))\1\)/);
+      if (!src) continue;
+      faces.push({
+        family: style.getPropertyValue('font-family').replace(/["']/g, '').trim(),
+        weight: parseWeight(style.getPropertyValue('font-weight')),
+        italic: /italic|oblique/.test(style.getPropertyValue('font-style')),
+        ranges: parseUnicodeRange(style.getPropertyValue('unicode-range')),
+        url: new URL(src[2], sheet.href || document.baseURI).href,
+      });
+    }
+  }
+  return faces;
+}
+
+/**
+ * Font lookup for one export. `layoutText(item)` resolves with the text of a
+ * text item as `{ ch, font, italic }` entries, `italic` meaning the font has
+ * no italic face and the glyphs have to be slanted. Line breaks come through
+ * with a null font; characters no font covers are left out.
+ */
+export function createTextFonts(pdfDoc, faces = readFontFaces()) {
+  pdfDoc.registerFontkit(fontkit);
+  const fonts = new Map(); // url or standard font name -> Promise<{ font, charset } | null>
+  const resolved = new Map();
+
+  const load = (key, embed) => {
+    if (!fonts.has(key)) {
+      fonts.set(
+        key,
+        embed().then(
+          (font) => ({ font, charset: new Set(font.getCharacterSet()) }),
+          () => null
+        )
+      );
+    }
+    return fonts.get(key);
+  };
+
+  const loadFace = (face) =>
+    load(face.url, async () => {
+      const response = await fetch(face.url);
+      if (!response.ok) throw new Error(`Could not load the font ${face.url}`);
+      return pdfDoc.embedFont(await response.arrayBuffer(), { subset: true });
+    });
+
+  // Like CSS font matching: the style first, then the closest weight.
+  const bestFace = (family, codePoint, style) => {
+    const weight = style.bold ? 700 : 400;
+    const score = (face) => (face.italic === style.italic ? 0 : 1000) + Math.abs(face.weight - weight);
+    return faces
+      .filter((face) => face.family === family && face.ranges.some(([start, end]) => codePoint >= start && codePoint <= end))
+      .reduce((best, face) => (!best || score(face) < score(best) ? face : best), null);
+  };
+
+  const resolveChar = async (codePoint, style) => {
+    for (const family of fontFamilyChain(style.fontFamily)) {
+      const face = bestFace(family, codePoint, style);
+      const loaded = face && (await loadFace(face));
+      if (loaded?.charset.has(codePoint)) return { font: loaded.font, italic: style.italic && !face.italic };
+    }
+    // without the web fonts (stylesheets not loaded, offline...) Latin text still comes out
+    const standard = style.bold ? StandardFonts.HelveticaBold : StandardFonts.Helvetica;
+    const loaded = await load(standard, () => pdfDoc.embedFont(standard));
+    return loaded?.charset.has(codePoint) ? { font: loaded.font, italic: style.italic } : null;
+  };
+
+  const layoutText = async (item) => {
+    const style = getTextStyle(item);
+    const chars = [];
+    for (const ch of Array.from(item.content.replace(/\r\n?/g, '\n'))) {
+      if (ch === '\n') {
+        chars.push({ ch, font: null, italic: false });
+        continue;
+      }
+      const codePoint = ch.codePointAt(0);
+      const key = `${style.fontFamily}/${style.bold}/${style.italic}/${codePoint}`;
+      if (!resolved.has(key)) resolved.set(key, await resolveChar(codePoint, style));
+      const found = resolved.get(key);
+      if (found) chars.push({ ch, ...found });
+    }
+    return chars;
+  };
+
+  return { layoutText };
+}
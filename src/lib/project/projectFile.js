@@ -0,0 +1,88 @@
+import { blobToDataUrl, dataUrlToBlob } from '../dataUrl';
+import { LINE_SHAPES, SHAPES } from '../shapeStyle';
+import { MARKUP_TYPES } from '../textMarkup';
+
+// Versioned JSON sidecar holding the overlay items of a document, so they can
+// be re-applied later without flattening anything into the PDF.
+
+const PROJECT_FORMAT = 'pdfediter-project';
+const PROJECT_VERSION = 1;
+
+const ITEM_TYPES = ['signature', 'text', 'drawing', 'shape', 'markup', 'redaction'];
+
+const isPoint = (p) => Number.isFinite(p?.x) && Number.isFinite(p?.y);
+const isBox = (box) => ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(box?.[key]));
+
+const isValidItem = (item) => {
+  if (!ITEM_TYPES.includes(item?.type) || !Number.isInteger(item.page) || item.page < 1) return false;
+  if (item.type === 'drawing') return Array.isArray(item.content) && item.content.length > 1 && item.content.every(isPoint);
+  if (item.type === 'shape' && !SHAPES[item.shape]) return false;
+  if (LINE_SHAPES.includes(item.shape)) return Array.isArray(item.content) && item.content.length === 2 && item.content.every(isPoint);
+  if (!isBox(item)) return false;
+  if (item.type === 'markup') {
+    if (!MARKUP_TYPES[item.markup] || !Array.isArray(item.quads) || !item.quads.length || !item.quads.every(isBox)) return false;
+  }
+  if (item.type === 'shape' && item.shape !== 'callout') return true;
+  if (item.shape === 'callout' && !isPoint(item.anchor)) return false;
+  if (item.type === 'signature') return typeof item.content === 'string' && item.content.startsWith('data:image/');
+  return typeof item.content === 'string';
+};
+
+const isValidPage = (entry) =>
+  entry?.id !== undefined &&
+  [0, 90, 180, 270].includes(entry.rotation) &&
+  (entry.source === null
+    ? entry.width > 0 && entry.height > 0
+    : Number.isInteger(entry.source) && entry.source >= 1);
+
+/**
+ * Builds the project file. `items` are in their stored form (see
+ * `toStoredItems`): signature images are Blobs and end up as data URIs.
+ * `pages` is the page organizer layout, null while the pages are untouched.
+ */
+export async function exportProject({ documentName, pageCount, items, pages = null }) {
+  const payload = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    documentName,
+    pageCount,
+    pages,
+    exportedAt: new Date().toISOString(),
+    items: await Promise.all(
+      items.map(async (item) =>
+        item.type === 'signature' ? { ...item, content: await blobToDataUrl(item.content) } : item
+      )
+    ),
+  };
+  return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Reads a project file back. Resolves with `{ documentName, pageCount, items,
+ * pages }`, items in their stored form again. Invalid items are skipped, an
+ * invalid page layout is dropped (null).
+ */
+export async function importProject(file) {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch {
+    throw new Error('The file is not a valid project file');
+  }
+  if (payload?.format !== PROJECT_FORMAT || !Array.isArray(payload.items)) {
+    throw new Error('The file is not a valid project file');
+  }
+  if (payload.version > PROJECT_VERSION) {
+    throw new Error('The project was saved by a newer version of the app');
+  }
+
+  const items = await Promise.all(
+    payload.items
+      .filter(isValidItem)
+      .map(async (item) =>
+        item.type === 'signature' ? { ...item, content: await dataUrlToBlob(item.content) } : item
+      )
+  );
+  const pages = Array.isArray(payload.pages) && payload.pages.length && payload.pages.every(isValidPage) ? payload.pages : null;
+  return { documentName: payload.documentName, pageCount: payload.pageCount, items, pages };
+}
@@ -0,0 +1,361 @@
+import { PDFDocument } from 'pdf-lib';
+import { blobToDataUrl, dataUrlToBlob } from '../dataUrl';
+import { fromPdfPoint, getPageFrame } from '../pdf/pageGeometry';
+import { layoutFrames } from '../pdf/pageLayout';
+import { itemCorners, markupQuads, strokePoints } from '../pdf/drawItems';
+import { TEXT_ALIGNS, fromDefaultStyle, getTextStyle, toDefaultStyle } from '../textStyle';
+import { getStrokeStyle } from '../strokeStyle';
+import { hexToRgb, rgbToHex } from '../color';
+import { calloutLeader } from '../itemGeometry';
+import { itemPointToPdf } from '../pdf/pageGeometry';
+import { DEFAULT_SHAPE_STYLE, getShapeStyle } from '../shapeStyle';
+import { MARKUP_TYPES, getMarkupStyle, quadsBox } from '../textMarkup';
+
+// XFDF (ISO 19444-1) import/export so the overlay can move to and from other
+// PDF software. Text boxes become FreeText, drawings Ink, shapes Square,
+// Circle, Line or FreeText callouts, text markup Highlight, Underline,
+// StrikeOut or Squiggly, redaction marks Redact, signatures and image stamps Stamps
+// carrying their image as a data URI in <imagedata>. XFDF rects are axis aligned, so items rotated
+// freely are written with their bounding box.
+
+const XFDF_NS = 'http://ns.adobe.com/xfdf/';
+
+const escapeXml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+
+const num = (value) => Number(value.toFixed(3));
+
+/**
+ * Frames of every page of `file`, as used to map items to PDF user space,
+ * in the order of the page organizer `layout` when there is one.
+ */
+export async function readPageFrames(file, layout = null) {
+  const pdfDoc = await PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  const frames = pdfDoc.getPages().map(getPageFrame);
+  return layout ? layoutFrames(frames, layout) : frames;
+}
+
+const boundsOf = (points) => ({
+  left: Math.min(...points.map((p) => p.x)),
+  bottom: Math.min(...points.map((p) => p.y)),
+  right: Math.max(...points.map((p) => p.x)),
+  top: Math.max(...points.map((p) => p.y)),
+});
+
+const rectAttr = ({ left, bottom, right, top }, pad = 0) =>
+  [left - pad, bottom - pad, right + pad, top + pad].map(num).join(',');
+
+const pointAttr = (p) => `${num(p.x)},${num(p.y)}`;
+
+const shapeAttrs = (style) =>
+  `color="${style.stroke}" width="${style.strokeWidth}" opacity="${style.opacity}"` +
+  (style.fill ? ` interior-color="${style.fill}"` : '');
+
+const textAppearance = (style) => `/Helv ${style.fontSize} Tf ${hexToRgb(style.color).map(num).join(' ')} rg`;
+
+const commonAttrs = (item, frame) =>
+  `page="${item.page - 1}" name="${escapeXml(item.id)}"` + (frame.rotation ? ` rotation="${frame.rotation}"` : '');
+
+const annotToXfdf = async (item, frame) => {
+  if (item.type === 'drawing') {
+    const points = strokePoints(frame, item);
+    const gesture = points.map((p) => `${num(p.x)},${num(p.y)}`).join(';');
+    const style = getStrokeStyle(item);
+    const rect = rectAttr(boundsOf(points), style.width);
+    return (
+      `<ink ${commonAttrs(item, frame)} rect="${rect}" color="${style.color}" width="${style.width}" opacity="${style.opacity}">` +
+      `<inklist><gesture>${gesture}</gesture></inklist></ink>`
+    );
+  }
+
+  if (item.type === 'markup') {
+    const quads = markupQuads(frame, item);
+    const style = getMarkupStyle(item);
+    const coords = quads.flat().map(pointAttr).join(',');
+    return (
+      `<${item.markup} ${commonAttrs(item, frame)} rect="${rectAttr(boundsOf(quads.flat()))}" coords="${coords}" ` +
+      `color="${style.color}" opacity="${style.opacity}"><contents>${escapeXml(item.content || '')}</contents></${item.markup}>`
+    );
+  }
+
+  if (item.type === 'shape' && Array.isArray(item.content)) {
+    const [start, end] = strokePoints(frame, item);
+    const style = getShapeStyle(item);
+    const tail = item.shape === 'arrow' ? 'ClosedArrow' : 'None';
+    return (
+      `<line ${commonAttrs(item, frame)} rect="${rectAttr(boundsOf([start, end]), style.strokeWidth)}" ` +
+      `start="${pointAttr(start)}" end="${pointAttr(end)}" head="None" tail="${tail}" ${shapeAttrs(style)}/>`
+    );
+  }
+
+  const box = boundsOf(itemCorners(frame, item));
+  const rect = rectAttr(box);
+  if (item.type === 'redaction') {
+    return `<redact ${commonAttrs(item, frame)} rect="${rect}" interior-color="#000000" overlay-text="${escapeXml(item.content)}"/>`;
+  }
+  if (item.shape === 'rect' || item.shape === 'ellipse') {
+    const tag = item.shape === 'rect' ? 'square' : 'circle';
+    return `<${tag} ${commonAttrs(item, frame)} rect="${rect}" ${shapeAttrs(getShapeStyle(item))}/>`;
+  }
+  if (item.type === 'text' || item.shape === 'callout') {
+    const style = getTextStyle(item);
+    let attrs = `rect="${rect}" justification="${TEXT_ALIGNS.indexOf(style.align)}"`;
+    let appearance = textAppearance(style);
+    if (item.shape === 'callout') {
+      // the rect covers the leader line too, the fringe gives the box back
+      const shape = getShapeStyle(item);
+      const leader = calloutLeader(item, frame);
+      const line = leader ? [leader.anchor, leader.end].map((p) => itemPointToPdf(frame, item, p.x, p.y)) : [];
+      const outer = boundsOf([...itemCorners(frame, item), ...line]);
+      const fringe = [box.left - outer.left, box.bottom - outer.bottom, outer.right - box.right, outer.top - box.top];
+      attrs =
+        `rect="${rectAttr(outer)}" fringe="${fringe.map(num).join(',')}" justification="${TEXT_ALIGNS.indexOf(style.align)}" ` +
+        `intent="FreeTextCallout" width="${shape.strokeWidth}" opacity="${shape.opacity}"` +
+        (shape.fill ? ` color="${shape.fill}"` : '') +
+        (leader ? ` callout="${line.map(pointAttr).join(',')}" head="ClosedArrow"` : '');
+      appearance = `${hexToRgb(shape.stroke).map(num).join(' ')} RG ${appearance}`;
+    }
+    return (
+      `<freetext ${commonAttrs(item, frame)} ${attrs}>` +
+      `<contents>${escapeXml(item.content)}</contents>` +
+      `<defaultappearance>${appearance}</defaultappearance>` +
+      `<defaultstyle>${escapeXml(toDefaultStyle(style))}</defaultstyle></freetext>`
+    );
+  }
+  const image = await blobToDataUrl(item.content);
+  const contents = `<contents>${escapeXml(item.stamp || 'Signature')}</contents>`;
+  return `<stamp ${commonAttrs(item, frame)} rect="${rect}" icon="Draft">${contents}<imagedata>${image}</imagedata></stamp>`;
+};
+
+/**
+ * Serializes stored-form items (see `toStoredItems`) to an XFDF string.
+ * `frames` come from `readPageFrames` for the same document.
+ */
+export async function exportXfdf({ documentName, frames, items }) {
+  const annots = [];
+  for (const item of items) {
+    const frame = frames[item.page - 1];
+    if (frame) annots.push(`    ${await annotToXfdf(item, frame)}`);
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xfdf xmlns="${XFDF_NS}" xml:space="preserve">`,
+    `  <f href="${escapeXml(documentName)}"/>`,
+    '  <annots>',
+    ...annots,
+    '  </annots>',
+    '</xfdf>',
+    '',
+  ].join('\n');
+}
+
+const parseRect = (value) => {
+  const [x1, y1, x2, y2] = (value || '').split(',').map(Number);
+  if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+  return [
+    { x: x1, y: y1 },
+    { x: x2, y: y2 },
+  ];
+};
+
+// Normalized, unrotated box covering a PDF rect on the displayed page.
+const boxFromRect = (frame, corners) => {
+  const [a, b] = corners.map((p) => fromPdfPoint(frame, p.x, p.y));
+  return {
+    x: Math.min(a.u, b.u),
+    y: Math.min(a.v, b.v),
+    width: Math.abs(a.u - b.u),
+    height: Math.abs(a.v - b.v),
+    rotation: 0,
+  };
+};
+
+const childText = (el, name) => {
+  const child = Array.from(el.children).find((c) => c.localName === name);
+  return child ? child.textContent : null;
+};
+
+// Formatting from <defaultstyle>, falling back to the size and color of
+// <defaultappearance> and the justification attribute.
+const textStyleOf = (el) => {
+  const style = fromDefaultStyle(childText(el, 'defaultstyle'));
+  const appearance = childText(el, 'defaultappearance') || '';
+  const size = Number(appearance.match(/([\d.]+)\s+Tf/)?.[1]);
+  if (!style.fontSize && size > 0) style.fontSize = size;
+  const rgb = appearance.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+  if (!style.color && rgb) {
+    style.color = rgbToHex(rgb.slice(1).map(Number));
+  }
+  const align = TEXT_ALIGNS[Number(el.getAttribute('justification'))];
+  if (!style.align && align) style.align = align;
+  return getTextStyle(style);
+};
+
+// XFDF knows no highlighter, translucent ink is taken for one.
+const strokeStyleOf = (el) => {
+  const opacity = Number(el.getAttribute('opacity') ?? 1);
+  const style = getStrokeStyle({ tool: opacity < 1 ? 'highlighter' : 'pen' });
+  const color = el.getAttribute('color');
+  if (/^#[\da-f]{6}$/i.test(color || '')) style.color = color.toLowerCase();
+  const width = Number(el.getAttribute('width'));
+  if (width > 0) style.width = width;
+  if (opacity > 0 && opacity <= 1) style.opacity = opacity;
+  return style;
+};
+
+const colorAttr = (el, name) => {
+  const value = el.getAttribute(name);
+  return /^#[\da-f]{6}$/i.test(value || '') ? value.toLowerCase() : null;
+};
+
+const shapeStyleOf = (el) => {
+  const style = { stroke: colorAttr(el, 'color') || DEFAULT_SHAPE_STYLE.stroke, fill: colorAttr(el, 'interior-color') };
+  const width = Number(el.getAttribute('width'));
+  if (width > 0) style.strokeWidth = width;
+  const opacity = Number(el.getAttribute('opacity'));
+  if (opacity > 0 && opacity <= 1) style.opacity = opacity;
+  return style;
+};
+
+const parsePoints = (value) => {
+  const numbers = (value || '').split(/[,;\s]+/).filter(Boolean).map(Number);
+  if (!numbers.length || numbers.length % 2 || !numbers.every(Number.isFinite)) return [];
+  return Array.from({ length: numbers.length / 2 }, (_, i) => ({ x: numbers[2 * i], y: numbers[2 * i + 1] }));
+};
+
+const isArrow = (ending) => /arrow/i.test(ending || '');
+
+// Callout: the box is the rect minus the fringe, the border color is the
+// RG of the default appearance and `color` the background.
+const calloutOf = (el, frame, corners) => {
+  const [left, bottom, right, top] = [corners[0].x, corners[0].y, corners[1].x, corners[1].y];
+  const fringe = (el.getAttribute('fringe') || '').split(',').map(Number);
+  const [l, b, r, t] = fringe.length === 4 && fringe.every(Number.isFinite) ? fringe : [0, 0, 0, 0];
+  const anchor = parsePoints(el.getAttribute('callout'))[0];
+  const box = boxFromRect(frame, [{ x: Math.min(left, right) + l, y: Math.min(bottom, top) + b }, { x: Math.max(left, right) - r, y: Math.max(bottom, top) - t }]);
+  const appearance = childText(el, 'defaultappearance') || '';
+  const stroke = appearance.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+RG/);
+  const { u, v } = anchor ? fromPdfPoint(frame, anchor.x, anchor.y) : { u: box.x, v: box.y };
+  return {
+    ...box,
+    type: 'shape',
+    shape: 'callout',
+    ...shapeStyleOf(el),
+    stroke: stroke ? rgbToHex(stroke.slice(1).map(Number)) : DEFAULT_SHAPE_STYLE.stroke,
+    fill: colorAttr(el, 'color'),
+    anchor: { x: u, y: v },
+  };
+};
+
+// Quads of a text markup, from the 8 numbers per quad of `coords`.
+const markupOf = (el, frame) => {
+  const points = parsePoints(el.getAttribute('coords'));
+  const quads = [];
+  let rotation = 0;
+  for (let i = 0; i + 3 < points.length; i += 4) {
+    const corners = points.slice(i, i + 4).map((p) => fromPdfPoint(frame, p.x, p.y));
+    // the text runs from the first corner to the second
+    const du = corners[1].u - corners[0].u;
+    const dv = corners[1].v - corners[0].v;
+    rotation = Math.abs(du) >= Math.abs(dv) ? (du >= 0 ? 0 : 180) : dv > 0 ? 90 : 270;
+    const us = corners.map((c) => c.u);
+    const vs = corners.map((c) => c.v);
+    const x = Math.min(...us);
+    const y = Math.min(...vs);
+    quads.push({ x, y, width: Math.max(...us) - x, height: Math.max(...vs) - y });
+  }
+  if (!quads.length) return null;
+  const style = getMarkupStyle({ markup: el.localName });
+  const color = colorAttr(el, 'color');
+  if (color) style.color = color;
+  const opacity = Number(el.getAttribute('opacity'));
+  if (opacity > 0 && opacity <= 1) style.opacity = opacity;
+  const content = (childText(el, 'contents') || '').replace(/\s+/g, ' ').trim();
+  return { type: 'markup', markup: el.localName, ...style, ...quadsBox(quads), rotation, quads, content };
+};
+
+/**
+ * Reads the FreeText, Ink, Square, Circle, Line, text markup, Redact and image
+ * Stamp annotations of an XFDF string into stored-form items. Resolves with
+ * `{ items, skipped }`, `skipped` counting annotations of other kinds or on
+ * pages the document does not have.
+ */
+export async function importXfdf(text, frames) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (root.localName !== 'xfdf' || doc.getElementsByTagName('parsererror').length) {
+    throw new Error('The file is not a valid XFDF document');
+  }
+  const annots = Array.from(root.children).find((c) => c.localName === 'annots');
+  const items = [];
+  let skipped = 0;
+  let nextId = Date.now();
+
+  for (const el of annots ? Array.from(annots.children) : []) {
+    const pageIndex = Number(el.getAttribute('page'));
+    const frame = frames[pageIndex];
+    const corners = parseRect(el.getAttribute('rect'));
+    const base = { id: nextId++, page: pageIndex + 1 };
+    if (!frame || !corners) {
+      skipped++;
+      continue;
+    }
+
+    if (el.localName === 'ink') {
+      const gestures = Array.from(el.getElementsByTagNameNS('*', 'gesture'));
+      const style = strokeStyleOf(el);
+      for (const gesture of gestures) {
+        const content = gesture.textContent
+          .split(';')
+          .map((pair) => pair.split(',').map(Number))
+          .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+          .map(([x, y]) => {
+            const { u, v } = fromPdfPoint(frame, x, y);
+            return { x: u, y: v };
+          });
+        if (content.length > 1) items.push({ ...base, id: nextId++, type: 'drawing', ...style, content });
+      }
+    } else if (MARKUP_TYPES[el.localName]) {
+      const markup = markupOf(el, frame);
+      if (markup) items.push({ ...base, ...markup });
+      else skipped++;
+    } else if (el.localName === 'square' || el.localName === 'circle') {
+      const shape = el.localName === 'square' ? 'rect' : 'ellipse';
+      items.push({ ...base, ...boxFromRect(frame, corners), type: 'shape', shape, ...shapeStyleOf(el) });
+    } else if (el.localName === 'line') {
+      let points = [...parsePoints(el.getAttribute('start')), ...parsePoints(el.getAttribute('end'))];
+      if (points.length !== 2) {
+        skipped++;
+        continue;
+      }
+      // the arrow head is drawn at the end point
+      const tail = isArrow(el.getAttribute('tail'));
+      if (!tail && isArrow(el.getAttribute('head'))) points = points.reverse();
+      const content = points.map((p) => {
+        const { u, v } = fromPdfPoint(frame, p.x, p.y);
+        return { x: u, y: v };
+      });
+      const shape = tail || isArrow(el.getAttribute('head')) ? 'arrow' : 'line';
+      items.push({ ...base, type: 'shape', shape, ...shapeStyleOf(el), content });
+    } else if (el.localName === 'freetext') {
+      const content = (childText(el, 'contents') ?? childText(el, 'contents-richtext') ?? '').replace(/\r\n?/g, '\n').trim();
+      const callout = el.getAttribute('intent') === 'FreeTextCallout';
+      if (!content && !callout) {
+        skipped++;
+        continue;
+      }
+      if (callout) items.push({ ...base, ...calloutOf(el, frame, corners), ...textStyleOf(el), content });
+      else items.push({ ...base, ...boxFromRect(frame, corners), type: 'text', ...textStyleOf(el), content });
+    } else if (el.localName === 'redact') {
+      items.push({ ...base, ...boxFromRect(frame, corners), type: 'redaction', content: el.getAttribute('overlay-text') || '' });
+    } else if (el.localName === 'stamp' && childText(el, 'imagedata')?.trim().startsWith('data:image/')) {
+      const content = await dataUrlToBlob(childText(el, 'imagedata').trim());
+      const name = childText(el, 'contents')?.trim();
+      const stamp = name && name !== 'Signature' ? { stamp: name } : {};
+      items.push({ ...base, ...boxFromRect(frame, corners), type: 'signature', ...stamp, content });
+    } else {
+      skipped++;
+    }
+  }
+  return { items, skipped };
+}
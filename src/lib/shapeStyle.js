@@ -0,0 +1,80 @@
+// Shape items: boxes (rectangle, ellipse), straight lines between two points
+// (line, arrow) and callouts, a text box with a leader line pointing at what
+// it comments on. Lines keep their two points in `content` like drawings do,
+// the others have a box; callouts also have an `anchor` point and text.
+
+export const SHAPES = {
+  rect: { label: 'Rectangle', icon: '▭' },
+  ellipse: { label: 'Ellipse', icon: '◯' },
+  line: { label: 'Line', icon: '╱' },
+  arrow: { label: 'Arrow', icon: '➝' },
+  callout: { label: 'Callout', icon: '💬' },
+};
+
+export const LINE_SHAPES = ['line', 'arrow'];
+export const SHAPE_WIDTH_RANGE = [0.5, 12];
+
+export const DEFAULT_SHAPE_STYLE = { stroke: '#dc2626', strokeWidth: 2, fill: null, opacity: 1 };
+const CALLOUT_FILL = '#ffffff';
+
+/** Stroke and fill of a shape item; `fill` is null for an empty shape. */
+export function getShapeStyle(item) {
+  const style = { ...DEFAULT_SHAPE_STYLE, fill: item.shape === 'callout' ? CALLOUT_FILL : null };
+  for (const key of Object.keys(style)) {
+    if (item[key] !== undefined) style[key] = item[key];
+  }
+  if (LINE_SHAPES.includes(item.shape)) style.fill = null;
+  return style;
+}
+
+/** Length of an arrow head for a stroke width, in the same unit. */
+export const arrowSize = (strokeWidth) => Math.max(6, strokeWidth * 4);
+
+/** Triangle of an arrow head pointing at `tip`, coming from `from`. */
+export function arrowHead(tip, from, size) {
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const side = (delta) => ({
+    x: tip.x - size * Math.cos(angle + delta),
+    y: tip.y - size * Math.sin(angle + delta),
+  });
+  return [side(Math.PI / 7), tip, side(-Math.PI / 7)];
+}
+
+const MIN_DRAG = 6; // px, shorter drags place a shape of the default size
+const DEFAULT_BOX = { width: 120, height: 80 }; // px
+const DEFAULT_CALLOUT = { width: 160, height: 48 }; // px
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(min, max));
+
+/**
+ * Geometry of a new shape dragged from `start` to `end` (display px of a page
+ * of `size`), normalized. Boxes span the drag, lines go from start to end and
+ * callouts point at `start` with their box at `end`.
+ */
+export function shapeFromDrag(shape, start, end, size) {
+  const dragged = Math.hypot(end.x - start.x, end.y - start.y) >= MIN_DRAG;
+  const normalize = (p) => ({ x: p.x / size.width, y: p.y / size.height });
+  const box = (x, y, width, height) => ({
+    x: clamp(x, 0, size.width - width) / size.width,
+    y: clamp(y, 0, size.height - height) / size.height,
+    width: width / size.width,
+    height: height / size.height,
+    rotation: 0,
+  });
+
+  if (LINE_SHAPES.includes(shape)) {
+    return { content: [start, dragged ? end : { x: start.x + DEFAULT_BOX.width, y: start.y }].map(normalize) };
+  }
+  if (shape === 'callout') {
+    const { width, height } = DEFAULT_CALLOUT;
+    const to = dragged ? end : { x: start.x + 40, y: start.y - 40 };
+    return {
+      ...box(to.x >= start.x ? to.x : to.x - width, to.y >= start.y ? to.y : to.y - height, width, height),
+      anchor: normalize(start),
+    };
+  }
+  if (!dragged) return box(start.x, start.y, DEFAULT_BOX.width, DEFAULT_BOX.height);
+  const x = Math.min(start.x, end.x);
+  const y = Math.min(start.y, end.y);
+  return box(x, y, Math.max(Math.abs(end.x - start.x), 8), Math.max(Math.abs(end.y - start.y), 8));
+}
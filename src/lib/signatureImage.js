@@ -0,0 +1,141 @@
+// Helpers that turn drawn, typed or photographed signatures into tightly
+// cropped transparent PNGs.
+
+const MAX_PHOTO_SIDE = 1600;
+
+export const canvasToBlob = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the signature'))), 'image/png');
+  });
+
+/**
+ * Returns a new canvas cropped to the pixels whose alpha is above
+ * `threshold`, with `padding` px kept around them. Null if nothing is left.
+ */
+export function trimCanvas(canvas, padding = 8, threshold = 8) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  let top = height;
+  let left = width;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > threshold) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+  }
+  if (right < 0) return null;
+
+  left = Math.max(0, left - padding);
+  top = Math.max(0, top - padding);
+  right = Math.min(width - 1, right + padding);
+  bottom = Math.min(height - 1, bottom + padding);
+
+  const trimmed = document.createElement('canvas');
+  trimmed.width = right - left + 1;
+  trimmed.height = bottom - top + 1;
+  trimmed.getContext('2d').drawImage(canvas, left, top, trimmed.width, trimmed.height, 0, 0, trimmed.width, trimmed.height);
+  return trimmed;
+}
+
+/** Renders `text` in `fontFamily` on a transparent canvas, already trimmed. */
+export async function renderTypedSignature(text, fontFamily, color = '#111827') {
+  const fontSize = 96;
+  const font = `${fontSize}px "${fontFamily}"`;
+  await document.fonts.load(font, text);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = font;
+  canvas.width = Math.ceil(ctx.measureText(text).width + fontSize);
+  canvas.height = Math.ceil(fontSize * 2);
+
+  // resizing the canvas resets its state
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, fontSize / 2, canvas.height / 2);
+  return trimCanvas(canvas);
+}
+
+// Sum-table box blur, used to estimate the paper brightness around each pixel.
+const boxBlur = (values, width, height, radius) => {
+  const sums = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += values[y * width + x];
+      sums[(y + 1) * (width + 1) + x + 1] = sums[y * (width + 1) + x + 1] + row;
+    }
+  }
+
+  const blurred = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const total = sums[y1 * (width + 1) + x1] - sums[y0 * (width + 1) + x1] - sums[y1 * (width + 1) + x0] + sums[y0 * (width + 1) + x0];
+      blurred[y * width + x] = total / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return blurred;
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not read the image'));
+    img.src = src;
+  });
+
+/**
+ * Takes a photo or scan of an ink signature on paper and returns a trimmed
+ * canvas holding only the ink. Each pixel is compared with the local paper
+ * brightness, so shadows and uneven lighting do not end up in the result.
+ */
+export async function extractInkFromPhoto(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await loadImage(url);
+    const ratio = Math.min(1, MAX_PHOTO_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * ratio);
+    const height = Math.round(img.naturalHeight * ratio);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const { data } = imageData;
+
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    const paper = boxBlur(luminance, width, height, Math.max(8, Math.round(Math.max(width, height) / 30)));
+
+    for (let i = 0; i < luminance.length; i++) {
+      // how much darker than the surrounding paper, 0..1
+      const ink = (paper[i] - luminance[i]) / Math.max(paper[i], 1);
+      const alpha = Math.min(1, Math.max(0, (ink - 0.12) / 0.25));
+      data[i * 4 + 3] = Math.round(alpha * 255);
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    const trimmed = trimCanvas(canvas, 8, 32);
+    if (!trimmed) throw new Error('No signature found in the image');
+    return trimmed;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,110 @@
+import { cssFontFamily } from './textStyle';
+import { trimCanvas } from './signatureImage';
+
+// Stamps: today's date, initials, check and cross marks and rubber stamps.
+// Dates and initials become text items, so they stay editable and are real
+// text in the export. Marks and rubber stamps are drawn on a canvas into
+// transparent PNGs and placed like signature images.
+
+export const DATE_FORMATS = ['locale', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'D MMMM YYYY', 'MMMM D, YYYY'];
+
+export const MARKS = {
+  check: { label: 'Check', icon: '✓' },
+  cross: { label: 'Cross', icon: '✗' },
+};
+
+export const RUBBER_STAMPS = {
+  approved: { label: 'APPROVED', color: '#15803d' },
+  paid: { label: 'PAID', color: '#1d4ed8' },
+  received: { label: 'RECEIVED', color: '#1d4ed8' },
+  confidential: { label: 'CONFIDENTIAL', color: '#b91c1c' },
+  rejected: { label: 'REJECTED', color: '#b91c1c' },
+  draft: { label: 'DRAFT', color: '#4b5563' },
+};
+
+export const DEFAULT_STAMP_COLOR = '#1e3a8a';
+export const MARK_SIZE = 18; // pt, side of a check or cross
+export const STAMP_HEIGHT = 36; // pt, height of a rubber or library stamp
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * `date` written in one of DATE_FORMATS; 'locale' is the browser's own short
+ * format, month names are in the browser's language.
+ */
+export function formatDate(date, format) {
+  if (format === 'locale') return date.toLocaleDateString();
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MMMM: date.toLocaleString(undefined, { month: 'long' }),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+  };
+  return format.replace(/YYYY|MMMM|MM|DD|D/g, (token) => tokens[token]);
+}
+
+/** Initials of a name, e.g. "Jean-Luc Picard" → "JLP". */
+export const initialsOf = (name) =>
+  (name || '')
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map((word) => Array.from(word)[0].toUpperCase())
+    .join('');
+
+const RENDER_SCALE = 4; // canvas px per pt, so stamps stay sharp when zoomed and printed
+
+/** Draws a check or cross mark, already trimmed. */
+export function renderMark(mark, color) {
+  const size = MARK_SIZE * RENDER_SCALE;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.strokeStyle = color;
+  ctx.lineWidth = size * 0.14;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  if (mark === 'check') {
+    ctx.moveTo(size * 0.15, size * 0.55);
+    ctx.lineTo(size * 0.4, size * 0.8);
+    ctx.lineTo(size * 0.85, size * 0.2);
+  } else {
+    ctx.moveTo(size * 0.2, size * 0.2);
+    ctx.lineTo(size * 0.8, size * 0.8);
+    ctx.moveTo(size * 0.8, size * 0.2);
+    ctx.lineTo(size * 0.2, size * 0.8);
+  }
+  ctx.stroke();
+  return trimCanvas(canvas, 2);
+}
+
+/** Draws `text` in bold capitals inside a double frame, like a rubber stamp. */
+export async function renderRubberStamp(text, color) {
+  const fontSize = 24 * RENDER_SCALE;
+  const font = `700 ${fontSize}px ${cssFontFamily('sans')}`;
+  const label = text.trim().toUpperCase();
+  await document.fonts.load(font, label);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = font;
+  const line = fontSize * 0.12;
+  const padding = fontSize * 0.45;
+  canvas.width = Math.ceil(ctx.measureText(label).width + padding * 2 + line * 4);
+  canvas.height = Math.ceil(fontSize + padding * 1.5 + line * 4);
+
+  // resizing the canvas resets its state
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = line;
+  ctx.strokeRect(line / 2, line / 2, canvas.width - line, canvas.height - line);
+  ctx.lineWidth = line / 2;
+  ctx.strokeRect(line * 2, line * 2, canvas.width - line * 4, canvas.height - line * 4);
+  ctx.font = font;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, canvas.width / 2, canvas.height / 2);
+  return canvas;
+}
@@ -0,0 +1,68 @@
+// Thin promise wrapper around the app's IndexedDB database.
+
+const DB_NAME = 'pdfediter';
+const DB_VERSION = 2;
+
+export const STORES = {
+  library: 'library',
+  documents: 'documents',
+  files: 'files',
+  settings: 'settings',
+};
+
+let dbPromise = null;
+
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    db.createObjectStore(STORES.library, { keyPath: 'id' });
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(STORES.documents, { keyPath: 'id' });
+    db.createObjectStore(STORES.files, { keyPath: 'id' });
+    db.createObjectStore(STORES.settings, { keyPath: 'key' });
+  }
+};
+
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Runs `fn(store)` inside a transaction on `storeName` and resolves with its
+ * result once the transaction has completed.
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(storeName))).then((value) => {
+      result = value;
+    }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', (store) => promisify(store.getAll()));
+export const get = (storeName, key) => withStore(storeName, 'readonly', (store) => promisify(store.get(key)));
+export const put = (storeName, value) => withStore(storeName, 'readwrite', (store) => promisify(store.put(value)));
+export const remove = (storeName, key) => withStore(storeName, 'readwrite', (store) => promisify(store.delete(key)));
@@ -0,0 +1,108 @@
+import { STORES, get, getAll, put, remove } from './db';
+
+// The PDF bytes live in their own store so autosaving the annotations does
+// not rewrite the whole file every time.
+
+const MAX_RECENT_DOCUMENTS = 10;
+const ACTIVE_DOCUMENT_KEY = 'activeDocument';
+
+const sameFile = (record, file) =>
+  record.name === file.name && record.size === file.size && record.lastModified === file.lastModified;
+
+export async function listRecentDocuments() {
+  const records = await getAll(STORES.documents);
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function deleteDocument(id) {
+  await remove(STORES.documents, id);
+  await remove(STORES.files, id);
+  if ((await getActiveDocumentId()) === id) await setActiveDocument(null);
+}
+
+export async function getActiveDocumentId() {
+  const setting = await get(STORES.settings, ACTIVE_DOCUMENT_KEY);
+  return setting?.value ?? null;
+}
+
+/** Marks the document whose session is offered for restore on the next start (null clears it). */
+export const setActiveDocument = (id) => put(STORES.settings, { key: ACTIVE_DOCUMENT_KEY, value: id });
+
+const hasWork = (record) => record.items.length > 0 || !!record.pages;
+
+/**
+ * Starts a new session for `file`. Opening the same file again replaces its
+ * old entries in the recent list, which is capped at MAX_RECENT_DOCUMENTS,
+ * except those holding items or page changes: they are kept so their restore
+ * can be offered. Resolves with `{ record, previous }`, `previous` being the
+ * kept sessions, newest first.
+ */
+export async function createDocument(file) {
+  const recent = await listRecentDocuments();
+  const previous = recent.filter((r) => sameFile(r, file));
+  for (const record of previous.filter((r) => !hasWork(r))) await deleteDocument(record.id);
+
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    name: file.name,
+    size: file.size,
+    lastModified: file.lastModified,
+    items: [],
+    audit: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await put(STORES.files, { id: record.id, file });
+  await put(STORES.documents, record);
+  await setActiveDocument(record.id);
+
+  const stale = (await listRecentDocuments()).slice(MAX_RECENT_DOCUMENTS);
+  for (const old of stale) await deleteDocument(old.id);
+  return { record, previous: previous.filter((r) => hasWork(r) && !stale.some((old) => old.id === r.id)) };
+}
+
+/** Loads a stored session and makes it the active one. Resolves with `{ record, file }`. */
+export async function openDocument(id) {
+  const record = await get(STORES.documents, id);
+  const stored = await get(STORES.files, id);
+  if (!record || !stored) throw new Error('This document is no longer stored in the browser');
+  const updated = { ...record, updatedAt: Date.now() };
+  await put(STORES.documents, updated);
+  await setActiveDocument(id);
+  const file = new File([stored.file], record.name, { type: 'application/pdf', lastModified: record.lastModified });
+  return { record: updated, file };
+}
+
+/**
+ * Saves the items of a session, its page layout (null while untouched) and
+ * its audit log (see `appendAuditTrail`).
+ */
+export async function saveDocumentItems(id, items, pages = null, audit = null) {
+  const record = await get(STORES.documents, id);
+  if (!record) return;
+  await put(STORES.documents, { ...record, items, pages, audit, updatedAt: Date.now() });
+}
+
+// Only text boxes, callouts and images are nothing without their content;
+// rectangles and ellipses have none at all, and a redaction mark whose label
+// was cleared still marks an area that must not be lost
+const isEmptyItem = (item) =>
+  (item.type === 'text' || item.shape === 'callout' || item.type === 'signature') && !item.content;
+
+/**
+ * Turns overlay items into something IndexedDB can keep: signature images
+ * are blob URLs that die with the page, so they are swapped for their Blob.
+ * Empty text boxes and callouts and images that cannot be found are dropped;
+ * redaction marks are kept whatever their label.
+ */
+export const toStoredItems = (items, blobForUrl) =>
+  items
+    .map(({ editing, ...item }) =>
+      item.type === 'signature' ? { ...item, content: blobForUrl(item.content) } : item
+    )
+    .filter((item) => !isEmptyItem(item));
+
+/** Reverse of `toStoredItems`, `urlForBlob` creates the blob URLs again. */
+export const fromStoredItems = (items, urlForBlob) =>
+  items.map((item) => (item.type === 'signature' ? { ...item, content: urlForBlob(item.content) } : item));
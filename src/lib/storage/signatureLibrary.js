@@ -0,0 +1,107 @@
+import { blobToDataUrl, dataUrlToBlob } from '../dataUrl';
+import { STORES, get, getAll, put, remove, withStore } from './db';
+
+export const ENTRY_KINDS = {
+  signature: 'Signature',
+  initials: 'Initials',
+  stamp: 'Stamp',
+};
+
+const EXPORT_FORMAT = 'pdfediter-library';
+const EXPORT_VERSION = 1;
+
+const imageSize = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return size;
+};
+
+export async function listEntries() {
+  const entries = await getAll(STORES.library);
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/** Stores an image in the library. The first entry of a kind becomes its default. */
+export async function saveEntry({ name, kind = 'signature', blob, isDefault }) {
+  if (!ENTRY_KINDS[kind]) throw new Error(`Unknown library entry kind: ${kind}`);
+  const entries = await listEntries();
+  const entry = {
+    id: crypto.randomUUID(),
+    name: name?.trim() || ENTRY_KINDS[kind],
+    kind,
+    blob,
+    ...(await imageSize(blob)),
+    createdAt: Date.now(),
+    isDefault: isDefault ?? !entries.some((e) => e.kind === kind && e.isDefault),
+  };
+  if (entry.isDefault) await setDefaultEntry(null, kind);
+  await put(STORES.library, entry);
+  return entry;
+}
+
+export async function renameEntry(id, name) {
+  const entry = await get(STORES.library, id);
+  if (!entry) return;
+  await put(STORES.library, { ...entry, name: name.trim() || entry.name });
+}
+
+export const deleteEntry = (id) => remove(STORES.library, id);
+
+/** Makes `id` the only default entry of `kind` (pass a null id to clear it). */
+export async function setDefaultEntry(id, kind) {
+  const entries = await listEntries();
+  await withStore(STORES.library, 'readwrite', (store) => {
+    for (const entry of entries) {
+      if (entry.kind !== kind) continue;
+      const isDefault = entry.id === id;
+      if (entry.isDefault !== isDefault) store.put({ ...entry, isDefault });
+    }
+  });
+}
+
+export async function exportLibrary() {
+  const entries = await listEntries();
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: await Promise.all(
+      entries.map(async ({ name, kind, isDefault, createdAt, blob }) => ({
+        name,
+        kind,
+        isDefault,
+        createdAt,
+        image: await blobToDataUrl(blob),
+      })),
+    ),
+  };
+  return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Adds the entries of an exported library file. Existing entries are kept,
+ * imported ones never replace the current defaults. Resolves with the count.
+ */
+export async function importLibrary(file) {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch {
+    throw new Error('The file is not a valid library export');
+  }
+  if (payload?.format !== EXPORT_FORMAT || !Array.isArray(payload.entries)) {
+    throw new Error('The file is not a valid library export');
+  }
+  if (payload.version > EXPORT_VERSION) {
+    throw new Error('The library was exported by a newer version of the app');
+  }
+
+  let count = 0;
+  for (const item of payload.entries) {
+    if (!ENTRY_KINDS[item.kind] || typeof item.image !== 'string' || !item.image.startsWith('data:image/')) continue;
+    await saveEntry({ name: item.name, kind: item.kind, blob: await dataUrlToBlob(item.image) });
+    count++;
+  }
+  return count;
+}
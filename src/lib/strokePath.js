@@ -0,0 +1,126 @@
+// Shape of freehand strokes. Captured points are thinned out once the stroke
+// is finished, and every renderer (overlay SVG, PDF content, Ink annotation)
+// goes through the same Catmull-Rom spline so curves stay smooth at any zoom.
+// Points captured with a stylus carry a pressure `p` (0..1) and those strokes
+// are drawn as a filled outline whose width follows it.
+
+const MIN_DISTANCE = 1.5; // px, closer captured points are dropped
+const TOLERANCE = 0.6; // px, Douglas-Peucker tolerance
+const SPLINE_STEPS = 6; // points per segment when the spline is sampled
+const CAP_STEPS = 6;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = dx * dx + dy * dy;
+  if (length === 0) return distance(p, a);
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Douglas-Peucker, iterative so long strokes cannot overflow the stack.
+const simplify = (points, tolerance) => {
+  if (points.length < 3) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length) {
+    const [first, last] = ranges.pop();
+    let index = -1;
+    let max = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const d = distanceToSegment(points[i], points[first], points[last]);
+      if (d > max) {
+        max = d;
+        index = i;
+      }
+    }
+    if (index !== -1) {
+      keep[index] = 1;
+      ranges.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Cleans up the points of a finished stroke, given in display px: jitter
+ * closer than MIN_DISTANCE is dropped and straight runs are simplified,
+ * except on pressure strokes where that would flatten the width changes.
+ */
+export function fitStroke(points) {
+  const spaced = points.slice(0, 1);
+  points.slice(1, -1).forEach((p) => {
+    if (distance(p, spaced[spaced.length - 1]) >= MIN_DISTANCE) spaced.push(p);
+  });
+  if (points.length > 1) spaced.push(points[points.length - 1]);
+  return hasPressure(spaced) ? spaced : simplify(spaced, TOLERANCE);
+}
+
+export const hasPressure = (points) => points.some((p) => p.p !== undefined);
+
+/** Catmull-Rom spline through `points`, sampled into a polyline. */
+export function splinePoints(points) {
+  if (points.length < 3) return points;
+  const result = [points[0]];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[Math.max(0, i - 1)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(points.length - 1, i + 2)];
+    for (let step = 1; step <= SPLINE_STEPS; step++) {
+      const t = step / SPLINE_STEPS;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const at = (k) =>
+        0.5 * (2 * p1[k] + (p2[k] - p0[k]) * t + (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t2 + (3 * p1[k] - p0[k] - 3 * p2[k] + p3[k]) * t3);
+      const point = { x: at('x'), y: at('y') };
+      if (p1.p !== undefined && p2.p !== undefined) point.p = p1.p + (p2.p - p1.p) * t;
+      result.push(point);
+    }
+  }
+  return result;
+}
+
+/** Width of a stroke at a point, pressure 0.5 (or none) gives `width`. */
+export const widthAt = (width, point) =>
+  point.p === undefined ? width : width * (0.3 + 1.4 * Math.min(1, Math.max(0, point.p)));
+
+/**
+ * Closed outline of a variable width stroke around the sampled points
+ * `line`, with round caps. Points are in any space where `width` applies.
+ */
+export function strokeOutline(line, width) {
+  if (line.length === 0) return [];
+  const radius = (i) => widthAt(width, line[i]) / 2;
+  const normal = (i) => {
+    const a = line[Math.max(0, i - 1)];
+    const b = line[Math.min(line.length - 1, i + 1)];
+    const length = distance(a, b) || 1;
+    return { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+  };
+  const left = [];
+  const right = [];
+  line.forEach((point, i) => {
+    const n = normal(i);
+    const r = radius(i);
+    left.push({ x: point.x + n.x * r, y: point.y + n.y * r });
+    right.push({ x: point.x - n.x * r, y: point.y - n.y * r });
+  });
+  // half circles from one side to the other around the ends
+  const cap = (i, from) => {
+    const center = line[i];
+    const r = radius(i);
+    const start = Math.atan2(from.y - center.y, from.x - center.x);
+    return Array.from({ length: CAP_STEPS - 1 }, (_, k) => {
+      const angle = start - (Math.PI * (k + 1)) / CAP_STEPS;
+      return { x: center.x + Math.cos(angle) * r, y: center.y + Math.sin(angle) * r };
+    });
+  };
+  const last = line.length - 1;
+  const endCap = cap(last, left[last]);
+  const startCap = cap(0, right[0]);
+  return [...left, ...endCap, ...right.reverse(), ...startCap];
+}
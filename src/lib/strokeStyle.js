@@ -0,0 +1,26 @@
+// Style of freehand strokes. Every drawing item carries its own tool, color,
+// width (pt) and opacity, so the overlay and the export draw it the same way.
+// Highlighter strokes are translucent and multiply with the page below.
+
+export const STROKE_TOOLS = {
+  pen: { label: 'Pen', icon: '🖊️' },
+  highlighter: { label: 'Highlighter', icon: '🖍️' },
+};
+
+export const DEFAULT_STROKE_STYLES = {
+  pen: { tool: 'pen', color: '#2563eb', width: 1.5, opacity: 1 },
+  highlighter: { tool: 'highlighter', color: '#facc15', width: 12, opacity: 0.4 },
+};
+
+export const STROKE_WIDTH_RANGE = { pen: [0.5, 12], highlighter: [4, 32] };
+export const ERASER_SIZE_RANGE = [4, 48]; // px
+
+/** Style of a drawing item, drawings saved before styles existed are pens. */
+export function getStrokeStyle(item) {
+  const tool = STROKE_TOOLS[item.tool] ? item.tool : 'pen';
+  const style = { ...DEFAULT_STROKE_STYLES[tool] };
+  for (const key of ['color', 'width', 'opacity']) {
+    if (item[key] !== undefined) style[key] = item[key];
+  }
+  return style;
+}
@@ -0,0 +1,133 @@
+// Text markup: highlight, underline, strikeout and squiggly marks made from a
+// selection in the PDF text layer. A markup item keeps one rectangle per line
+// of selected text (`quads`, page-normalized like every item), the direction
+// of the text in `rotation` and the text itself in `content`. It is exported
+// as the matching text markup annotation so the marks stay on the words.
+
+export const MARKUP_TYPES = {
+  highlight: { label: 'Highlight', icon: '🖍️', subtype: 'Highlight' },
+  underline: { label: 'Underline', icon: 'U̲', subtype: 'Underline' },
+  strikeout: { label: 'Strikeout', icon: 'S̶', subtype: 'StrikeOut' },
+  squiggly: { label: 'Squiggly', icon: '〰️', subtype: 'Squiggly' },
+};
+
+export const DEFAULT_MARKUP_STYLES = {
+  highlight: { color: '#facc15', opacity: 0.4 },
+  underline: { color: '#16a34a', opacity: 1 },
+  strikeout: { color: '#dc2626', opacity: 1 },
+  squiggly: { color: '#ea580c', opacity: 1 },
+};
+
+/** Color and opacity of a markup item. */
+export function getMarkupStyle(item) {
+  const style = { ...(DEFAULT_MARKUP_STYLES[item.markup] || DEFAULT_MARKUP_STYLES.highlight) };
+  for (const key of ['color', 'opacity']) {
+    if (item[key] !== undefined) style[key] = item[key];
+  }
+  return style;
+}
+
+const SAME_LINE = 0.5; // vertical overlap, fraction of the smaller height
+
+/**
+ * Line rectangles of a text selection on one page. `rects` are client rects
+ * of the selected range and `pageRect` the page element's; the result is
+ * normalized to the page. Rects of whole elements (taller than the text) are
+ * dropped and the pieces of each line are joined.
+ */
+export function selectionQuads(rects, pageRect) {
+  const clipped = Array.from(rects)
+    .map((r) => ({
+      left: Math.max(r.left, pageRect.left),
+      right: Math.min(r.right, pageRect.right),
+      top: Math.max(r.top, pageRect.top),
+      bottom: Math.min(r.bottom, pageRect.bottom),
+    }))
+    .filter((r) => r.right - r.left > 0.5 && r.bottom - r.top > 0.5);
+  if (!clipped.length) return [];
+  const textHeight = Math.min(...clipped.map((r) => r.bottom - r.top));
+
+  const lines = [];
+  clipped
+    .filter((r) => r.bottom - r.top < textHeight * 3)
+    .sort((a, b) => a.top - b.top || a.left - b.left)
+    .forEach((r) => {
+      const line = lines.find((l) => {
+        const overlap = Math.min(l.bottom, r.bottom) - Math.max(l.top, r.top);
+        return overlap > SAME_LINE * Math.min(l.bottom - l.top, r.bottom - r.top);
+      });
+      if (!line) {
+        lines.push({ ...r });
+        return;
+      }
+      line.left = Math.min(line.left, r.left);
+      line.right = Math.max(line.right, r.right);
+      line.top = Math.min(line.top, r.top);
+      line.bottom = Math.max(line.bottom, r.bottom);
+    });
+
+  const width = pageRect.right - pageRect.left;
+  const height = pageRect.bottom - pageRect.top;
+  return lines.map((l) => ({
+    x: (l.left - pageRect.left) / width,
+    y: (l.top - pageRect.top) / height,
+    width: (l.right - l.left) / width,
+    height: (l.bottom - l.top) / height,
+  }));
+}
+
+/** Box around all the quads, normalized. */
+export function quadsBox(quads) {
+  const x = Math.min(...quads.map((q) => q.x));
+  const y = Math.min(...quads.map((q) => q.y));
+  return {
+    x,
+    y,
+    width: Math.max(...quads.map((q) => q.x + q.width)) - x,
+    height: Math.max(...quads.map((q) => q.y + q.height)) - y,
+    rotation: 0,
+  };
+}
+
+/**
+ * Frame of the text over one quad, in the unit of `size`: its `length` along
+ * the text, `thickness` across it and `at(u, v)`, the point `u` along the
+ * text and `v` down from its top. `rotation` is the direction of the text in
+ * degrees clockwise, 0 for left to right.
+ */
+export function quadFrame(quad, rotation = 0, size = { width: 1, height: 1 }) {
+  const x = quad.x * size.width;
+  const y = quad.y * size.height;
+  const w = quad.width * size.width;
+  const h = quad.height * size.height;
+  switch ((((rotation || 0) % 360) + 360) % 360) {
+    case 90:
+      return { length: h, thickness: w, at: (u, v) => ({ x: x + w - v, y: y + u }) };
+    case 180:
+      return { length: w, thickness: h, at: (u, v) => ({ x: x + w - u, y: y + h - v }) };
+    case 270:
+      return { length: h, thickness: w, at: (u, v) => ({ x: x + v, y: y + h - u }) };
+    default:
+      return { length: w, thickness: h, at: (u, v) => ({ x: x + u, y: y + v }) };
+  }
+}
+
+/**
+ * What to stroke for a line of text `width` by `height` (any unit, origin at
+ * its top-left): polylines and their thickness. Highlights fill the whole
+ * line instead and have none.
+ */
+export function markupLines(markup, width, height) {
+  const thickness = Math.max(0.5, height * 0.07);
+  if (markup === 'underline') return { thickness, lines: [[{ x: 0, y: height * 0.92 }, { x: width, y: height * 0.92 }]] };
+  if (markup === 'strikeout') return { thickness, lines: [[{ x: 0, y: height * 0.55 }, { x: width, y: height * 0.55 }]] };
+  if (markup === 'squiggly') {
+    const step = height / 6;
+    const points = Array.from({ length: Math.max(2, Math.floor(width / step) + 1) }, (_, i) => ({
+      x: Math.min(width, i * step),
+      y: height * (i % 2 ? 0.84 : 0.98),
+    }));
+    return { thickness, lines: [points] };
+  }
+  return { thickness, lines: [] };
+}
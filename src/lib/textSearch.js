@@ -0,0 +1,109 @@
+// Full-text search over the pdf.js text content of the pages. The text items
+// of a page are joined into one string (a line break counts as a space) so a
+// phrase can run over several items and lines. Hits are located from the
+// item geometry and given as rectangles normalized to the page like every
+// overlay item.
+
+const DESCENT = 0.25; // below the baseline, fraction of the font size
+const ASCENT = 0.85; // above it
+
+/**
+ * Search index of a page: `items` are pdf.js text content items, `viewport`
+ * the page viewport at scale 1 (it maps PDF points to the page as shown).
+ */
+export function buildTextIndex(items, viewport) {
+  let text = '';
+  const spans = [];
+  for (const item of items) {
+    if (!item.str) {
+      if (item.hasEOL) text += ' ';
+      continue;
+    }
+    spans.push({ start: text.length, end: text.length + item.str.length, item });
+    text += item.str;
+    if (item.hasEOL) text += ' ';
+  }
+  return { text, spans, viewport };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Regular expression for `query`, ignoring case and runs of whitespace; null for a blank query. */
+export function searchPattern(query) {
+  const words = query.trim().split(/\s+/).filter(Boolean);
+  return words.length ? new RegExp(words.map(escapeRegExp).join('\\s+'), 'gi') : null;
+}
+
+/**
+ * Rectangle of the characters `from`..`to` of a pdf.js text item on the page
+ * shown by `viewport`, normalized.
+ */
+export function textItemRect(item, from, to, viewport) {
+  const [a, b, c, d, e, f] = item.transform;
+  const along = Math.hypot(a, b) || 1;
+  const across = Math.hypot(c, d) || 1;
+  const size = item.height || across;
+  const length = item.str.length || 1;
+  const u = { x: a / along, y: b / along };
+  const v = { x: c / across, y: d / across };
+  const t0 = (item.width * from) / length;
+  const t1 = (item.width * to) / length;
+  const corners = [
+    [t0, -DESCENT],
+    [t1, -DESCENT],
+    [t1, ASCENT],
+    [t0, ASCENT],
+  ].map(([t, k]) => viewport.convertToViewportPoint(e + u.x * t + v.x * k * size, f + u.y * t + v.y * k * size));
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return {
+    x: Math.min(...xs) / viewport.width,
+    y: Math.min(...ys) / viewport.height,
+    width: (Math.max(...xs) - Math.min(...xs)) / viewport.width,
+    height: (Math.max(...ys) - Math.min(...ys)) / viewport.height,
+  };
+}
+
+/** Box around rectangles, normalized. */
+export function unionRect(rects) {
+  const x = Math.min(...rects.map((r) => r.x));
+  const y = Math.min(...rects.map((r) => r.y));
+  return {
+    x,
+    y,
+    width: Math.max(...rects.map((r) => r.x + r.width)) - x,
+    height: Math.max(...rects.map((r) => r.y + r.height)) - y,
+  };
+}
+
+/**
+ * Hits of `pattern` (see `searchPattern`) on an indexed page, in reading
+ * order: `{ rects }`, one rectangle per text item the hit covers.
+ */
+export function findInPage(index, pattern) {
+  const hits = [];
+  for (const match of index.text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const rects = index.spans
+      .filter((span) => span.start < end && span.end > start)
+      .map((span) =>
+        textItemRect(span.item, Math.max(start, span.start) - span.start, Math.min(end, span.end) - span.start, index.viewport)
+      );
+    if (rects.length) hits.push({ rects });
+  }
+  return hits;
+}
+
+/**
+ * Where to put a box of `size` (normalized) next to the hit `rect`: right of
+ * it, centered on the line, or below it when there is no room on the right.
+ * `gap` is the space left between them, normalized `{ x, y }`.
+ */
+export function besideRect(rect, size, gap) {
+  const clamp = (value, max) => Math.min(Math.max(0, value), Math.max(0, max));
+  if (rect.x + rect.width + gap.x + size.width <= 1) {
+    return { x: rect.x + rect.width + gap.x, y: clamp(rect.y + rect.height / 2 - size.height / 2, 1 - size.height) };
+  }
+  return { x: clamp(rect.x, 1 - size.width), y: clamp(rect.y + rect.height + gap.y, 1 - size.height) };
+}
@@ -0,0 +1,169 @@
+import { DEFAULT_FONT_SIZE, LINE_HEIGHT, TEXT_PADDING } from './itemGeometry';
+
+// Fonts and formatting of text items. Each font is a chain of families tried
+// in order for every character, so Latin, Devanagari and Chinese text can be
+// mixed in one box. The same chains are used by the viewer (CSS) and by the
+// export, which embeds the font files the browser loaded.
+
+export const TEXT_FONTS = {
+  sans: { label: 'Sans', families: ['Noto Sans', 'Noto Sans Devanagari', 'Noto Sans SC'], generic: 'sans-serif' },
+  serif: { label: 'Serif', families: ['Noto Serif', 'Noto Serif Devanagari', 'Noto Serif SC'], generic: 'serif' },
+  mono: { label: 'Mono', families: ['Noto Sans Mono', 'Noto Sans Devanagari', 'Noto Sans SC'], generic: 'monospace' },
+  hand: { label: 'Handwriting', families: ['Caveat', 'Noto Sans Devanagari', 'Noto Sans SC'], generic: 'cursive' },
+};
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+export const MIN_FONT_SIZE = 6;
+export const MAX_FONT_SIZE = 96;
+
+export const DEFAULT_TEXT_STYLE = {
+  fontFamily: 'sans',
+  fontSize: DEFAULT_FONT_SIZE,
+  color: '#000000',
+  bold: false,
+  italic: false,
+  align: 'left',
+};
+
+/** Formatting of a text item, with defaults for items saved before it existed. */
+export function getTextStyle(item) {
+  const style = { ...DEFAULT_TEXT_STYLE };
+  for (const key of Object.keys(style)) {
+    if (item[key] !== undefined) style[key] = item[key];
+  }
+  if (!TEXT_FONTS[style.fontFamily]) style.fontFamily = DEFAULT_TEXT_STYLE.fontFamily;
+  if (!TEXT_ALIGNS.includes(style.align)) style.align = DEFAULT_TEXT_STYLE.align;
+  return style;
+}
+
+export const fontFamilyChain = (key) => (TEXT_FONTS[key] || TEXT_FONTS[DEFAULT_TEXT_STYLE.fontFamily]).families;
+
+/** CSS `font-family` value for one of the TEXT_FONTS keys. */
+export function cssFontFamily(key) {
+  const font = TEXT_FONTS[key] || TEXT_FONTS[DEFAULT_TEXT_STYLE.fontFamily];
+  return [...font.families.map((family) => `"${family}"`), font.generic].join(', ');
+}
+
+/** CSS `font` shorthand of a style at `size` px, e.g. for canvas measuring. */
+export const cssFont = (style, size) =>
+  `${style.italic ? 'italic ' : ''}${style.bold ? 700 : 400} ${size}px ${cssFontFamily(style.fontFamily)}`;
+
+/** Inline CSS of a text item (or callout) displayed at `scale`. */
+export function textCss(item, scale) {
+  const style = getTextStyle(item);
+  return {
+    fontFamily: cssFontFamily(style.fontFamily),
+    fontSize: style.fontSize * scale,
+    fontWeight: style.bold ? 700 : 400,
+    fontStyle: style.italic ? 'italic' : 'normal',
+    color: style.color,
+    textAlign: style.align,
+    lineHeight: LINE_HEIGHT,
+    padding: TEXT_PADDING * scale,
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+  };
+}
+
+/**
+ * CSS declarations of a style as used by the /DS entry of FreeText
+ * annotations and the <defaultstyle> element of XFDF.
+ */
+export function toDefaultStyle(style) {
+  const family = TEXT_FONTS[style.fontFamily]?.families[0] || TEXT_FONTS.sans.families[0];
+  const font = `${style.italic ? 'italic ' : ''}${style.bold ? 'bold ' : ''}${style.fontSize}pt "${family}"`;
+  return `font: ${font}; color: ${style.color}; text-align: ${style.align}`;
+}
+
+/** Reads back what `toDefaultStyle` (or another PDF program) wrote. */
+export function fromDefaultStyle(value) {
+  const css = (value || '').toLowerCase();
+  const size = Number(css.match(/([\d.]+)pt/)?.[1]);
+  const style = {};
+  if (size > 0) style.fontSize = size;
+  if (/mono|courier/.test(css)) style.fontFamily = 'mono';
+  else if (/caveat|cursive/.test(css)) style.fontFamily = 'hand';
+  else if (/times|(^|[^-\w])serif/.test(css)) style.fontFamily = 'serif';
+  const color = css.match(/(?:^|;)\s*color\s*:\s*(#[\da-f]{6})/)?.[1];
+  if (color) style.color = color;
+  if (/\bbold\b|font-weight\s*:\s*[6-9]00/.test(css)) style.bold = true;
+  if (/\bitalic\b|\boblique\b/.test(css)) style.italic = true;
+  const align = css.match(/text-align\s*:\s*(left|center|right)/)?.[1];
+  if (align) style.align = align;
+  return style;
+}
+
+const CJK_CHAR = /[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/u;
+const isSpace = (ch) => /\s/.test(ch);
+
+// Runs of spaces, single CJK characters (those break anywhere) and words.
+const tokenize = (chars, charOf) => {
+  const tokens = [];
+  for (const c of chars) {
+    const ch = charOf(c);
+    const kind = isSpace(ch) ? 'space' : CJK_CHAR.test(ch) ? 'cjk' : 'word';
+    const last = tokens[tokens.length - 1];
+    if (last && last.kind === kind && kind !== 'cjk') last.chars.push(c);
+    else tokens.push({ kind, chars: [c] });
+  }
+  return tokens;
+};
+
+/**
+ * Greedy line wrapping the way the overlay box wraps (`pre-wrap` with
+ * `overflow-wrap: break-word`). `chars` can be anything `charOf` maps to a
+ * character, so the export can carry a font along with each one; `widthOf`
+ * measures a list of them. Returns the lines as lists of `chars`.
+ */
+export function wrapLines(chars, maxWidth, widthOf, charOf = (c) => c) {
+  const lines = [];
+  let line = [];
+  const endLine = (rest = []) => {
+    while (line.length && isSpace(charOf(line[line.length - 1]))) line.pop();
+    lines.push(line);
+    line = rest;
+  };
+
+  const paragraphs = [[]];
+  for (const c of chars) {
+    if (charOf(c) === '\n') paragraphs.push([]);
+    else paragraphs[paragraphs.length - 1].push(c);
+  }
+  for (const paragraph of paragraphs) {
+    for (const token of tokenize(paragraph, charOf)) {
+      if (line.length && widthOf([...line, ...token.chars]) > maxWidth) {
+        endLine();
+        if (token.kind === 'space') continue;
+      }
+      line.push(...token.chars);
+      // a word longer than the whole line is split where it overflows
+      while (line.length > 1 && widthOf(line) > maxWidth) {
+        let fit = line.length - 1;
+        while (fit > 1 && widthOf(line.slice(0, fit)) > maxWidth) fit--;
+        const rest = line.slice(fit);
+        line = line.slice(0, fit);
+        endLine(rest);
+      }
+    }
+    endLine();
+  }
+  return lines;
+}
+
+let measureCanvas = null;
+
+/**
+ * Size in pt of a text box, padding included. The width is the one of the
+ * longest line; with `maxWidth` (pt, padding excluded) lines wrap first.
+ */
+export function measureTextBox(text, style, maxWidth = Infinity) {
+  measureCanvas ??= document.createElement('canvas');
+  const ctx = measureCanvas.getContext('2d');
+  ctx.font = cssFont(style, style.fontSize);
+  const widthOf = (chars) => ctx.measureText(chars.join('')).width;
+  const lines = wrapLines(Array.from(text), maxWidth, widthOf);
+  return {
+    width: Math.max(0, ...lines.map(widthOf)) + TEXT_PADDING * 2,
+    height: lines.length * style.fontSize * LINE_HEIGHT + TEXT_PADDING * 2,
+  };
+}
@@ -0,0 +1,28 @@
+// Zoom of the page view. A zoom is the `scale` pages render at, in CSS px per
+// PDF point, and a `mode`: 'custom' keeps that scale, 'width' and 'page' fit
+// the widest page (or the whole largest page) into the viewer as it resizes.
+
+export const ZOOM_RANGE = [0.25, 5];
+
+const ZOOM_STEPS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5];
+
+export const clampZoom = (scale) => Math.min(ZOOM_RANGE[1], Math.max(ZOOM_RANGE[0], scale));
+
+/** The next zoom step above (`direction` 1) or below (-1) `scale`. */
+export function stepZoom(scale, direction) {
+  const steps = direction > 0 ? ZOOM_STEPS : [...ZOOM_STEPS].reverse();
+  return steps.find((step) => (direction > 0 ? step > scale + 0.001 : step < scale - 0.001)) ?? clampZoom(scale);
+}
+
+// Scale that fits `pages` (sizes in pt) into `viewer` (px), null until both are known.
+function fitZoom(mode, viewer, pages) {
+  if (!viewer || !pages.length) return null;
+  const width = Math.max(...pages.map((page) => page.width));
+  if (mode === 'width') return clampZoom(viewer.width / width);
+  const height = Math.max(...pages.map((page) => page.height));
+  return clampZoom(Math.min(viewer.width / width, viewer.height / height));
+}
+
+/** The scale `zoom` renders at, for a viewer of `viewer` px showing `pages`. */
+export const zoomScale = (zoom, viewer, pages) =>
+  (zoom.mode === 'custom' ? null : fitZoom(zoom.mode, viewer, pages)) ?? zoom.scale;